@@ -0,0 +1,31 @@
+import { loadEnv } from 'vite';
+import { createApiProxy, getProxyKeys } from '../server/apiProxy.js';
+
+// Mount the API proxy (server/apiProxy.js) on the dev and preview servers.
+// Keys come from .env as TMDB_API_KEY / OMDB_API_KEY, which Vite does not expose to the client.
+const apiProxyPlugin = (options = {}) => {
+  let proxy = null;
+
+  return {
+    name: 'movie-world-api-proxy',
+
+    configResolved(config) {
+      const env = loadEnv(config.mode, config.envDir || config.root, '');
+      proxy = createApiProxy({ ...options, keys: getProxyKeys(env) });
+
+      if (env.VITE_USE_API_PROXY === 'true' && (env.VITE_TMDB_API_KEY || env.VITE_OMDB_API_KEY)) {
+        config.logger.warn('VITE_TMDB_API_KEY / VITE_OMDB_API_KEY are still set and will be bundled; remove them when using the API proxy');
+      }
+    },
+
+    configureServer(server) {
+      server.middlewares.use(proxy);
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(proxy);
+    }
+  };
+};
+
+export default apiProxyPlugin;
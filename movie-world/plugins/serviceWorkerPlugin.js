@@ -0,0 +1,42 @@
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { resolve } from 'node:path';
+
+// Emit the service worker with the build's files as its precache manifest.
+// The version is a hash of the manifest, so each build replaces the previous app shell cache.
+const serviceWorkerPlugin = ({ src, fileName = 'sw.js' }) => {
+  let publicDir = null;
+  let srcPath = src;
+
+  return {
+    name: 'movie-world-service-worker',
+    apply: 'build',
+
+    configResolved(config) {
+      publicDir = config.publicDir;
+      srcPath = resolve(config.root, src);
+    },
+
+    generateBundle(_, bundle) {
+      const publicFiles = publicDir && existsSync(publicDir) ? readdirSync(publicDir) : [];
+      const precache = [
+        '/',
+        ...Object.keys(bundle),
+        ...publicFiles
+      ]
+        .map(file => (file.startsWith('/') ? file : `/${file}`))
+        .filter(file => !file.endsWith('.map'));
+
+      const version = createHash('sha256').update(precache.join('\n')).digest('hex').slice(0, 12);
+      const source = [
+        `self.__PRECACHE_MANIFEST__ = ${JSON.stringify(precache)};`,
+        `self.__CACHE_VERSION__ = ${JSON.stringify(version)};`,
+        readFileSync(srcPath, 'utf8')
+      ].join('\n');
+
+      this.emitFile({ type: 'asset', fileName, source });
+    }
+  };
+};
+
+export default serviceWorkerPlugin;
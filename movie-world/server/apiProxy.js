@@ -0,0 +1,195 @@
+// TMDB/OMDB proxy: adds the API keys server-side so they never reach the browser,
+// caches successful responses and rate-limits each client.
+// Mounted by plugins/apiProxyPlugin.js in dev/preview and by server/index.js on its own.
+
+const UPSTREAMS = {
+  tmdb: { baseUrl: 'https://api.themoviedb.org/3', keyParam: 'api_key', envName: 'TMDB_API_KEY' },
+  omdb: { baseUrl: 'https://www.omdbapi.com', keyParam: 'apikey', envName: 'OMDB_API_KEY' }
+};
+
+export const DEFAULT_PROXY_OPTIONS = {
+  basePath: '/api', // keep in sync with VITE_API_PROXY_URL
+  cacheTtl: 5 * 60 * 1000, // the browser caches per endpoint on top of this
+  maxCacheEntries: 500,
+  rateLimit: {
+    windowMs: 10 * 1000,
+    max: 100 // requests per client per window; TMDB allows roughly 50 per second in total
+  },
+  upstreamTimeout: 10 * 1000,
+  trustProxy: false // use X-Forwarded-For for the client address (only behind a reverse proxy)
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+// Fixed-window request counter per client address
+const createRateLimiter = ({ windowMs, max }) => {
+  const clients = new Map();
+
+  return (clientId, now = Date.now()) => {
+    // Forget clients whose window has ended so the map does not grow forever
+    if (clients.size > 1000) {
+      clients.forEach((entry, id) => {
+        if (entry.resetAt <= now) clients.delete(id);
+      });
+    }
+
+    let entry = clients.get(clientId);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      clients.set(clientId, entry);
+    }
+
+    entry.count++;
+    return {
+      allowed: entry.count <= max,
+      retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+    };
+  };
+};
+
+// Small TTL cache; Map keeps insertion order, so the first key is the oldest
+const createResponseCache = ({ ttl, maxEntries }) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() > entry.expiry) {
+        entries.delete(key);
+        return null;
+      }
+      return entry;
+    },
+
+    set(key, response) {
+      entries.delete(key);
+      entries.set(key, { ...response, expiry: Date.now() + ttl });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+};
+
+// Split '/api/tmdb/movie/550?x=1' into the upstream service and the path after it
+const matchRoute = (basePath, pathname) => {
+  if (!pathname.startsWith(`${basePath}/`)) return null;
+
+  const [service, ...rest] = pathname.slice(basePath.length + 1).split('/');
+  if (!UPSTREAMS[service]) return null;
+  return { service, path: rest.length > 0 ? `/${rest.join('/')}` : '/' };
+};
+
+const getClientId = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+// Create a connect-style middleware; requests outside basePath are passed to next()
+export const createApiProxy = (options = {}) => {
+  const config = {
+    ...DEFAULT_PROXY_OPTIONS,
+    ...options,
+    rateLimit: { ...DEFAULT_PROXY_OPTIONS.rateLimit, ...options.rateLimit }
+  };
+  const keys = options.keys || {};
+  const cache = createResponseCache({ ttl: config.cacheTtl, maxEntries: config.maxCacheEntries });
+  const checkRateLimit = createRateLimiter(config.rateLimit);
+  const inFlight = new Map();
+
+  const fetchUpstream = async (upstreamUrl) => {
+    const response = await fetch(upstreamUrl, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(config.upstreamTimeout)
+    });
+
+    return {
+      status: response.status,
+      contentType: response.headers.get('content-type') || 'application/json',
+      retryAfter: response.headers.get('retry-after'),
+      body: Buffer.from(await response.arrayBuffer())
+    };
+  };
+
+  // Identical concurrent requests share one upstream call
+  const load = (cacheKey, upstreamUrl) => {
+    if (!inFlight.has(cacheKey)) {
+      const promise = fetchUpstream(upstreamUrl)
+        .then((response) => {
+          if (response.status === 200) cache.set(cacheKey, response);
+          return response;
+        })
+        .finally(() => inFlight.delete(cacheKey));
+      inFlight.set(cacheKey, promise);
+    }
+    return inFlight.get(cacheKey);
+  };
+
+  const middleware = async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = matchRoute(config.basePath, url.pathname);
+    if (!route) {
+      if (next) next();
+      else sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, HEAD' });
+      return;
+    }
+
+    const upstream = UPSTREAMS[route.service];
+    const apiKey = keys[route.service];
+    if (!apiKey) {
+      sendJson(res, 503, { error: `${upstream.envName} is not set on the server` });
+      return;
+    }
+
+    const { allowed, retryAfter } = checkRateLimit(getClientId(req, config.trustProxy));
+    if (!allowed) {
+      sendJson(res, 429, { error: 'Too many requests' }, { 'Retry-After': String(retryAfter) });
+      return;
+    }
+
+    // Never trust a key sent by the browser; sort params so equivalent requests share a cache entry
+    url.searchParams.delete(upstream.keyParam);
+    url.searchParams.sort();
+    const cacheKey = `${route.service}:${route.path}?${url.searchParams}`;
+
+    const upstreamUrl = new URL(`${upstream.baseUrl}${route.path}`);
+    upstreamUrl.search = url.searchParams.toString();
+    upstreamUrl.searchParams.set(upstream.keyParam, apiKey);
+
+    try {
+      const cached = cache.get(cacheKey);
+      const response = cached || await load(cacheKey, upstreamUrl);
+
+      res.writeHead(response.status, {
+        'Content-Type': response.contentType,
+        'X-Cache': cached ? 'HIT' : 'MISS',
+        ...(response.retryAfter ? { 'Retry-After': response.retryAfter } : {})
+      });
+      res.end(req.method === 'HEAD' ? undefined : response.body);
+    } catch (error) {
+      console.error(`Error proxying ${route.service} request:`, error.message);
+      const status = error.name === 'TimeoutError' ? 504 : 502;
+      sendJson(res, status, { error: `Could not reach ${route.service.toUpperCase()}` });
+    }
+  };
+
+  middleware.clearCache = () => cache.clear();
+  return middleware;
+};
+
+// Read the API keys from environment variables (deliberately without the VITE_ prefix, so Vite never bundles them)
+export const getProxyKeys = (env = process.env) => ({
+  tmdb: env[UPSTREAMS.tmdb.envName] || '',
+  omdb: env[UPSTREAMS.omdb.envName] || ''
+});
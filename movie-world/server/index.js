@@ -0,0 +1,86 @@
+// Standalone server: the API proxy plus the production build in dist/.
+// Run `npm run build` first, then `npm run server` (reads .env; PORT defaults to 8080).
+
+import { createServer } from 'node:http';
+import { createReadStream, existsSync, statSync } from 'node:fs';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createApiProxy, getProxyKeys } from './apiProxy.js';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const DIST_DIR = join(ROOT, 'dist');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+// .env is optional; real environment variables win over it
+const loadEnvFile = () => {
+  try {
+    process.loadEnvFile?.(join(ROOT, '.env'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+const sendFile = (res, filePath) => {
+  const headers = { 'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream' };
+
+  // Hashed assets never change; the shell and service worker must always be revalidated
+  if (filePath.startsWith(join(DIST_DIR, 'assets') + sep)) {
+    headers['Cache-Control'] = 'public, max-age=31536000, immutable';
+  } else {
+    headers['Cache-Control'] = 'no-cache';
+  }
+
+  res.writeHead(200, headers);
+  createReadStream(filePath).pipe(res);
+};
+
+// Serve a built file, or index.html for app routes such as /watchlist or /movie/550
+const serveStatic = (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let filePath = null;
+  try {
+    filePath = normalize(join(DIST_DIR, decodeURIComponent(pathname)));
+  } catch {
+    // Malformed escape sequence; fall through to 404
+  }
+
+  // Never serve anything outside dist/
+  if (filePath?.startsWith(DIST_DIR + sep) && existsSync(filePath) && statSync(filePath).isFile()) {
+    sendFile(res, filePath);
+  } else if (!extname(pathname) && existsSync(join(DIST_DIR, 'index.html'))) {
+    sendFile(res, join(DIST_DIR, 'index.html'));
+  } else {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+  }
+};
+
+loadEnvFile();
+
+const keys = getProxyKeys();
+const proxy = createApiProxy({
+  keys,
+  trustProxy: process.env.TRUST_PROXY === 'true'
+});
+
+const server = createServer((req, res) => {
+  proxy(req, res, () => serveStatic(req, res));
+});
+
+const port = Number(process.env.PORT) || 8080;
+server.listen(port, () => {
+  console.log(`Movie World running at http://localhost:${port}`);
+  if (!keys.tmdb) console.warn('TMDB_API_KEY is not set; TMDB requests will fail');
+  if (!keys.omdb) console.warn('OMDB_API_KEY is not set; IMDb and Rotten Tomatoes ratings will be missing');
+  if (!existsSync(DIST_DIR)) console.warn('dist/ not found; run `npm run build` to serve the app');
+});
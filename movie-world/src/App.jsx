@@ -1,26 +1,100 @@
-import React, { useState, useEffect } from 'react';
-import { Search, Star, Plus, Check, Play, Calendar, Users, Filter, TrendingUp, Heart, X, AlertCircle } from 'lucide-react';
-import apiService from './services/apiService.js';
-import { getApiKeyErrorMessage, handleApiError, scrollToTop } from './utils/apiHelpers.js';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { Search, Check, Filter, SlidersHorizontal, TrendingUp, Compass, Heart, X, AlertCircle, RefreshCw, Tv, Pencil, WifiOff } from 'lucide-react';
+import apiService, { applyEnrichment } from './services/apiService.js';
+import { getApiKeyErrorMessage, handleApiError, isAbortError, scrollToTop, formatReleaseDate, appendUniqueItems } from './utils/apiHelpers.js';
 import Pagination from './components/Pagination.jsx';
+import InfiniteScrollSentinel from './components/InfiniteScrollSentinel.jsx';
 import LoadingSpinner from './components/LoadingSpinner.jsx';
+import DetailModal from './components/DetailModal.jsx';
+import DiscoverFilterPanel from './components/DiscoverFilterPanel.jsx';
+import ToggleGroup from './components/ToggleGroup.jsx';
+import CacheControls from './components/CacheControls.jsx';
+import LibraryTransferControls from './components/LibraryTransferControls.jsx';
+import LibraryToolbar from './components/LibraryToolbar.jsx';
+import PersonCard from './components/PersonCard.jsx';
+import PersonPage from './components/PersonPage.jsx';
+import ContentCard from './components/ContentCard.jsx';
+import WatchedEntryEditor from './components/WatchedEntryEditor.jsx';
+import ListPickerDialog from './components/ListPickerDialog.jsx';
+import ListsView from './components/ListsView.jsx';
+import useLibrary from './hooks/useLibrary.js';
+import useRetryStatus from './hooks/useRetryStatus.js';
+import useOfflineStatus from './hooks/useOfflineStatus.js';
+import useRecommendations from './hooks/useRecommendations.js';
+import useCustomLists from './hooks/useCustomLists.js';
+import useLibraryView from './hooks/useLibraryView.js';
+import { getLibraryKey } from './services/libraryStorage.js';
+import { hasActiveDiscoverFilters, areDiscoverFiltersEqual } from './utils/discoverFilters.js';
+import { applyLibraryView, getLibraryFilterOptions } from './utils/libraryFilters.js';
+import { TABS, parseLocation, buildUrl, getCurrentUrl } from './utils/router.js';
+import { getShowProgress, getEpisodeKey, formatEpisodeLabel } from './utils/episodeProgress.js';
+import { RATING_SCALE_OPTIONS, formatUserRating, getRatingScale, saveRatingScale } from './utils/ratings.js';
+import { PAGINATION_MODES, PAGINATION_MODE_OPTIONS, getPaginationMode, savePaginationMode } from './utils/paginationMode.js';
+
+const TRENDING_WINDOW_OPTIONS = [
+  { value: 'day', label: 'Today' },
+  { value: 'week', label: 'This Week' }
+];
+
+const TRENDING_TYPE_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'movie', label: 'Movies' },
+  { value: 'tv', label: 'TV' }
+];
 
 const EntertainmentPlatform = () => {
-  const [searchQuery, setSearchQuery] = useState('');
+  // Restore state from the URL on first load
+  const [initialRoute] = useState(() => parseLocation(window.location));
+  const [searchQuery, setSearchQuery] = useState(initialRoute.searchQuery);
   const [searchResults, setSearchResults] = useState([]);
-  const [watchlist, setWatchlist] = useState([]);
-  const [watchedList, setWatchedList] = useState([]);
-  const [selectedItem, setSelectedItem] = useState(null);
-  const [activeTab, setActiveTab] = useState('discover');
-  const [selectedGenre, setSelectedGenre] = useState('all');
-  const [contentType, setContentType] = useState('all');
+  const {
+    watchlist,
+    watchedList,
+    addToWatchlist,
+    removeFromWatchlist,
+    markAsWatched,
+    setEpisodesWatched,
+    updateEntry,
+    findRecord,
+    refresh: refreshLibrary
+  } = useLibrary();
+  const customLists = useCustomLists();
+  const [watchlistView, updateWatchlistView, resetWatchlistView] = useLibraryView('watchlist');
+  const [watchedView, updateWatchedView, resetWatchedView] = useLibraryView('watched');
+  const retryStatus = useRetryStatus();
+  const offlineStatus = useOfflineStatus(refreshLibrary);
+  const [selectedItem, setSelectedItem] = useState(initialRoute.detail);
+  const [selectedPerson, setSelectedPerson] = useState(initialRoute.person);
+  const [editingRecord, setEditingRecord] = useState(null);
+  const [listPickerItem, setListPickerItem] = useState(null);
+  const [selectedListId, setSelectedListId] = useState(initialRoute.listId);
+  const [ratingScale, setRatingScale] = useState(getRatingScale);
+  const [activeTab, setActiveTab] = useState(initialRoute.tab);
+  const [selectedGenre, setSelectedGenre] = useState(initialRoute.genre);
+  const [contentType, setContentType] = useState(initialRoute.type);
+  const [discoverFilters, setDiscoverFilters] = useState(initialRoute.filters);
+  const [showAdvancedFilters, setShowAdvancedFilters] = useState(hasActiveDiscoverFilters(initialRoute.filters));
+  const [trendingWindow, setTrendingWindow] = useState(initialRoute.trendingWindow);
+  const [trendingType, setTrendingType] = useState(initialRoute.trendingType);
   const [isLoading, setIsLoading] = useState(false);
-  const [trendingContent, setTrendingContent] = useState([]);
+  const [browseContent, setBrowseContent] = useState([]);
   const [genres, setGenres] = useState([]);
   const [error, setError] = useState(null);
   const [apiConfigured, setApiConfigured] = useState(false);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [searchPage, setSearchPage] = useState(1);
+  const [currentPage, setCurrentPage] = useState(initialRoute.page);
+  const [searchPage, setSearchPage] = useState(initialRoute.searchPage);
+  const [paginationMode, setPaginationMode] = useState(getPaginationMode);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isLoadingMoreSearch, setIsLoadingMoreSearch] = useState(false);
+  // Controllers of the current browse and search loads; loading more pages shares their lifetime
+  const browseControllerRef = useRef(null);
+  const searchControllerRef = useRef(null);
+  // Where the Discover grid was scrolled to before a person page replaced it
+  const browseScrollRef = useRef(null);
+  // The first URL sync and syncs after back/forward replace instead of push
+  const replaceNextUrlRef = useRef(true);
+  // Route state last written to the URL; back/forward to a title keeps its browse part
+  const currentRouteRef = useRef(initialRoute);
   const [paginationInfo, setPaginationInfo] = useState({
     page: 1,
     totalPages: 1,
@@ -41,11 +115,98 @@ const EntertainmentPlatform = () => {
 
 
 
-  // Initialize API and load data
+  // Keep the URL in step with tab, search, filters, page and selected title
+  useEffect(() => {
+    const route = {
+      tab: activeTab,
+      listId: selectedListId,
+      searchQuery,
+      searchPage,
+      page: currentPage,
+      genre: selectedGenre,
+      type: contentType,
+      trendingWindow,
+      trendingType,
+      filters: discoverFilters,
+      detail: selectedItem && { id: selectedItem.id, type: selectedItem.type },
+      person: selectedPerson && { id: selectedPerson.id }
+    };
+    currentRouteRef.current = route;
+
+    const url = buildUrl(route);
+    const currentUrl = getCurrentUrl();
+    if (url === currentUrl) return;
+
+    // Typing a search refines the current entry rather than adding one per keystroke
+    const isRefiningSearch = url.startsWith('/search?') && currentUrl.startsWith('/search?')
+      && new URLSearchParams(url.split('?')[1]).get('page') === new URLSearchParams(window.location.search).get('page');
+
+    if (replaceNextUrlRef.current || isRefiningSearch) {
+      window.history.replaceState(window.history.state, '', url);
+    } else {
+      window.history.pushState({ detail: !!selectedItem, person: !!selectedPerson }, '', url);
+    }
+    replaceNextUrlRef.current = false;
+  }, [
+    activeTab,
+    searchQuery,
+    searchPage,
+    currentPage,
+    selectedGenre,
+    contentType,
+    trendingWindow,
+    trendingType,
+    discoverFilters,
+    selectedItem,
+    selectedPerson,
+    selectedListId
+  ]);
+
+  // Restore state on browser back/forward
+  useEffect(() => {
+    const handlePopState = () => {
+      const route = parseLocation(window.location, currentRouteRef.current);
+      replaceNextUrlRef.current = true;
+
+      setActiveTab(route.tab);
+      setSelectedListId(route.listId);
+      setSearchQuery(route.searchQuery);
+      setSearchPage(route.searchPage);
+      setCurrentPage(route.page);
+      setSelectedGenre(route.genre);
+      setContentType(route.type);
+      setTrendingWindow(route.trendingWindow);
+      setTrendingType(route.trendingType);
+      // A new but equal filters object would reload the grid and drop infinitely scrolled pages
+      setDiscoverFilters(current => areDiscoverFiltersEqual(current, route.filters) ? current : route.filters);
+      // Keep the full item when returning to the title that is already open
+      setSelectedItem(current => {
+        if (!route.detail) return null;
+        if (current && current.id === route.detail.id && current.type === route.detail.type) return current;
+        return route.detail;
+      });
+      setSelectedPerson(current => {
+        if (!route.person) return null;
+        if (current && current.id === route.person.id) return current;
+        return route.person;
+      });
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const { recommendations, isLoading: isLoadingRecommendations } = useRecommendations([...watchlist, ...watchedList], apiConfigured);
+
+  // Any filter switches the grid from trending to server-side discover
+  const isFiltering = selectedGenre !== 'all'
+    || contentType !== 'all'
+    || hasActiveDiscoverFilters(discoverFilters);
+
+  // Initialize API and load genres
   useEffect(() => {
     const initializeApp = async () => {
       try {
-        setIsLoading(true);
         setError(null);
 
         // Check if APIs are configured
@@ -57,38 +218,105 @@ const EntertainmentPlatform = () => {
           return;
         }
 
-        // Load initial data
-        const [trendingResponse, genresData] = await Promise.all([
-          apiService.getTrendingContent(currentPage),
-          apiService.getGenres()
-        ]);
-
-        setTrendingContent(trendingResponse.results);
-        setPaginationInfo({
-          page: trendingResponse.page,
-          totalPages: trendingResponse.totalPages,
-          totalResults: trendingResponse.totalResults
-        });
+        const genresData = await apiService.getGenres();
         setGenres([{ id: 'all', name: 'All' }, ...genresData]);
-
       } catch (err) {
         console.error('Error initializing app:', err);
         setError(handleApiError(err, 'initializing app'));
-      } finally {
-        setIsLoading(false);
       }
     };
 
     initializeApp();
-  }, [currentPage]);
+  }, []);
+
+  // Fetch one page of trending or discover content for the current filters
+  const fetchBrowsePage = useCallback((page, options) => (
+    isFiltering
+      ? apiService.discoverContent(
+          contentType,
+          { ...discoverFilters, genre: selectedGenre !== 'all' ? selectedGenre : null },
+          page,
+          options
+        )
+      : apiService.getTrendingByType(trendingType, page, trendingWindow, options)
+  ), [isFiltering, contentType, discoverFilters, selectedGenre, trendingType, trendingWindow]);
+
+  // Load trending or discover content for the current page and filters.
+  // Changing page, filters or pagination mode aborts the previous load, including its OMDB lookups.
+  useEffect(() => {
+    if (!apiConfigured) return;
+
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    browseControllerRef.current = controller;
+
+    const loadContent = async () => {
+      try {
+        setIsLoading(true);
+
+        const response = await fetchBrowsePage(currentPage, options);
+
+        // Cached responses can resolve after the load was superseded
+        if (controller.signal.aborted) return;
+
+        setBrowseContent(response.results);
+        setPaginationInfo({
+          page: response.page,
+          totalPages: response.totalPages,
+          totalResults: response.totalResults
+        });
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error loading content:', err);
+        setError(handleApiError(err, 'loading content'));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    loadContent();
+
+    return () => controller.abort();
+  }, [apiConfigured, fetchBrowsePage, currentPage, paginationMode]);
+
+  // Infinite scroll: fetch the page after the last one shown and append the titles not shown yet
+  const loadMoreBrowse = useCallback(async () => {
+    const controller = browseControllerRef.current;
+    if (!controller || controller.signal.aborted) return;
 
-  // Search with debouncing
+    try {
+      setIsLoadingMore(true);
+      const response = await fetchBrowsePage(paginationInfo.page + 1, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+
+      setBrowseContent(current => appendUniqueItems(current, response.results));
+      setPaginationInfo({
+        page: response.page,
+        totalPages: response.totalPages,
+        totalResults: response.totalResults
+      });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error('Error loading more content:', err);
+      setError(handleApiError(err, 'loading more content'));
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [fetchBrowsePage, paginationInfo.page]);
+
+  // Search with debouncing; a newer query or page aborts the older request
   useEffect(() => {
+    const controller = new AbortController();
+    searchControllerRef.current = controller;
+
     const searchTimeout = setTimeout(async () => {
       if (searchQuery.length > 0) {
         try {
           setIsLoading(true);
-          const searchResponse = await apiService.searchContent(searchQuery, searchPage);
+          const searchResponse = await apiService.searchContent(searchQuery, searchPage, {
+            signal: controller.signal
+          });
+          if (controller.signal.aborted) return;
           setSearchResults(searchResponse.results);
           setSearchPaginationInfo({
             page: searchResponse.page,
@@ -96,12 +324,13 @@ const EntertainmentPlatform = () => {
             totalResults: searchResponse.totalResults
           });
         } catch (err) {
+          if (isAbortError(err)) return;
           console.error('Search error:', err);
           setError(handleApiError(err, 'searching content'));
           setSearchResults([]);
           setSearchPaginationInfo({ page: 1, totalPages: 1, totalResults: 0 });
         } finally {
-          setIsLoading(false);
+          if (!controller.signal.aborted) setIsLoading(false);
         }
       } else {
         setSearchResults([]);
@@ -109,246 +338,189 @@ const EntertainmentPlatform = () => {
       }
     }, 300);
 
-    return () => clearTimeout(searchTimeout);
-  }, [searchQuery, searchPage]);
+    return () => {
+      clearTimeout(searchTimeout);
+      controller.abort();
+    };
+  }, [searchQuery, searchPage, paginationMode]);
+
+  // Infinite scroll for search results
+  const loadMoreSearch = useCallback(async () => {
+    const controller = searchControllerRef.current;
+    if (!controller || controller.signal.aborted || !searchQuery) return;
 
-  const filteredContent = trendingContent.filter(item => {
-    const genreMatch = selectedGenre === 'all' || item.genre.some(g => {
-      if (typeof g === 'string') {
-        return g.toLowerCase() === selectedGenre.toLowerCase();
-      }
-      return false;
+    try {
+      setIsLoadingMoreSearch(true);
+      const searchResponse = await apiService.searchContent(searchQuery, searchPaginationInfo.page + 1, {
+        signal: controller.signal
+      });
+      if (controller.signal.aborted) return;
+
+      setSearchResults(current => appendUniqueItems(current, searchResponse.results));
+      setSearchPaginationInfo({
+        page: searchResponse.page,
+        totalPages: searchResponse.totalPages,
+        totalResults: searchResponse.totalResults
+      });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error('Error loading more search results:', err);
+      setError(handleApiError(err, 'searching content'));
+    } finally {
+      setIsLoadingMoreSearch(false);
+    }
+  }, [searchQuery, searchPaginationInfo.page]);
+
+  // Put the Discover grid back where it was when coming back from a person page
+  useLayoutEffect(() => {
+    if (selectedPerson || searchQuery || browseScrollRef.current === null) return;
+    window.scrollTo(0, browseScrollRef.current);
+    browseScrollRef.current = null;
+  }, [selectedPerson, searchQuery]);
+
+  // Update cards in place as OMDB ratings arrive
+  useEffect(() => {
+    return apiService.subscribeToEnrichment((update) => {
+      setBrowseContent(items => applyEnrichment(items, update));
+      setSearchResults(items => applyEnrichment(items, update));
     });
-    const typeMatch = contentType === 'all' || item.type === contentType;
-    return genreMatch && typeMatch;
+  }, []);
+
+  // Resolve list items' numeric genre ids to names
+  const getGenreNames = (item) => item.genre.map(g => {
+    const genre = genres.find(entry => entry.id === g);
+    return genre ? genre.name : g;
   });
 
-  const addToWatchlist = (item) => {
-    if (!watchlist.find(w => w.id === item.id)) {
-      setWatchlist([...watchlist, item]);
-    }
+  // Library tabs after their search, filters and sort
+  const visibleWatchlist = applyLibraryView(watchlist, watchlistView, getGenreNames);
+  const visibleWatchedList = applyLibraryView(watchedList, watchedView, getGenreNames);
+
+  // Pagination handlers
+  const handlePageChange = (page) => {
+    setCurrentPage(page);
+    scrollToTop();
   };
 
-  const removeFromWatchlist = (id) => {
-    setWatchlist(watchlist.filter(item => item.id !== id));
+  const handleGenreChange = (genreId) => {
+    setSelectedGenre(genreId);
+    setCurrentPage(1);
   };
 
-  const markAsWatched = (item) => {
-    if (!watchedList.find(w => w.id === item.id)) {
-      setWatchedList([...watchedList, item]);
-      removeFromWatchlist(item.id);
-    }
+  const handleContentTypeChange = (type) => {
+    setContentType(type);
+    setCurrentPage(1);
   };
 
-  // Pagination handlers
-  const handlePageChange = async (page) => {
-    try {
-      setIsLoading(true);
-      setCurrentPage(page);
+  const handleTrendingWindowChange = (timeWindow) => {
+    setTrendingWindow(timeWindow);
+    setCurrentPage(1);
+  };
 
-      const trendingResponse = await apiService.getTrendingContent(page);
-      setTrendingContent(trendingResponse.results);
-      setPaginationInfo({
-        page: trendingResponse.page,
-        totalPages: trendingResponse.totalPages,
-        totalResults: trendingResponse.totalResults
-      });
+  const handleTrendingTypeChange = (type) => {
+    setTrendingType(type);
+    setCurrentPage(1);
+  };
 
-      scrollToTop();
-    } catch (err) {
-      console.error('Error changing page:', err);
-      setError(handleApiError(err, 'loading page'));
-    } finally {
-      setIsLoading(false);
-    }
+  const handleDiscoverFiltersApply = (filters) => {
+    setDiscoverFilters(filters);
+    setCurrentPage(1);
   };
 
-  const handleSearchPageChange = (page) => {
-    setSearchPage(page);
+  const handleSearchChange = (query) => {
+    setSearchQuery(query);
+    setSearchPage(1);
+    setSelectedPerson(null);
+  };
+
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    browseScrollRef.current = null;
+    setSelectedListId(null);
+    setSearchQuery('');
+    setSearchPage(1);
+    setSelectedPerson(null);
+  };
+
+  // Open a person page from search results or a title's cast list
+  const handleSelectPerson = (person) => {
+    if (!selectedPerson && !searchQuery && activeTab === 'discover') {
+      browseScrollRef.current = window.scrollY;
+    }
+    setSelectedItem(null);
+    setSelectedPerson(person);
+    setSearchQuery('');
+    setSearchPage(1);
     scrollToTop();
   };
 
-  const getRecommendations = () => {
-    if (watchlist.length === 0) return [];
-
-    const watchlistGenres = watchlist.flatMap(item => item.genre);
-    const genreCounts = watchlistGenres.reduce((acc, genre) => {
-      acc[genre] = (acc[genre] || 0) + 1;
-      return acc;
-    }, {});
-
-    const topGenres = Object.entries(genreCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 3)
-      .map(([genre]) => genre);
-
-    return trendingContent.filter(item =>
-      !watchlist.find(w => w.id === item.id) &&
-      !watchedList.find(w => w.id === item.id) &&
-      item.genre.some(g => topGenres.includes(g))
-    ).slice(0, 4);
+  // Leave a person page for wherever the user came from, as with handleCloseDetail
+  const handleClosePerson = () => {
+    if (window.history.state?.person) {
+      window.history.back();
+    } else {
+      setSelectedPerson(null);
+    }
   };
 
-  const ContentCard = ({ item, showActions = true }) => (
-    <div className="bg-gray-800 rounded-lg overflow-hidden hover:transform hover:scale-105 transition-all duration-300 shadow-lg">
-      <div className="relative">
-        <img
-          src={item.poster}
-          alt={item.title}
-          className="w-full h-64 object-cover"
-        />
-        <div className="absolute top-2 right-2">
-          <span className={`px-2 py-1 rounded text-xs font-bold ${
-            item.type === 'movie' ? 'bg-blue-600' : 'bg-purple-600'
-          } text-white`}>
-            {item.type === 'movie' ? 'Movie' : 'TV Show'}
-          </span>
-        </div>
-        <div className="absolute bottom-2 left-2 bg-black bg-opacity-70 px-2 py-1 rounded flex items-center">
-          <Star className="w-4 h-4 text-yellow-400 mr-1" />
-          <span className="text-white text-sm">{item.rating}</span>
-        </div>
-      </div>
-      <div className="p-4">
-        <h3 className="text-white font-bold text-lg mb-2 line-clamp-1">{item.title}</h3>
-        <p className="text-gray-400 text-sm mb-2">{item.year} • {item.genre.join(', ')}</p>
-        <p className="text-gray-300 text-sm mb-4 line-clamp-2">{item.plot}</p>
-
-        {showActions && (
-          <div className="flex gap-2">
-            <button
-              onClick={() => setSelectedItem(item)}
-              className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center gap-2 transition-colors"
-            >
-              <Play className="w-4 h-4" />
-              Details
-            </button>
-
-            {!watchlist.find(w => w.id === item.id) && !watchedList.find(w => w.id === item.id) ? (
-              <button
-                onClick={() => addToWatchlist(item)}
-                className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center transition-colors"
-              >
-                <Plus className="w-4 h-4" />
-              </button>
-            ) : watchedList.find(w => w.id === item.id) ? (
-              <button className="bg-green-600 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center">
-                <Check className="w-4 h-4" />
-              </button>
-            ) : (
-              <button
-                onClick={() => markAsWatched(item)}
-                className="bg-orange-600 hover:bg-orange-700 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center transition-colors"
-              >
-                <Check className="w-4 h-4" />
-              </button>
-            )}
-          </div>
-        )}
-      </div>
-    </div>
-  );
+  // Closing a title opened in this session goes back rather than adding a history entry
+  const handleCloseDetail = () => {
+    if (window.history.state?.detail) {
+      window.history.back();
+    } else {
+      setSelectedItem(null);
+    }
+  };
 
-  const DetailModal = ({ item, onClose }) => (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className="bg-gray-900 rounded-lg max-w-4xl w-full max-h-screen overflow-y-auto">
-        <div className="relative">
-          <button
-            onClick={onClose}
-            className="absolute top-4 right-4 text-white hover:text-gray-300 z-10"
-          >
-            <X className="w-6 h-6" />
-          </button>
-
-          <div className="flex flex-col md:flex-row">
-            <img
-              src={item.poster}
-              alt={item.title}
-              className="w-full md:w-80 h-96 md:h-auto object-cover"
-            />
-
-            <div className="p-6 flex-1">
-              <div className="flex items-center gap-2 mb-2">
-                <h2 className="text-white text-3xl font-bold">{item.title}</h2>
-                <span className={`px-2 py-1 rounded text-sm font-bold ${
-                  item.type === 'movie' ? 'bg-blue-600' : 'bg-purple-600'
-                } text-white`}>
-                  {item.type === 'movie' ? 'Movie' : 'TV Show'}
-                </span>
-              </div>
+  // Switching mode starts both grids again from the first page
+  const handlePaginationModeChange = (mode) => {
+    setPaginationMode(mode);
+    savePaginationMode(mode);
+    setCurrentPage(1);
+    setSearchPage(1);
+  };
 
-              <div className="flex items-center gap-4 mb-4 text-gray-400">
-                <div className="flex items-center gap-1">
-                  <Calendar className="w-4 h-4" />
-                  <span>{item.year}</span>
-                </div>
-                <div className="flex items-center gap-1">
-                  <Users className="w-4 h-4" />
-                  <span>{item.genre.join(', ')}</span>
-                </div>
-              </div>
+  const handleRatingScaleChange = (scale) => {
+    setRatingScale(scale);
+    saveRatingScale(scale);
+  };
 
-              <div className="mb-6">
-                <h3 className="text-white text-lg font-semibold mb-2">Ratings</h3>
-                <div className="flex gap-4">
-                  <div className="text-center">
-                    <div className="text-yellow-400 font-bold">{item.imdb}</div>
-                    <div className="text-gray-400 text-sm">IMDB</div>
-                  </div>
-                  <div className="text-center">
-                    <div className="text-red-400 font-bold">{item.rottenTomatoes}%</div>
-                    <div className="text-gray-400 text-sm">RT</div>
-                  </div>
-                  <div className="text-center">
-                    <div className="text-blue-400 font-bold">{item.tmdb}</div>
-                    <div className="text-gray-400 text-sm">TMDB</div>
-                  </div>
-                </div>
-              </div>
+  const handleSearchPageChange = (page) => {
+    setSearchPage(page);
+    scrollToTop();
+  };
 
-              <div className="mb-6">
-                <h3 className="text-white text-lg font-semibold mb-2">Plot</h3>
-                <p className="text-gray-300">{item.plot}</p>
-              </div>
+  // Shows the user has started and not caught up on, with the episode to watch next
+  const getNextEpisodes = () => [...watchlist, ...watchedList]
+    .filter(record => record.type === 'tv' && record.watchedEpisodes?.length > 0)
+    .map(record => ({ show: record, nextEpisode: getShowProgress(record).nextEpisode }))
+    .filter(entry => entry.nextEpisode);
 
-              <div className="mb-6">
-                <h3 className="text-white text-lg font-semibold mb-2">Cast</h3>
-                <p className="text-gray-300">{item.cast.join(', ')}</p>
-              </div>
+  // Library state and handlers shared by every content card
+  const getCardProps = (item) => ({
+    genreNames: getGenreNames(item),
+    isInWatchlist: watchlist.some(record => record.key === getLibraryKey(item)),
+    isWatched: watchedList.some(record => record.key === getLibraryKey(item)),
+    onSelect: setSelectedItem,
+    onAddToWatchlist: addToWatchlist,
+    onMarkAsWatched: markAsWatched,
+    onAddToList: setListPickerItem
+  });
 
-              <div className="flex gap-3">
-                {!watchlist.find(w => w.id === item.id) && !watchedList.find(w => w.id === item.id) && (
-                  <button
-                    onClick={() => {
-                      addToWatchlist(item);
-                      onClose();
-                    }}
-                    className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded font-medium flex items-center gap-2 transition-colors"
-                  >
-                    <Plus className="w-5 h-5" />
-                    Add to Watchlist
-                  </button>
-                )}
+  // Reload library and lists after an import or backup restore
+  const handleLibraryImported = () => {
+    refreshLibrary();
+    customLists.refresh();
+  };
 
-                {watchlist.find(w => w.id === item.id) && (
-                  <button
-                    onClick={() => {
-                      markAsWatched(item);
-                      onClose();
-                    }}
-                    className="bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded font-medium flex items-center gap-2 transition-colors"
-                  >
-                    <Check className="w-5 h-5" />
-                    Mark as Watched
-                  </button>
-                )}
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
+  // Add the picked title to a list or take it off again
+  const handleToggleListItem = (list, isMember) => {
+    if (isMember) {
+      customLists.addToList(list.id, listPickerItem);
+    } else {
+      customLists.removeFromList(list.id, listPickerItem);
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gray-900">
@@ -365,17 +537,17 @@ const EntertainmentPlatform = () => {
                   type="text"
                   placeholder="Search movies, TV shows, actors..."
                   value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
+                  onChange={(e) => handleSearchChange(e.target.value)}
                   className="w-full pl-10 pr-4 py-2 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
               </div>
             </div>
 
             <nav className="flex gap-6">
-              {['discover', 'watchlist', 'watched'].map((tab) => (
+              {TABS.map((tab) => (
                 <button
                   key={tab}
-                  onClick={() => setActiveTab(tab)}
+                  onClick={() => handleTabChange(tab)}
                   className={`px-4 py-2 rounded-lg font-medium capitalize transition-colors ${
                     activeTab === tab
                       ? 'bg-blue-600 text-white'
@@ -393,8 +565,59 @@ const EntertainmentPlatform = () => {
             </nav>
           </div>
         </div>
+
+        {/* Offline Notice */}
+        {(!offlineStatus.isOnline || (offlineStatus.pendingCount > 0 && !offlineStatus.syncDismissed)) && (
+          <div className="bg-gray-700 text-gray-200 text-sm" role="status">
+            <div className="max-w-7xl mx-auto px-4 py-2 flex items-center gap-2">
+              <WifiOff className="w-4 h-4 flex-shrink-0" />
+              <span className="flex-1">
+                {!offlineStatus.isOnline
+                  ? `You're offline. Your library and previously opened titles are still available${
+                    offlineStatus.pendingCount > 0
+                      ? `; ${offlineStatus.pendingCount} change${offlineStatus.pendingCount === 1 ? '' : 's'} will sync when you reconnect`
+                      : ''
+                  }.`
+                  : offlineStatus.syncFailed
+                    ? `Couldn't update ${offlineStatus.pendingCount} title${offlineStatus.pendingCount === 1 ? '' : 's'} saved while offline. Trying again shortly.`
+                    : `Back online. Updating ${offlineStatus.pendingCount} title${offlineStatus.pendingCount === 1 ? '' : 's'} saved while offline...`}
+              </span>
+              {offlineStatus.isOnline && offlineStatus.syncFailed && (
+                <>
+                  <button
+                    onClick={offlineStatus.retrySync}
+                    className="flex items-center gap-1 text-blue-300 hover:text-blue-200"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                    Retry now
+                  </button>
+                  <button
+                    onClick={offlineStatus.dismissSyncError}
+                    className="text-gray-400 hover:text-white"
+                    aria-label="Dismiss sync notice"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
       </header>
 
+      {/* Retry Notice */}
+      {retryStatus.isRetrying && (
+        <div className="bg-yellow-900 border-b border-yellow-700 text-yellow-200 text-sm">
+          <div className="max-w-7xl mx-auto px-4 py-2 flex items-center gap-2">
+            <RefreshCw className="w-4 h-4 animate-spin" />
+            <span>
+              {retryStatus.latest.status === 429 ? 'Rate limited by the server. ' : 'Connection problem. '}
+              Retrying… (attempt {retryStatus.latest.attempt} of {retryStatus.latest.maxRetries})
+            </span>
+          </div>
+        </div>
+      )}
+
       <main className="max-w-7xl mx-auto px-4 py-8">
         {/* Error Display */}
         {error && (
@@ -414,6 +637,7 @@ const EntertainmentPlatform = () => {
                   <li>Get a free OMDB API key from <a href="http://www.omdbapi.com/apikey.aspx" target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">omdbapi.com</a></li>
                   <li>Create a .env file in your project root</li>
                   <li>Add your API keys as VITE_TMDB_API_KEY and VITE_OMDB_API_KEY</li>
+                  <li>Or, to keep the keys out of the browser, set TMDB_API_KEY, OMDB_API_KEY and VITE_USE_API_PROXY=true (see API_SETUP.md)</li>
                 </ol>
               </div>
             )}
@@ -422,9 +646,17 @@ const EntertainmentPlatform = () => {
         {/* Search Results */}
         {searchQuery && (
           <section className="mb-8">
-            <h2 className="text-2xl font-bold text-white mb-6">
-              Search Results for "{searchQuery}"
-            </h2>
+            <div className="flex flex-wrap items-center gap-4 mb-6">
+              <h2 className="text-2xl font-bold text-white">
+                Search Results for "{searchQuery}"
+              </h2>
+              <ToggleGroup
+                options={PAGINATION_MODE_OPTIONS}
+                value={paginationMode}
+                onChange={handlePaginationModeChange}
+                className="ml-auto"
+              />
+            </div>
             {isLoading ? (
               <div className="text-center py-8">
                 <LoadingSpinner size="lg" />
@@ -434,18 +666,31 @@ const EntertainmentPlatform = () => {
               <>
                 <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
                   {searchResults.map((item) => (
-                    <ContentCard key={item.id} item={item} />
+                    item.type === 'person' ? (
+                      <PersonCard key={`${item.type}-${item.id}`} person={item} onSelect={handleSelectPerson} />
+                    ) : (
+                      <ContentCard key={`${item.type}-${item.id}`} item={item} {...getCardProps(item)} />
+                    )
                   ))}
                 </div>
 
                 {/* Pagination for Search Results */}
-                <Pagination
-                  currentPage={searchPaginationInfo.page}
-                  totalPages={searchPaginationInfo.totalPages}
-                  totalResults={searchPaginationInfo.totalResults}
-                  onPageChange={handleSearchPageChange}
-                  className="mt-8"
-                />
+                {paginationMode === PAGINATION_MODES.INFINITE ? (
+                  <InfiniteScrollSentinel
+                    onLoadMore={loadMoreSearch}
+                    hasMore={searchPaginationInfo.page < searchPaginationInfo.totalPages}
+                    isLoading={isLoadingMoreSearch}
+                    className="mt-8"
+                  />
+                ) : (
+                  <Pagination
+                    currentPage={searchPaginationInfo.page}
+                    totalPages={searchPaginationInfo.totalPages}
+                    totalResults={searchPaginationInfo.totalResults}
+                    onPageChange={handleSearchPageChange}
+                    className="mt-8"
+                  />
+                )}
               </>
             ) : (
               <div className="text-center py-8">
@@ -455,8 +700,17 @@ const EntertainmentPlatform = () => {
           </section>
         )}
 
+        {/* Person Page */}
+        {!searchQuery && selectedPerson && (
+          <PersonPage
+            person={selectedPerson}
+            onBack={handleClosePerson}
+            onSelectItem={setSelectedItem}
+          />
+        )}
+
         {/* Main Content */}
-        {!searchQuery && (
+        {!searchQuery && !selectedPerson && (
           <>
             {activeTab === 'discover' && (
               <>
@@ -470,7 +724,7 @@ const EntertainmentPlatform = () => {
 
                     <select
                       value={selectedGenre}
-                      onChange={(e) => setSelectedGenre(e.target.value)}
+                      onChange={(e) => handleGenreChange(e.target.value)}
                       className="bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                     >
                       {genres.map((genre) => (
@@ -482,21 +736,68 @@ const EntertainmentPlatform = () => {
 
                     <select
                       value={contentType}
-                      onChange={(e) => setContentType(e.target.value)}
+                      onChange={(e) => handleContentTypeChange(e.target.value)}
                       className="bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                     >
                       <option value="all">All Types</option>
                       <option value="movie">Movies</option>
                       <option value="tv">TV Shows</option>
                     </select>
+
+                    <button
+                      onClick={() => setShowAdvancedFilters(!showAdvancedFilters)}
+                      className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 transition-colors ${
+                        hasActiveDiscoverFilters(discoverFilters)
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-gray-700 text-gray-300 hover:bg-gray-600 hover:text-white'
+                      }`}
+                    >
+                      <SlidersHorizontal className="w-4 h-4" />
+                      More Filters
+                    </button>
+
+                    <ToggleGroup
+                      options={PAGINATION_MODE_OPTIONS}
+                      value={paginationMode}
+                      onChange={handlePaginationModeChange}
+                      className="ml-auto"
+                    />
                   </div>
+
+                  {showAdvancedFilters && (
+                    <DiscoverFilterPanel
+                      filters={discoverFilters}
+                      onApply={handleDiscoverFiltersApply}
+                    />
+                  )}
                 </section>
 
-                {/* Trending Content */}
+                {/* Trending or Discover Content */}
                 <section className="mb-12">
                   <div className="flex items-center gap-2 mb-6">
-                    <TrendingUp className="w-6 h-6 text-orange-500" />
-                    <h2 className="text-2xl font-bold text-white">Trending Now</h2>
+                    {isFiltering ? (
+                      <Compass className="w-6 h-6 text-blue-500" />
+                    ) : (
+                      <TrendingUp className="w-6 h-6 text-orange-500" />
+                    )}
+                    <h2 className="text-2xl font-bold text-white">
+                      {isFiltering ? 'Discover' : 'Trending Now'}
+                    </h2>
+
+                    {!isFiltering && (
+                      <div className="ml-auto flex flex-wrap gap-3">
+                        <ToggleGroup
+                          options={TRENDING_WINDOW_OPTIONS}
+                          value={trendingWindow}
+                          onChange={handleTrendingWindowChange}
+                        />
+                        <ToggleGroup
+                          options={TRENDING_TYPE_OPTIONS}
+                          value={trendingType}
+                          onChange={handleTrendingTypeChange}
+                        />
+                      </div>
+                    )}
                   </div>
                   <div className="relative">
                     {isLoading && (
@@ -505,34 +806,58 @@ const EntertainmentPlatform = () => {
                       </div>
                     )}
                     <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-                      {filteredContent.map((item) => (
-                        <ContentCard key={item.id} item={item} />
+                      {browseContent.map((item) => (
+                        <ContentCard key={`${item.type}-${item.id}`} item={item} {...getCardProps(item)} />
                       ))}
                     </div>
+                    {!isLoading && isFiltering && browseContent.length === 0 && (
+                      <div className="text-center py-8">
+                        <div className="text-gray-400">No titles match these filters</div>
+                      </div>
+                    )}
                   </div>
 
-                  {/* Pagination for Trending Content */}
-                  <Pagination
-                    currentPage={paginationInfo.page}
-                    totalPages={paginationInfo.totalPages}
-                    totalResults={paginationInfo.totalResults}
-                    onPageChange={handlePageChange}
-                    className="mt-8"
-                  />
+                  {/* Pagination for Trending or Discover Content */}
+                  {paginationMode === PAGINATION_MODES.INFINITE ? (
+                    !isLoading && (
+                      <InfiniteScrollSentinel
+                        onLoadMore={loadMoreBrowse}
+                        hasMore={paginationInfo.page < paginationInfo.totalPages}
+                        isLoading={isLoadingMore}
+                        className="mt-8"
+                      />
+                    )
+                  ) : (
+                    <Pagination
+                      currentPage={paginationInfo.page}
+                      totalPages={paginationInfo.totalPages}
+                      totalResults={paginationInfo.totalResults}
+                      onPageChange={handlePageChange}
+                      className="mt-8"
+                    />
+                  )}
                 </section>
 
-                {/* Recommendations */}
-                {getRecommendations().length > 0 && (
+                {/* Recommendations; earlier picks stay up while they reload after a library change */}
+                {(recommendations.length > 0 || isLoadingRecommendations) && (
                   <section className="mb-12">
                     <div className="flex items-center gap-2 mb-6">
                       <Heart className="w-6 h-6 text-red-500" />
                       <h2 className="text-2xl font-bold text-white">Recommended for You</h2>
+                      {isLoadingRecommendations && recommendations.length > 0 && <LoadingSpinner size="sm" />}
                     </div>
-                    <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-                      {getRecommendations().map((item) => (
-                        <ContentCard key={item.id} item={item} />
-                      ))}
-                    </div>
+                    {recommendations.length === 0 ? (
+                      <LoadingSpinner size="lg" className="py-12" />
+                    ) : (
+                      <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+                        {recommendations.map((item) => (
+                          <div key={`${item.type}-${item.id}`}>
+                            <ContentCard item={item} {...getCardProps(item)} />
+                            <p className="text-gray-400 text-sm mt-2">{item.recommendationReason}</p>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </section>
                 )}
               </>
@@ -541,13 +866,61 @@ const EntertainmentPlatform = () => {
             {activeTab === 'watchlist' && (
               <section>
                 <h2 className="text-2xl font-bold text-white mb-6">My Watchlist</h2>
-                {watchlist.length > 0 ? (
+
+                {/* Next Episodes */}
+                {getNextEpisodes().length > 0 && (
+                  <div className="mb-8">
+                    <div className="flex items-center gap-2 mb-4">
+                      <Tv className="w-5 h-5 text-purple-400" />
+                      <h3 className="text-xl font-semibold text-white">Next Episode to Watch</h3>
+                    </div>
+                    <ul className="divide-y divide-gray-700 bg-gray-800 rounded-lg">
+                      {getNextEpisodes().map(({ show, nextEpisode }) => (
+                        <li key={show.key} className="flex items-center gap-4 px-4 py-3">
+                          <button
+                            onClick={() => setSelectedItem(show)}
+                            className="text-white font-medium hover:text-blue-400 text-left flex-1 transition-colors"
+                          >
+                            {show.title}
+                          </button>
+                          <span className="text-gray-300 text-sm">{formatEpisodeLabel(nextEpisode)}</span>
+                          <button
+                            onClick={() => setEpisodesWatched(
+                              show,
+                              [getEpisodeKey(nextEpisode.seasonNumber, nextEpisode.episodeNumber)],
+                              true
+                            )}
+                            className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm font-medium flex items-center gap-1 transition-colors"
+                          >
+                            <Check className="w-4 h-4" />
+                            Watched
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {watchlist.length > 0 && (
+                  <LibraryToolbar
+                    view={watchlistView}
+                    onChange={updateWatchlistView}
+                    onReset={resetWatchlistView}
+                    filterOptions={getLibraryFilterOptions(watchlist, getGenreNames)}
+                    showWatchedFilters={false}
+                    shownCount={visibleWatchlist.length}
+                    totalCount={watchlist.length}
+                  />
+                )}
+
+                {visibleWatchlist.length > 0 ? (
                   <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-                    {watchlist.map((item) => (
-                      <div key={item.id} className="relative">
-                        <ContentCard item={item} />
+                    {visibleWatchlist.map((item) => (
+                      <div key={item.key} className="relative">
+                        <ContentCard item={item} {...getCardProps(item)} />
                         <button
-                          onClick={() => removeFromWatchlist(item.id)}
+                          onClick={() => removeFromWatchlist(item)}
+                          aria-label={`Remove ${item.title} from watchlist`}
                           className="absolute top-2 left-2 bg-red-600 hover:bg-red-700 text-white p-1 rounded-full transition-colors"
                         >
                           <X className="w-4 h-4" />
@@ -555,11 +928,13 @@ const EntertainmentPlatform = () => {
                       </div>
                     ))}
                   </div>
+                ) : watchlist.length > 0 ? (
+                  <div className="text-center py-12 text-gray-400">No titles match your search and filters</div>
                 ) : (
                   <div className="text-center py-12">
                     <div className="text-gray-400 mb-4">Your watchlist is empty</div>
                     <button
-                      onClick={() => setActiveTab('discover')}
+                      onClick={() => handleTabChange('discover')}
                       className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-medium transition-colors"
                     >
                       Discover Content
@@ -571,18 +946,61 @@ const EntertainmentPlatform = () => {
 
             {activeTab === 'watched' && (
               <section>
-                <h2 className="text-2xl font-bold text-white mb-6">Watched</h2>
-                {watchedList.length > 0 ? (
+                <div className="flex flex-wrap items-center gap-4 mb-6">
+                  <h2 className="text-2xl font-bold text-white">Watched</h2>
+                  <ToggleGroup
+                    options={RATING_SCALE_OPTIONS}
+                    value={ratingScale}
+                    onChange={handleRatingScaleChange}
+                    className="ml-auto"
+                  />
+                </div>
+                {watchedList.length > 0 && (
+                  <LibraryToolbar
+                    view={watchedView}
+                    onChange={updateWatchedView}
+                    onReset={resetWatchedView}
+                    filterOptions={getLibraryFilterOptions(watchedList, getGenreNames)}
+                    showWatchedFilters
+                    shownCount={visibleWatchedList.length}
+                    totalCount={watchedList.length}
+                  />
+                )}
+                {visibleWatchedList.length > 0 ? (
                   <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-                    {watchedList.map((item) => (
-                      <ContentCard key={item.id} item={item} showActions={false} />
+                    {visibleWatchedList.map((item) => (
+                      <div key={item.key}>
+                        <ContentCard item={item} showActions={false} {...getCardProps(item)} />
+                        <div className="mt-2 flex items-start gap-2">
+                          <div className="flex-1 min-w-0 text-sm">
+                            <div className="text-purple-400 font-semibold">
+                              {formatUserRating(item.userRating, ratingScale)}
+                            </div>
+                            {item.watchedAt && (
+                              <div className="text-gray-400">Watched {formatReleaseDate(item.watchedAt)}</div>
+                            )}
+                            {item.notes && (
+                              <p className="text-gray-300 line-clamp-2">{item.notes}</p>
+                            )}
+                          </div>
+                          <button
+                            onClick={() => setEditingRecord(item)}
+                            aria-label={`Edit rating and notes for ${item.title}`}
+                            className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded transition-colors"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
                     ))}
                   </div>
+                ) : watchedList.length > 0 ? (
+                  <div className="text-center py-12 text-gray-400">No titles match your search and filters</div>
                 ) : (
                   <div className="text-center py-12">
                     <div className="text-gray-400 mb-4">No watched content yet</div>
                     <button
-                      onClick={() => setActiveTab('discover')}
+                      onClick={() => handleTabChange('discover')}
                       className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-medium transition-colors"
                     >
                       Start Watching
@@ -591,15 +1009,71 @@ const EntertainmentPlatform = () => {
                 )}
               </section>
             )}
+
+            {activeTab === 'lists' && (
+              <ListsView
+                lists={customLists.lists}
+                selectedListId={selectedListId}
+                onSelectList={setSelectedListId}
+                onCreate={customLists.createList}
+                onRename={customLists.renameList}
+                onDelete={(id) => {
+                  customLists.deleteList(id);
+                  setSelectedListId(null);
+                }}
+                onRemoveItem={customLists.removeFromList}
+                onReorder={customLists.reorderList}
+                onSelectItem={setSelectedItem}
+                isListNameTaken={customLists.isListNameTaken}
+              />
+            )}
           </>
         )}
       </main>
 
+      <footer className="max-w-7xl mx-auto px-4 pb-8">
+        <LibraryTransferControls ratingScale={ratingScale} onImported={handleLibraryImported} />
+        <CacheControls />
+      </footer>
+
       {/* Detail Modal */}
       {selectedItem && (
         <DetailModal
           item={selectedItem}
-          onClose={() => setSelectedItem(null)}
+          onClose={handleCloseDetail}
+          isInWatchlist={watchlist.some(record => record.key === getLibraryKey(selectedItem))}
+          isWatched={watchedList.some(record => record.key === getLibraryKey(selectedItem))}
+          onAddToWatchlist={addToWatchlist}
+          onMarkAsWatched={markAsWatched}
+          onSelectPerson={handleSelectPerson}
+          libraryRecord={findRecord(selectedItem)}
+          ratingScale={ratingScale}
+          onSetEpisodesWatched={setEpisodesWatched}
+          onAddToList={setListPickerItem}
+          renderCard={(item) => <ContentCard item={item} {...getCardProps(item)} />}
+        />
+      )}
+
+      {/* Add to List Picker */}
+      {listPickerItem && (
+        <ListPickerDialog
+          item={listPickerItem}
+          lists={customLists.lists}
+          isInList={(list) => list.items.some(entry => entry.key === getLibraryKey(listPickerItem))}
+          isListNameTaken={customLists.isListNameTaken}
+          onToggle={handleToggleListItem}
+          onCreate={customLists.createList}
+          onClose={() => setListPickerItem(null)}
+        />
+      )}
+
+      {/* Rating and Notes Editor */}
+      {editingRecord && (
+        <WatchedEntryEditor
+          record={editingRecord}
+          scale={ratingScale}
+          onSave={updateEntry}
+          onClose={() => setEditingRecord(null)}
         />
       )}
     </div>
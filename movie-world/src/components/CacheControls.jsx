@@ -0,0 +1,65 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Database, RefreshCw, Trash2 } from 'lucide-react';
+import apiService from '../services/apiService.js';
+
+// Footer showing response cache usage with a manual clear button
+const CacheControls = () => {
+  const [stats, setStats] = useState(null);
+  const [isClearing, setIsClearing] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    try {
+      setStats(await apiService.getCacheStats());
+    } catch (error) {
+      console.error('Error loading cache stats:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  const handleClear = async () => {
+    try {
+      setIsClearing(true);
+      await apiService.clearCache();
+    } catch (error) {
+      console.error('Error clearing cache:', error);
+    } finally {
+      setIsClearing(false);
+      loadStats();
+    }
+  };
+
+  if (!stats) return null;
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-4 text-sm text-gray-500">
+      <div className="flex items-center gap-2">
+        <Database className="w-4 h-4" />
+        <span>
+          Cache: {stats.size} in memory, {stats.persistentEntries} stored
+          {' · '}
+          {Math.round(stats.hitRate * 100)}% hit rate
+        </span>
+      </div>
+      <button
+        onClick={loadStats}
+        className="flex items-center gap-1 hover:text-white transition-colors"
+        aria-label="Refresh cache stats"
+      >
+        <RefreshCw className="w-4 h-4" />
+      </button>
+      <button
+        onClick={handleClear}
+        disabled={isClearing}
+        className="flex items-center gap-1 hover:text-white transition-colors disabled:opacity-50"
+      >
+        <Trash2 className="w-4 h-4" />
+        Clear cache
+      </button>
+    </div>
+  );
+};
+
+export default CacheControls;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { Star, Plus, Check, Info, ListPlus } from 'lucide-react';
+import EpisodeProgress from './EpisodeProgress.jsx';
+
+// Poster card for a movie or TV show with quick library actions
+const ContentCard = ({
+  item,
+  genreNames = item.genre,
+  showActions = true,
+  isInWatchlist,
+  isWatched,
+  onSelect,
+  onAddToWatchlist,
+  onMarkAsWatched,
+  onAddToList,
+  className = ''
+}) => (
+  <div className={`bg-gray-800 rounded-lg overflow-hidden hover:transform hover:scale-105 transition-all duration-300 shadow-lg ${className}`}>
+    <div className="relative">
+      <img
+        src={item.poster}
+        alt={item.title}
+        className="w-full h-64 object-cover"
+      />
+      <div className="absolute top-2 right-2">
+        <span className={`px-2 py-1 rounded text-xs font-bold ${
+          item.type === 'movie' ? 'bg-blue-600' : 'bg-purple-600'
+        } text-white`}>
+          {item.type === 'movie' ? 'Movie' : 'TV Show'}
+        </span>
+      </div>
+      <div className="absolute bottom-2 left-2 bg-black bg-opacity-70 px-2 py-1 rounded flex items-center">
+        <Star className="w-4 h-4 text-yellow-400 mr-1" />
+        <span className="text-white text-sm">{item.rating}</span>
+      </div>
+    </div>
+    <div className="p-4">
+      <h3 className="text-white font-bold text-lg mb-2 line-clamp-1">{item.title}</h3>
+      <p className="text-gray-400 text-sm mb-2">{item.year} • {genreNames.join(', ')}</p>
+      <div className="flex items-center gap-3 mb-2 h-5 text-xs">
+        {item.omdbPending ? (
+          <>
+            <span className="w-16 h-4 bg-gray-700 rounded animate-pulse" aria-label="Loading ratings" />
+            <span className="w-12 h-4 bg-gray-700 rounded animate-pulse" />
+          </>
+        ) : (
+          <>
+            {item.imdbId && item.imdb && (
+              <span className="text-yellow-400 font-semibold">IMDb {item.imdb}</span>
+            )}
+            {item.rottenTomatoes !== null && item.rottenTomatoes !== undefined && (
+              <span className="text-red-400 font-semibold">RT {item.rottenTomatoes}%</span>
+            )}
+          </>
+        )}
+      </div>
+      <p className="text-gray-300 text-sm mb-4 line-clamp-2">{item.plot}</p>
+
+      {item.type === 'tv' && item.watchedEpisodes?.length > 0 && (
+        <EpisodeProgress show={item} className="mb-4" />
+      )}
+
+      {showActions && (
+        <div className="flex gap-2">
+          <button
+            onClick={() => onSelect(item)}
+            className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center gap-2 transition-colors"
+          >
+            <Info className="w-4 h-4" />
+            Details
+          </button>
+
+          {!isInWatchlist && !isWatched ? (
+            <button
+              onClick={() => onAddToWatchlist(item)}
+              aria-label={`Add ${item.title} to watchlist`}
+              className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          ) : isWatched ? (
+            <button aria-label={`${item.title} watched`} className="bg-green-600 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center">
+              <Check className="w-4 h-4" />
+            </button>
+          ) : (
+            <button
+              onClick={() => onMarkAsWatched(item)}
+              aria-label={`Mark ${item.title} as watched`}
+              className="bg-orange-600 hover:bg-orange-700 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center transition-colors"
+            >
+              <Check className="w-4 h-4" />
+            </button>
+          )}
+
+          {onAddToList && (
+            <button
+              onClick={() => onAddToList(item)}
+              aria-label={`Add ${item.title} to a list`}
+              className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center transition-colors"
+            >
+              <ListPlus className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+export default ContentCard;
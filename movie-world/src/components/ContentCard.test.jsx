@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ContentCard from './ContentCard.jsx';
+
+const inception = {
+  id: 27205,
+  title: 'Inception',
+  type: 'movie',
+  year: 2010,
+  genre: ['Action', 'Science Fiction'],
+  plot: 'A thief who steals corporate secrets.',
+  rating: 8.4,
+  poster: 'https://image.tmdb.org/t/p/w500/poster.jpg',
+  imdbId: 'tt1375666',
+  imdb: 8.8,
+  rottenTomatoes: 87
+};
+
+const renderCard = (props = {}) => {
+  const handlers = {
+    onSelect: vi.fn(),
+    onAddToWatchlist: vi.fn(),
+    onMarkAsWatched: vi.fn()
+  };
+  render(<ContentCard item={inception} {...handlers} {...props} />);
+  return handlers;
+};
+
+describe('ContentCard', () => {
+  it('shows the title, year, genres and ratings', () => {
+    renderCard();
+
+    expect(screen.getByRole('heading', { name: 'Inception' })).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Inception' })).toHaveAttribute('src', inception.poster);
+    expect(screen.getByText('2010 • Action, Science Fiction')).toBeInTheDocument();
+    expect(screen.getByText('Movie')).toBeInTheDocument();
+    expect(screen.getByText('IMDb 8.8')).toBeInTheDocument();
+    expect(screen.getByText('RT 87%')).toBeInTheDocument();
+  });
+
+  it('labels TV shows', () => {
+    renderCard({ item: { ...inception, type: 'tv' } });
+    expect(screen.getByText('TV Show')).toBeInTheDocument();
+  });
+
+  it('uses the given genre names instead of the raw genre list', () => {
+    renderCard({ item: { ...inception, genre: [28, 878] }, genreNames: ['Action', 'Science Fiction'] });
+    expect(screen.getByText('2010 • Action, Science Fiction')).toBeInTheDocument();
+  });
+
+  it('shows placeholders while OMDB ratings load', () => {
+    renderCard({ item: { ...inception, omdbPending: true } });
+
+    expect(screen.getByLabelText('Loading ratings')).toBeInTheDocument();
+    expect(screen.queryByText('IMDb 8.8')).not.toBeInTheDocument();
+  });
+
+  it('leaves out ratings OMDB did not return', () => {
+    renderCard({ item: { ...inception, imdbId: undefined, imdb: undefined, rottenTomatoes: null } });
+
+    expect(screen.queryByText(/IMDb/)).not.toBeInTheDocument();
+    expect(screen.queryByText(/RT/)).not.toBeInTheDocument();
+  });
+
+  it('opens the details', async () => {
+    const { onSelect } = renderCard();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Details' }));
+
+    expect(onSelect).toHaveBeenCalledWith(inception);
+  });
+
+  it('adds a title that is not in the library to the watchlist', async () => {
+    const { onAddToWatchlist, onMarkAsWatched } = renderCard();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Add Inception to watchlist' }));
+
+    expect(onAddToWatchlist).toHaveBeenCalledWith(inception);
+    expect(onMarkAsWatched).not.toHaveBeenCalled();
+  });
+
+  it('marks a watchlist title as watched', async () => {
+    const { onMarkAsWatched } = renderCard({ isInWatchlist: true });
+
+    expect(screen.queryByRole('button', { name: 'Add Inception to watchlist' })).not.toBeInTheDocument();
+    await userEvent.click(screen.getByRole('button', { name: 'Mark Inception as watched' }));
+
+    expect(onMarkAsWatched).toHaveBeenCalledWith(inception);
+  });
+
+  it('shows watched titles without library actions', async () => {
+    const { onAddToWatchlist, onMarkAsWatched } = renderCard({ isWatched: true });
+
+    await userEvent.click(screen.getByRole('button', { name: 'Inception watched' }));
+
+    expect(onAddToWatchlist).not.toHaveBeenCalled();
+    expect(onMarkAsWatched).not.toHaveBeenCalled();
+  });
+
+  it('offers adding to a list only when a handler is given', async () => {
+    const onAddToList = vi.fn();
+    const { rerender } = render(<ContentCard item={inception} onSelect={vi.fn()} onAddToWatchlist={vi.fn()} />);
+    expect(screen.queryByRole('button', { name: 'Add Inception to a list' })).not.toBeInTheDocument();
+
+    rerender(<ContentCard item={inception} onSelect={vi.fn()} onAddToWatchlist={vi.fn()} onAddToList={onAddToList} />);
+    await userEvent.click(screen.getByRole('button', { name: 'Add Inception to a list' }));
+
+    expect(onAddToList).toHaveBeenCalledWith(inception);
+  });
+
+  it('hides the actions when showActions is false', () => {
+    renderCard({ showActions: false });
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+});
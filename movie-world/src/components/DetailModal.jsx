@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Plus, Check, Calendar, Users, Clock, X, AlertCircle, ListPlus } from 'lucide-react';
+import apiService from '../services/apiService.js';
+import { formatRuntime, formatBoxOffice, formatReleaseDate, handleApiError, isAbortError } from '../utils/apiHelpers.js';
+import { formatUserRating } from '../utils/ratings.js';
+import LoadingSpinner from './LoadingSpinner.jsx';
+import SeasonBrowser from './SeasonBrowser.jsx';
+import VideoGallery from './VideoGallery.jsx';
+import SimilarTitles from './SimilarTitles.jsx';
+import ReviewList from './ReviewList.jsx';
+
+// OMDB reports missing fields as 'N/A'
+const hasValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== '' && value !== 'N/A' && value !== 'Unknown';
+};
+
+const DetailRow = ({ label, value }) => {
+  if (!hasValue(value)) return null;
+
+  return (
+    <div>
+      <dt className="text-gray-400 text-sm">{label}</dt>
+      <dd className="text-gray-200">{Array.isArray(value) ? value.join(', ') : value}</dd>
+    </div>
+  );
+};
+
+const DetailModal = ({
+  item,
+  onClose,
+  isInWatchlist,
+  isWatched,
+  onAddToWatchlist,
+  onMarkAsWatched,
+  onSelectPerson,
+  libraryRecord,
+  ratingScale,
+  onSetEpisodesWatched,
+  onAddToList,
+  renderCard
+}) => {
+  const [details, setDetails] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const panelRef = useRef(null);
+
+  // Load full details whenever the modal opens for a new item
+  useEffect(() => {
+    const controller = new AbortController();
+
+    // Opening a similar title reuses the modal, so start it from the top
+    panelRef.current?.scrollTo(0, 0);
+
+    const loadDetails = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        setDetails(null);
+        const data = await apiService.getContentDetails(item.id, item.type, {
+          signal: controller.signal
+        });
+        if (!controller.signal.aborted) setDetails(data);
+      } catch (err) {
+        if (!isAbortError(err)) setError(handleApiError(err, 'loading details'));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    loadDetails();
+
+    return () => controller.abort();
+  }, [item.id, item.type, reloadCount]);
+
+  // Retry a failed load as soon as the connection comes back
+  useEffect(() => {
+    if (!error) return;
+
+    const handleOnline = () => setReloadCount(count => count + 1);
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [error]);
+
+  // Show the list item (or the bare id/type from a deep link) until the full details arrive
+  const content = details || item;
+  const runtime = content.type === 'tv' ? content.episodeRunTime : content.runtime;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div ref={panelRef} className="bg-gray-900 rounded-lg max-w-4xl w-full max-h-screen overflow-y-auto">
+        <div className="relative">
+          <button
+            onClick={onClose}
+            className="absolute top-4 right-4 text-white hover:text-gray-300 z-10"
+          >
+            <X className="w-6 h-6" />
+          </button>
+
+          <div className="flex flex-col md:flex-row">
+            {content.poster && (
+              <img
+                src={content.poster}
+                alt={content.title}
+                className="w-full md:w-80 h-96 md:h-auto object-cover"
+              />
+            )}
+
+            <div className="p-6 flex-1">
+              <div className="flex items-center gap-2 mb-2">
+                <h2 className="text-white text-3xl font-bold">{content.title}</h2>
+                <span className={`px-2 py-1 rounded text-sm font-bold ${
+                  content.type === 'movie' ? 'bg-blue-600' : 'bg-purple-600'
+                } text-white`}>
+                  {content.type === 'movie' ? 'Movie' : 'TV Show'}
+                </span>
+              </div>
+
+              <div className="flex flex-wrap items-center gap-4 mb-4 text-gray-400">
+                <div className="flex items-center gap-1">
+                  <Calendar className="w-4 h-4" />
+                  <span>{content.year}</span>
+                </div>
+                {details && (
+                  <>
+                    <div className="flex items-center gap-1">
+                      <Clock className="w-4 h-4" />
+                      <span>{formatRuntime(runtime)}{content.type === 'tv' && hasValue(runtime) ? ' / episode' : ''}</span>
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <Users className="w-4 h-4" />
+                      <span>{content.genre.join(', ')}</span>
+                    </div>
+                    {hasValue(content.rated) && (
+                      <span className="border border-gray-600 px-2 rounded text-sm">{content.rated}</span>
+                    )}
+                  </>
+                )}
+              </div>
+
+              {isLoading && (
+                <div className="flex items-center gap-3 mb-6 text-gray-400">
+                  <LoadingSpinner size="sm" />
+                  <span>Loading details...</span>
+                </div>
+              )}
+
+              {error && (
+                <div className="mb-6 bg-red-900 border border-red-700 rounded-lg p-4">
+                  <div className="flex items-center gap-2">
+                    <AlertCircle className="w-5 h-5 text-red-400" />
+                    <p className="text-red-300">{error}</p>
+                  </div>
+                  <button
+                    onClick={() => setReloadCount(count => count + 1)}
+                    className="mt-3 text-sm text-blue-400 hover:underline"
+                  >
+                    Try again
+                  </button>
+                </div>
+              )}
+
+              <div className="mb-6">
+                <h3 className="text-white text-lg font-semibold mb-2">Ratings</h3>
+                {content.matchMethod === 'title' && (
+                  <p className="text-gray-500 text-xs mb-2">
+                    IMDb and RT ratings matched by title ({Math.round(content.matchConfidence * 100)}% confidence)
+                  </p>
+                )}
+                <div className="flex gap-4">
+                  <div className="text-center">
+                    <div className="text-yellow-400 font-bold">{hasValue(content.imdb) ? content.imdb : 'N/A'}</div>
+                    <div className="text-gray-400 text-sm">IMDB</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="text-red-400 font-bold">
+                      {hasValue(content.rottenTomatoes) ? `${content.rottenTomatoes}%` : 'N/A'}
+                    </div>
+                    <div className="text-gray-400 text-sm">RT</div>
+                  </div>
+                  {hasValue(content.metacritic) && (
+                    <div className="text-center">
+                      <div className="text-green-400 font-bold">{content.metacritic}</div>
+                      <div className="text-gray-400 text-sm">Metacritic</div>
+                    </div>
+                  )}
+                  <div className="text-center">
+                    <div className="text-blue-400 font-bold">{content.tmdb}</div>
+                    <div className="text-gray-400 text-sm">TMDB</div>
+                  </div>
+                  {libraryRecord?.userRating && (
+                    <div className="text-center">
+                      <div className="text-purple-400 font-bold">
+                        {formatUserRating(libraryRecord.userRating, ratingScale)}
+                      </div>
+                      <div className="text-gray-400 text-sm">You</div>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {(libraryRecord?.notes || libraryRecord?.watchedAt) && (
+                <div className="mb-6">
+                  <h3 className="text-white text-lg font-semibold mb-2">Your Notes</h3>
+                  {libraryRecord.watchedAt && (
+                    <p className="text-gray-400 text-sm mb-1">Watched {formatReleaseDate(libraryRecord.watchedAt)}</p>
+                  )}
+                  {libraryRecord.notes && (
+                    <p className="text-gray-300 whitespace-pre-line">{libraryRecord.notes}</p>
+                  )}
+                </div>
+              )}
+
+              <div className="mb-6">
+                <h3 className="text-white text-lg font-semibold mb-2">Plot</h3>
+                <p className="text-gray-300">{content.plot}</p>
+              </div>
+
+              {details && (
+                <>
+                  {hasValue(details.videos) && (
+                    <VideoGallery key={`${details.type}-${details.id}`} videos={details.videos} title={details.title} />
+                  )}
+
+                  {hasValue(details.cast) && (
+                    <div className="mb-6">
+                      <h3 className="text-white text-lg font-semibold mb-2">Cast</h3>
+                      {hasValue(details.castMembers) ? (
+                        <ul className="flex flex-wrap gap-x-4 gap-y-1">
+                          {details.castMembers.map((member) => (
+                            <li key={member.id}>
+                              <button
+                                onClick={() => onSelectPerson(member)}
+                                className="text-blue-400 hover:underline"
+                              >
+                                {member.name}
+                              </button>
+                              {member.character && (
+                                <span className="text-gray-500 text-sm"> as {member.character}</span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p className="text-gray-300">{details.cast.join(', ')}</p>
+                      )}
+                    </div>
+                  )}
+
+                  <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+                    {details.type === 'movie' ? (
+                      <>
+                        <DetailRow label="Director" value={details.director} />
+                        <DetailRow label="Budget" value={details.budget ? formatBoxOffice(details.budget) : null} />
+                        <DetailRow label="Revenue" value={details.revenue ? formatBoxOffice(details.revenue) : null} />
+                        <DetailRow label="Box Office" value={hasValue(details.boxOffice) ? formatBoxOffice(details.boxOffice) : null} />
+                      </>
+                    ) : (
+                      <>
+                        <DetailRow label="Created by" value={details.creator} />
+                        <DetailRow label="Seasons" value={details.numberOfSeasons || details.totalSeasons} />
+                        <DetailRow label="Episodes" value={details.numberOfEpisodes} />
+                        <DetailRow label="Networks" value={details.networks} />
+                      </>
+                    )}
+                    <DetailRow label="Awards" value={details.awards} />
+                    <DetailRow label="Production Companies" value={details.productionCompanies} />
+                  </dl>
+
+                  {details.type === 'tv' && hasValue(details.seasons) && (
+                    <SeasonBrowser
+                      key={details.id}
+                      show={details}
+                      watchedEpisodes={libraryRecord?.watchedEpisodes}
+                      onSetEpisodesWatched={(episodeKeys, watched) =>
+                        onSetEpisodesWatched(details, episodeKeys, watched)
+                      }
+                    />
+                  )}
+                </>
+              )}
+
+              {/* Deep links start with only an id and type, so wait for the title before saving anything */}
+              <div className="flex gap-3">
+                {content.title && !isInWatchlist && !isWatched && (
+                  <button
+                    onClick={() => {
+                      onAddToWatchlist(content);
+                      onClose();
+                    }}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded font-medium flex items-center gap-2 transition-colors"
+                  >
+                    <Plus className="w-5 h-5" />
+                    Add to Watchlist
+                  </button>
+                )}
+
+                {content.title && isInWatchlist && (
+                  <button
+                    onClick={() => {
+                      onMarkAsWatched(content);
+                      onClose();
+                    }}
+                    className="bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded font-medium flex items-center gap-2 transition-colors"
+                  >
+                    <Check className="w-5 h-5" />
+                    Mark as Watched
+                  </button>
+                )}
+
+                {content.title && (
+                  <button
+                    onClick={() => onAddToList(content)}
+                    className="bg-gray-700 hover:bg-gray-600 text-white px-6 py-3 rounded font-medium flex items-center gap-2 transition-colors"
+                  >
+                    <ListPlus className="w-5 h-5" />
+                    Add to List
+                  </button>
+                )}
+              </div>
+
+              {details && (
+                <div className="mt-8">
+                  {hasValue(details.similar) && (
+                    <SimilarTitles
+                      key={`${details.type}-${details.id}`}
+                      items={details.similar}
+                      renderCard={renderCard}
+                    />
+                  )}
+
+                  {details.reviews && (
+                    <ReviewList
+                      key={`${details.type}-${details.id}`}
+                      type={details.type}
+                      id={details.id}
+                      initialReviews={details.reviews}
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DetailModal;
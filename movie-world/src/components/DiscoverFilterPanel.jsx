@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, RotateCcw } from 'lucide-react';
+import {
+  DEFAULT_DISCOVER_FILTERS,
+  DISCOVER_SORT_OPTIONS,
+  DISCOVER_LANGUAGES
+} from '../utils/discoverFilters.js';
+
+const inputClasses = 'w-full bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const NumberInput = ({ label, value, onChange, min, max, step = 1, placeholder }) => (
+  <label className="block">
+    <span className="text-gray-400 text-sm">{label}</span>
+    <input
+      type="number"
+      value={value}
+      min={min}
+      max={max}
+      step={step}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value)}
+      className={`${inputClasses} mt-1`}
+    />
+  </label>
+);
+
+// Advanced discover filters; edits stay local until applied
+const DiscoverFilterPanel = ({ filters, onApply }) => {
+  const [draft, setDraft] = useState(filters);
+  const currentYear = new Date().getFullYear();
+
+  const updateDraft = (key, value) => {
+    setDraft(current => ({ ...current, [key]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  const handleReset = () => {
+    setDraft(DEFAULT_DISCOVER_FILTERS);
+    onApply(DEFAULT_DISCOVER_FILTERS);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 bg-gray-800 rounded-lg p-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <NumberInput
+          label="Year from"
+          value={draft.yearFrom}
+          onChange={(value) => updateDraft('yearFrom', value)}
+          min={1900}
+          max={currentYear + 5}
+          placeholder="1980"
+        />
+        <NumberInput
+          label="Year to"
+          value={draft.yearTo}
+          onChange={(value) => updateDraft('yearTo', value)}
+          min={1900}
+          max={currentYear + 5}
+          placeholder={String(currentYear)}
+        />
+        <NumberInput
+          label="Minimum rating"
+          value={draft.minRating}
+          onChange={(value) => updateDraft('minRating', value)}
+          min={0}
+          max={10}
+          step={0.5}
+          placeholder="7"
+        />
+        <NumberInput
+          label="Minimum votes"
+          value={draft.minVotes}
+          onChange={(value) => updateDraft('minVotes', value)}
+          min={0}
+          step={50}
+          placeholder="100"
+        />
+        <NumberInput
+          label="Runtime from (min)"
+          value={draft.runtimeMin}
+          onChange={(value) => updateDraft('runtimeMin', value)}
+          min={0}
+          step={5}
+          placeholder="0"
+        />
+        <NumberInput
+          label="Runtime to (min)"
+          value={draft.runtimeMax}
+          onChange={(value) => updateDraft('runtimeMax', value)}
+          min={0}
+          step={5}
+          placeholder="240"
+        />
+        <label className="block">
+          <span className="text-gray-400 text-sm">Original language</span>
+          <select
+            value={draft.language}
+            onChange={(e) => updateDraft('language', e.target.value)}
+            className={`${inputClasses} mt-1`}
+          >
+            {DISCOVER_LANGUAGES.map((language) => (
+              <option key={language.code} value={language.code}>
+                {language.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-400 text-sm">Sort by</span>
+          <select
+            value={draft.sortBy}
+            onChange={(e) => updateDraft('sortBy', e.target.value)}
+            className={`${inputClasses} mt-1`}
+          >
+            {DISCOVER_SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex gap-3 mt-4">
+        <button
+          type="submit"
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium flex items-center gap-2 transition-colors"
+        >
+          <SlidersHorizontal className="w-4 h-4" />
+          Apply Filters
+        </button>
+        <button
+          type="button"
+          onClick={handleReset}
+          className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg font-medium flex items-center gap-2 transition-colors"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Reset
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default DiscoverFilterPanel;
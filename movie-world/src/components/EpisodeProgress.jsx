@@ -0,0 +1,26 @@
+import React from 'react';
+import { getShowProgress, formatEpisodeLabel } from '../utils/episodeProgress.js';
+
+// Progress bar for a TV show in the library, e.g. "S2E5 of 8 seasons"
+const EpisodeProgress = ({ show, className = '' }) => {
+  const progress = getShowProgress(show);
+
+  return (
+    <div className={className}>
+      <div className="flex justify-between text-xs text-gray-400 mb-1">
+        <span>
+          {progress.lastWatched && formatEpisodeLabel(progress.lastWatched)} of {progress.totalSeasons} seasons
+        </span>
+        <span>{progress.watchedCount}/{progress.totalEpisodes}</span>
+      </div>
+      <div className="h-1.5 bg-gray-700 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-green-500 rounded-full"
+          style={{ width: `${progress.percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default EpisodeProgress;
@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react';
+import { X, Search, Check, AlertTriangle, HelpCircle } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner.jsx';
+import libraryTransfer, { MATCH_STATUS, IMPORT_SOURCE_LABELS } from '../services/libraryTransfer.js';
+import { LIBRARY_STATUS } from '../services/libraryStorage.js';
+import { formatUserRating } from '../utils/ratings.js';
+import { isAbortError } from '../utils/apiHelpers.js';
+
+const FILTERS = [
+  { value: 'review', label: 'Needs review' },
+  { value: 'matched', label: 'Matched' },
+  { value: 'all', label: 'All' }
+];
+
+const needsReview = (row) => row.matchStatus !== MATCH_STATUS.MATCHED && !row.reviewed;
+
+// One TMDB title the user can pick for a row
+const CandidateButton = ({ item, isSelected, onSelect }) => (
+  <button
+    type="button"
+    onClick={() => onSelect(item)}
+    className={`flex items-center gap-2 text-left p-1 pr-3 rounded-lg border transition-colors ${
+      isSelected ? 'border-blue-500 bg-blue-600/20' : 'border-gray-700 hover:border-gray-500'
+    }`}
+  >
+    {item.poster ? (
+      <img src={item.poster} alt="" className="w-8 h-12 object-cover rounded shrink-0" />
+    ) : (
+      <div className="w-8 h-12 bg-gray-700 rounded shrink-0" />
+    )}
+    <span className="min-w-0">
+      <span className="block text-white text-sm line-clamp-1">{item.title}</span>
+      <span className="block text-gray-400 text-xs">
+        {item.year} • {item.type === 'movie' ? 'Movie' : 'TV Show'}
+      </span>
+    </span>
+  </button>
+);
+
+// An import row with its match, and for unclear rows the candidates and a manual search
+const ImportRow = ({ row, ratingScale, onChange }) => {
+  const [isEditing, setIsEditing] = useState(needsReview(row));
+  const [query, setQuery] = useState(row.title);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    try {
+      setIsSearching(true);
+      const candidates = await libraryTransfer.searchCandidates(query, row.type);
+      onChange({ candidates });
+    } catch (error) {
+      console.error('Error searching for import match:', error);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleSelect = (item) => {
+    onChange({ match: item, reviewed: true });
+    setIsEditing(false);
+  };
+
+  const StatusIcon = row.match ? Check : row.matchStatus === MATCH_STATUS.AMBIGUOUS ? HelpCircle : AlertTriangle;
+
+  return (
+    <li className="bg-gray-800 rounded-lg p-3">
+      <div className="flex items-start gap-3">
+        <StatusIcon
+          className={`w-5 h-5 mt-0.5 shrink-0 ${row.match ? 'text-green-400' : 'text-yellow-400'}`}
+          aria-hidden="true"
+        />
+        <div className="flex-1 min-w-0">
+          <div className="text-white">
+            {row.title || row.imdbId}
+            {row.year && <span className="text-gray-400"> ({row.year})</span>}
+          </div>
+          <div className="text-gray-400 text-xs">
+            Row {row.rowNumber}
+            {row.status && ` • ${row.status === LIBRARY_STATUS.WATCHED ? 'Watched' : 'Watchlist'}`}
+            {row.userRating && ` • ${formatUserRating(row.userRating, ratingScale)}`}
+            {row.lists.length > 0 && ` • ${row.lists.join(', ')}`}
+          </div>
+          <div className="text-sm mt-1">
+            {row.match ? (
+              <span className="text-gray-300">
+                → {row.match.title} ({row.match.year}, {row.match.type === 'movie' ? 'Movie' : 'TV Show'})
+              </span>
+            ) : row.reviewed ? (
+              <span className="text-gray-500">Skipped</span>
+            ) : (
+              <span className="text-yellow-400">
+                {row.matchStatus === MATCH_STATUS.AMBIGUOUS ? 'Several possible matches' : 'No match found'}
+              </span>
+            )}
+          </div>
+        </div>
+        {!isEditing && (
+          <button
+            type="button"
+            onClick={() => setIsEditing(true)}
+            className="text-blue-400 hover:text-blue-300 text-sm shrink-0"
+          >
+            Change
+          </button>
+        )}
+      </div>
+
+      {isEditing && (
+        <div className="mt-3 ml-8">
+          {row.candidates.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-3">
+              {row.candidates.map((item) => (
+                <CandidateButton
+                  key={`${item.type}:${item.id}`}
+                  item={item}
+                  isSelected={row.match?.id === item.id && row.match?.type === item.type}
+                  onSelect={handleSelect}
+                />
+              ))}
+            </div>
+          )}
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search TMDB"
+              className="flex-1 min-w-0 bg-gray-700 text-white text-sm px-3 py-1.5 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={isSearching}
+              aria-label="Search for a match"
+              className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white px-3 py-1.5 rounded-lg transition-colors"
+            >
+              <Search className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                onChange({ match: null, reviewed: true });
+                setIsEditing(false);
+              }}
+              className="bg-gray-700 hover:bg-gray-600 text-gray-300 text-sm px-3 py-1.5 rounded-lg transition-colors"
+            >
+              Skip
+            </button>
+          </form>
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Matches imported rows to TMDB titles and lets the user settle unclear ones before saving
+const ImportReviewDialog = ({ source, rows: importRows, ratingScale, onImported, onClose }) => {
+  const [rows, setRows] = useState([]);
+  const [progress, setProgress] = useState(0);
+  const [isResolving, setIsResolving] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [filter, setFilter] = useState('review');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const resolve = async () => {
+      try {
+        const resolved = await libraryTransfer.resolveRows(importRows, {
+          signal: controller.signal,
+          onProgress: setProgress
+        });
+        setRows(resolved);
+        if (!resolved.some(needsReview)) setFilter('all');
+      } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Error matching import rows:', error);
+        setError('Failed to match the imported titles. Please try again.');
+      } finally {
+        if (!controller.signal.aborted) setIsResolving(false);
+      }
+    };
+
+    resolve();
+    return () => controller.abort();
+  }, [importRows]);
+
+  const updateRow = (rowNumber, changes) => {
+    setRows(current => current.map(row => row.rowNumber === rowNumber ? { ...row, ...changes } : row));
+  };
+
+  const handleImport = async () => {
+    try {
+      setIsSaving(true);
+      const result = await libraryTransfer.applyImport(rows);
+      onImported(result);
+      onClose();
+    } catch (error) {
+      console.error('Error saving import:', error);
+      setError('Failed to save the import. Please try again.');
+      setIsSaving(false);
+    }
+  };
+
+  const reviewCount = rows.filter(needsReview).length;
+  const matchedCount = rows.filter(row => row.match).length;
+  const visibleRows = rows.filter(row =>
+    filter === 'all' || (filter === 'review' ? needsReview(row) : row.match)
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div
+        className="bg-gray-900 rounded-lg max-w-3xl w-full max-h-[90vh] flex flex-col relative"
+        role="dialog"
+        aria-label="Review import"
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-white hover:text-gray-300"
+        >
+          <X className="w-6 h-6" />
+        </button>
+
+        <div className="p-6 pb-4">
+          <h2 className="text-white text-xl font-bold pr-8">Import from {IMPORT_SOURCE_LABELS[source]}</h2>
+          {isResolving ? (
+            <p className="text-gray-400 text-sm mt-1">
+              Matching {progress} of {importRows.length} titles…
+            </p>
+          ) : (
+            <p className="text-gray-400 text-sm mt-1">
+              {matchedCount} of {rows.length} titles matched
+              {reviewCount > 0 && `, ${reviewCount} need your review`}
+            </p>
+          )}
+        </div>
+
+        {error && (
+          <div className="mx-6 mb-4 bg-red-900/50 text-red-200 text-sm p-3 rounded-lg">{error}</div>
+        )}
+
+        {isResolving ? (
+          <div className="px-6 pb-6">
+            <div className="h-2 bg-gray-700 rounded-full overflow-hidden mb-6">
+              <div
+                className="h-full bg-blue-500 transition-all"
+                style={{ width: `${importRows.length ? (progress / importRows.length) * 100 : 0}%` }}
+              />
+            </div>
+            <LoadingSpinner />
+          </div>
+        ) : (
+          <>
+            <div className="px-6 flex gap-2 mb-4">
+              {FILTERS.map(({ value, label }) => (
+                <button
+                  key={value}
+                  onClick={() => setFilter(value)}
+                  className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                    filter === value ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:text-white'
+                  }`}
+                >
+                  {label}
+                  {value === 'review' && reviewCount > 0 && ` (${reviewCount})`}
+                </button>
+              ))}
+            </div>
+
+            <ul className="px-6 flex-1 overflow-y-auto space-y-2">
+              {visibleRows.map((row) => (
+                <ImportRow
+                  key={row.rowNumber}
+                  row={row}
+                  ratingScale={ratingScale}
+                  onChange={(changes) => updateRow(row.rowNumber, changes)}
+                />
+              ))}
+              {visibleRows.length === 0 && (
+                <li className="text-gray-400 text-center py-8">Nothing here</li>
+              )}
+            </ul>
+
+            <div className="p-6 pt-4 flex items-center justify-end gap-3 border-t border-gray-800 mt-4">
+              {reviewCount > 0 && (
+                <span className="text-gray-400 text-sm mr-auto">Unreviewed rows without a match are skipped</span>
+              )}
+              <button
+                onClick={onClose}
+                className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={isSaving || matchedCount === 0}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:text-gray-500 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                {isSaving ? 'Importing…' : `Import ${matchedCount} titles`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportReviewDialog;
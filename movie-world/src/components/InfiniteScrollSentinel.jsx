@@ -0,0 +1,38 @@
+import React, { useEffect, useRef } from 'react';
+import LoadingSpinner from './LoadingSpinner.jsx';
+import { createInfiniteScrollObserver } from '../utils/apiHelpers.js';
+
+// Sits below a grid and loads the next page as it scrolls into view
+const InfiniteScrollSentinel = ({ onLoadMore, hasMore, isLoading, className = '' }) => {
+  const sentinelRef = useRef(null);
+
+  // Observe afresh after every load so a sentinel that is still on screen triggers the next page
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || isLoading || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = createInfiniteScrollObserver(onLoadMore, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [onLoadMore, hasMore, isLoading]);
+
+  return (
+    <div ref={sentinelRef} className={`flex justify-center py-6 ${className}`}>
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : hasMore ? (
+        // For keyboard users and browsers without IntersectionObserver
+        <button
+          onClick={onLoadMore}
+          className="bg-gray-700 hover:bg-gray-600 text-white px-6 py-2 rounded-lg font-medium transition-colors"
+        >
+          Load more
+        </button>
+      ) : (
+        <span className="text-gray-500 text-sm">You've reached the end</span>
+      )}
+    </div>
+  );
+};
+
+export default InfiniteScrollSentinel;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Search, SlidersHorizontal, RotateCcw } from 'lucide-react';
+import ToggleGroup from './ToggleGroup.jsx';
+import {
+  LIBRARY_SORT_OPTIONS,
+  LIBRARY_TYPE_OPTIONS,
+  hasActiveLibraryFilters
+} from '../utils/libraryFilters.js';
+
+const inputClasses = 'w-full bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const SelectInput = ({ label, value, onChange, children }) => (
+  <label className="block">
+    <span className="text-gray-400 text-sm">{label}</span>
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={`${inputClasses} mt-1`}>
+      {children}
+    </select>
+  </label>
+);
+
+// Search, sort and filters for the Watchlist and Watched tabs; changes apply immediately
+const LibraryToolbar = ({ view, onChange, onReset, filterOptions, showWatchedFilters, shownCount, totalCount }) => {
+  const [showFilters, setShowFilters] = useState(() => hasActiveLibraryFilters({ ...view, query: '' }));
+  const isFiltered = hasActiveLibraryFilters(view);
+  const sortOptions = LIBRARY_SORT_OPTIONS.filter(option => showWatchedFilters || !option.watchedOnly);
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="relative flex-1 min-w-48">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-4 h-4" />
+          <input
+            type="search"
+            value={view.query}
+            onChange={(e) => onChange({ query: e.target.value })}
+            placeholder="Search this list..."
+            aria-label="Search this list"
+            className="w-full bg-gray-800 text-white pl-9 pr-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <ToggleGroup
+          options={LIBRARY_TYPE_OPTIONS}
+          value={view.type}
+          onChange={(type) => onChange({ type })}
+        />
+        <select
+          value={sortOptions.some(option => option.value === view.sortBy) ? view.sortBy : sortOptions[0].value}
+          onChange={(e) => onChange({ sortBy: e.target.value })}
+          aria-label="Sort by"
+          className="bg-gray-800 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {sortOptions.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          aria-expanded={showFilters}
+          className={`px-3 py-2 rounded-lg flex items-center gap-2 transition-colors ${
+            showFilters ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:text-white'
+          }`}
+        >
+          <SlidersHorizontal className="w-4 h-4" />
+          Filters
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="mt-4 bg-gray-800 rounded-lg p-4 grid grid-cols-2 md:grid-cols-4 gap-4">
+          <SelectInput label="Genre" value={view.genre} onChange={(genre) => onChange({ genre })}>
+            <option value="">Any Genre</option>
+            {filterOptions.genres.map((genre) => (
+              <option key={genre} value={genre}>{genre}</option>
+            ))}
+          </SelectInput>
+          <SelectInput label="Decade" value={view.decade} onChange={(decade) => onChange({ decade })}>
+            <option value="">Any Decade</option>
+            {filterOptions.decades.map((decade) => (
+              <option key={decade} value={decade}>{decade}s</option>
+            ))}
+          </SelectInput>
+          <SelectInput label="Original language" value={view.language} onChange={(language) => onChange({ language })}>
+            <option value="">Any Language</option>
+            {filterOptions.languages.map((language) => (
+              <option key={language.code} value={language.code}>{language.name}</option>
+            ))}
+          </SelectInput>
+          {showWatchedFilters && (
+            <div className="grid grid-cols-2 gap-2 col-span-2 md:col-span-1">
+              <label className="block">
+                <span className="text-gray-400 text-sm">Watched from</span>
+                <input
+                  type="date"
+                  value={view.watchedFrom}
+                  max={view.watchedTo || undefined}
+                  onChange={(e) => onChange({ watchedFrom: e.target.value })}
+                  className={`${inputClasses} mt-1 px-2`}
+                />
+              </label>
+              <label className="block">
+                <span className="text-gray-400 text-sm">Watched to</span>
+                <input
+                  type="date"
+                  value={view.watchedTo}
+                  min={view.watchedFrom || undefined}
+                  onChange={(e) => onChange({ watchedTo: e.target.value })}
+                  className={`${inputClasses} mt-1 px-2`}
+                />
+              </label>
+            </div>
+          )}
+        </div>
+      )}
+
+      {isFiltered && (
+        <div className="flex items-center gap-3 mt-3 text-sm text-gray-400">
+          <span>Showing {shownCount} of {totalCount}</span>
+          <button
+            onClick={onReset}
+            className="flex items-center gap-1 text-blue-400 hover:text-blue-300 transition-colors"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Clear filters
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LibraryToolbar;
@@ -0,0 +1,103 @@
+import React, { useState, useRef } from 'react';
+import { Download, Upload } from 'lucide-react';
+import ImportReviewDialog from './ImportReviewDialog.jsx';
+import libraryTransfer, { parseImportFile, IMPORT_SOURCE } from '../services/libraryTransfer.js';
+import { downloadFile, readFileAsText, getFileDateStamp } from '../utils/fileTransfer.js';
+
+// Footer buttons for exporting the library and importing backups or Letterboxd/IMDb exports
+const LibraryTransferControls = ({ ratingScale, onImported }) => {
+  const [pendingImport, setPendingImport] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleExport = async (format) => {
+    try {
+      const content = format === 'json' ? await libraryTransfer.exportJson() : await libraryTransfer.exportCsv();
+      downloadFile(
+        `movie-world-library-${getFileDateStamp()}.${format}`,
+        content,
+        format === 'json' ? 'application/json' : 'text/csv'
+      );
+    } catch (error) {
+      console.error('Error exporting library:', error);
+      setMessage('Export failed. Please try again.');
+    }
+  };
+
+  const showResult = ({ records, lists }) => {
+    setMessage(`Imported ${records} titles${lists > 0 ? ` and updated ${lists} lists` : ''}`);
+    onImported();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    // Let the same file be picked again later
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setMessage(null);
+      const parsed = parseImportFile(file.name, await readFileAsText(file));
+
+      if (parsed.source === IMPORT_SOURCE.BACKUP) {
+        if (window.confirm('Restore this backup? Titles and lists in it replace the ones you have with the same id.')) {
+          showResult(await libraryTransfer.restoreBackup(parsed.backup));
+        }
+      } else if (parsed.rows.length === 0) {
+        setMessage('No titles found in this file');
+      } else {
+        setPendingImport(parsed);
+      }
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setMessage(error.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-4 text-sm text-gray-500 mb-4">
+      <button
+        onClick={() => handleExport('json')}
+        className="flex items-center gap-1 hover:text-white transition-colors"
+      >
+        <Download className="w-4 h-4" />
+        Export JSON
+      </button>
+      <button
+        onClick={() => handleExport('csv')}
+        className="flex items-center gap-1 hover:text-white transition-colors"
+      >
+        <Download className="w-4 h-4" />
+        Export CSV
+      </button>
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="flex items-center gap-1 hover:text-white transition-colors"
+      >
+        <Upload className="w-4 h-4" />
+        Import
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        onChange={handleFileChange}
+        className="hidden"
+        aria-label="Import file"
+      />
+      {message && <span className="text-gray-400" role="status">{message}</span>}
+
+      {pendingImport && (
+        <ImportReviewDialog
+          source={pendingImport.source}
+          rows={pendingImport.rows}
+          ratingScale={ratingScale}
+          onImported={showResult}
+          onClose={() => setPendingImport(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default LibraryTransferControls;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { X, Plus } from 'lucide-react';
+
+// Dialog for adding a title to (or removing it from) custom lists
+const ListPickerDialog = ({ item, lists, isInList, isListNameTaken, onToggle, onCreate, onClose }) => {
+  const [newListName, setNewListName] = useState('');
+
+  const nameTaken = isListNameTaken(newListName);
+  const canCreate = newListName.trim() !== '' && !nameTaken;
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!canCreate) return;
+    onCreate(newListName, [item]);
+    setNewListName('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-gray-900 rounded-lg max-w-sm w-full p-6 relative" role="dialog" aria-label={`Add ${item.title} to a list`}>
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-white hover:text-gray-300"
+        >
+          <X className="w-6 h-6" />
+        </button>
+
+        <h2 className="text-white text-xl font-bold mb-1 pr-8">Add to list</h2>
+        <p className="text-gray-400 text-sm mb-4 line-clamp-1">{item.title}</p>
+
+        {lists.length > 0 ? (
+          <ul className="mb-4 max-h-64 overflow-y-auto">
+            {lists.map((list) => (
+              <li key={list.id}>
+                <label className="flex items-center gap-3 py-2 cursor-pointer text-gray-200 hover:text-white">
+                  <input
+                    type="checkbox"
+                    checked={isInList(list)}
+                    onChange={(e) => onToggle(list, e.target.checked)}
+                    className="accent-blue-600"
+                  />
+                  <span className="flex-1">{list.name}</span>
+                  <span className="text-gray-500 text-xs">{list.items.length}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-400 text-sm mb-4">You have no lists yet.</p>
+        )}
+
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            type="text"
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+            placeholder="New list name"
+            aria-invalid={nameTaken}
+            className="flex-1 bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={!canCreate}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:text-gray-500 text-white px-3 py-2 rounded-lg transition-colors"
+            aria-label="Create list"
+          >
+            <Plus className="w-5 h-5" />
+          </button>
+        </form>
+        {nameTaken && (
+          <p className="text-red-400 text-xs mt-2">A list with this name already exists</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ListPickerDialog;
@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2, GripVertical, ArrowUp, ArrowDown, X, Check } from 'lucide-react';
+
+// Move one element of an array to a new index
+const moveItem = (array, fromIndex, toIndex) => {
+  const result = [...array];
+  const [moved] = result.splice(fromIndex, 1);
+  result.splice(toIndex, 0, moved);
+  return result;
+};
+
+// Inline name editor used for creating and renaming lists
+const ListNameForm = ({ initialName = '', listId = null, isListNameTaken, onSubmit, onCancel, submitLabel }) => {
+  const [name, setName] = useState(initialName);
+  const nameTaken = isListNameTaken(name, listId);
+  const canSubmit = name.trim() !== '' && !nameTaken;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    onSubmit(name);
+    setName('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="List name"
+          aria-invalid={nameTaken}
+          autoFocus={!!onCancel}
+          className="flex-1 min-w-0 bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!canSubmit}
+          aria-label={submitLabel}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:text-gray-500 text-white px-3 py-2 rounded-lg transition-colors"
+        >
+          {onCancel ? <Check className="w-5 h-5" /> : <Plus className="w-5 h-5" />}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            aria-label="Cancel"
+            className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        )}
+      </div>
+      {nameTaken && (
+        <p className="text-red-400 text-xs mt-2">A list with this name already exists</p>
+      )}
+    </form>
+  );
+};
+
+// Custom lists: pick a list on the left, reorder its titles by dragging on the right
+const ListsView = ({
+  lists,
+  selectedListId,
+  onSelectList,
+  onCreate,
+  onRename,
+  onDelete,
+  onRemoveItem,
+  onReorder,
+  onSelectItem,
+  isListNameTaken
+}) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draggedKey, setDraggedKey] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const list = lists.find(entry => entry.id === selectedListId) || lists[0] || null;
+  const keys = list ? list.items.map(entry => entry.key) : [];
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${list.name}"? The titles stay in your watchlist and watched history.`)) {
+      onDelete(list.id);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const fromIndex = keys.indexOf(draggedKey);
+    if (fromIndex !== -1 && dropIndex !== null && fromIndex !== dropIndex) {
+      onReorder(list.id, moveItem(keys, fromIndex, dropIndex));
+    }
+    setDraggedKey(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <section className="grid grid-cols-1 md:grid-cols-4 gap-8">
+      <aside>
+        <h2 className="text-2xl font-bold text-white mb-4">My Lists</h2>
+        <ul className="mb-4 space-y-1">
+          {lists.map((entry) => (
+            <li key={entry.id}>
+              <button
+                onClick={() => {
+                  setIsRenaming(false);
+                  onSelectList(entry.id);
+                }}
+                className={`w-full text-left px-3 py-2 rounded-lg flex justify-between transition-colors ${
+                  entry.id === list?.id
+                    ? 'bg-blue-600 text-white'
+                    : 'text-gray-300 hover:text-white hover:bg-gray-700'
+                }`}
+              >
+                <span className="truncate">{entry.name}</span>
+                <span className="text-sm opacity-75">{entry.items.length}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+        <ListNameForm
+          isListNameTaken={isListNameTaken}
+          onSubmit={(name) => onCreate(name)}
+          submitLabel="Create list"
+        />
+      </aside>
+
+      <div className="md:col-span-3">
+        {!list ? (
+          <div className="text-center py-12">
+            <div className="text-gray-400">Create a list to group titles, like "Friday movie night"</div>
+          </div>
+        ) : (
+          <>
+            <div className="flex items-center gap-3 mb-6">
+              {isRenaming ? (
+                <div className="flex-1">
+                  <ListNameForm
+                    key={list.id}
+                    initialName={list.name}
+                    listId={list.id}
+                    isListNameTaken={isListNameTaken}
+                    onSubmit={(name) => {
+                      onRename(list.id, name);
+                      setIsRenaming(false);
+                    }}
+                    onCancel={() => setIsRenaming(false)}
+                    submitLabel="Rename list"
+                  />
+                </div>
+              ) : (
+                <>
+                  <h2 className="text-2xl font-bold text-white flex-1 truncate">{list.name}</h2>
+                  <button
+                    onClick={() => setIsRenaming(true)}
+                    aria-label="Rename list"
+                    className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded transition-colors"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={handleDelete}
+                    aria-label="Delete list"
+                    className="bg-red-600 hover:bg-red-700 text-white p-2 rounded transition-colors"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+            </div>
+
+            {list.items.length === 0 ? (
+              <div className="text-center py-12 text-gray-400">
+                This list is empty. Use the list button on any title to add it.
+              </div>
+            ) : (
+              <ol className="space-y-2" onDragOver={(e) => e.preventDefault()} onDrop={handleDrop}>
+                {list.items.map((entry, index) => (
+                  <li
+                    key={entry.key}
+                    draggable
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      setDraggedKey(entry.key);
+                    }}
+                    onDragEnter={() => setDropIndex(index)}
+                    onDragEnd={() => {
+                      setDraggedKey(null);
+                      setDropIndex(null);
+                    }}
+                    className={`flex items-center gap-4 bg-gray-800 rounded-lg p-2 border-2 transition-colors ${
+                      dropIndex === index && draggedKey && draggedKey !== entry.key
+                        ? 'border-blue-500'
+                        : 'border-transparent'
+                    } ${draggedKey === entry.key ? 'opacity-50' : ''}`}
+                  >
+                    <GripVertical className="w-5 h-5 text-gray-500 cursor-grab shrink-0" aria-hidden="true" />
+                    <span className="text-gray-500 w-6 text-right shrink-0">{index + 1}</span>
+                    {entry.poster ? (
+                      <img src={entry.poster} alt="" className="w-10 h-14 object-cover rounded shrink-0" />
+                    ) : (
+                      <div className="w-10 h-14 bg-gray-700 rounded shrink-0" />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <button
+                        onClick={() => onSelectItem(entry)}
+                        className="text-white font-medium hover:text-blue-400 text-left truncate max-w-full transition-colors"
+                      >
+                        {entry.title}
+                      </button>
+                      <div className="text-gray-400 text-sm">
+                        {entry.year} • {entry.type === 'movie' ? 'Movie' : 'TV Show'}
+                      </div>
+                    </div>
+                    <div className="flex gap-1 shrink-0">
+                      <button
+                        onClick={() => onReorder(list.id, moveItem(keys, index, index - 1))}
+                        disabled={index === 0}
+                        aria-label={`Move ${entry.title} up`}
+                        className="text-gray-400 hover:text-white disabled:opacity-30 p-1"
+                      >
+                        <ArrowUp className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => onReorder(list.id, moveItem(keys, index, index + 1))}
+                        disabled={index === list.items.length - 1}
+                        aria-label={`Move ${entry.title} down`}
+                        className="text-gray-400 hover:text-white disabled:opacity-30 p-1"
+                      >
+                        <ArrowDown className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => onRemoveItem(list.id, entry)}
+                        aria-label={`Remove ${entry.title} from ${list.name}`}
+                        className="text-gray-400 hover:text-red-400 p-1"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ListsView;
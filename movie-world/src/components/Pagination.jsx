@@ -23,7 +23,7 @@ const Pagination = ({
     }
   };
 
-  const PaginationButton = ({ page, children, disabled = false, active = false }) => {
+  const PaginationButton = ({ page, children, label = `Go to page ${page}`, disabled = false, active = false }) => {
     const baseClasses = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors border';
     const activeClasses = 'bg-blue-600 text-white border-blue-600';
     const inactiveClasses = 'bg-gray-700 text-gray-300 border-gray-600 hover:bg-gray-600 hover:text-white hover:border-gray-500';
@@ -42,7 +42,8 @@ const Pagination = ({
         onClick={() => !disabled && handlePageClick(page)}
         disabled={disabled}
         className={classes}
-        aria-label={`Go to page ${page}`}
+        aria-label={label}
+        aria-current={active ? 'page' : undefined}
       >
         {children}
       </button>
@@ -65,6 +66,7 @@ const Pagination = ({
         {/* Previous Button */}
         <PaginationButton 
           page={currentPage - 1} 
+          label="Previous page"
           disabled={currentPage === 1}
         >
           <ChevronLeft className="w-4 h-4" />
@@ -108,6 +110,7 @@ const Pagination = ({
         {/* Next Button */}
         <PaginationButton 
           page={currentPage + 1} 
+          label="Next page"
           disabled={currentPage === totalPages}
         >
           <ChevronRight className="w-4 h-4" />
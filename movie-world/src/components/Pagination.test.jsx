@@ -0,0 +1,78 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Pagination from './Pagination.jsx';
+
+const pageButtons = () => screen.getAllByRole('button')
+  .map(button => button.textContent)
+  .filter(Boolean);
+
+describe('Pagination', () => {
+  it('renders nothing for a single page', () => {
+    const { container } = render(<Pagination currentPage={1} totalPages={1} totalResults={12} onPageChange={vi.fn()} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('shows the range of results on the current page', () => {
+    render(<Pagination currentPage={3} totalPages={5} totalResults={95} onPageChange={vi.fn()} />);
+    expect(screen.getByText(/Showing/)).toHaveTextContent('Showing 41 to 60 of 95 results');
+  });
+
+  it('can hide the results summary', () => {
+    render(<Pagination currentPage={1} totalPages={5} totalResults={95} showInfo={false} onPageChange={vi.fn()} />);
+    expect(screen.queryByText(/Showing/)).not.toBeInTheDocument();
+  });
+
+  it('shows the first and last pages around a window of page numbers', () => {
+    render(<Pagination currentPage={10} totalPages={20} totalResults={400} onPageChange={vi.fn()} />);
+    expect(pageButtons()).toEqual(['1', '8', '9', '10', '11', '12', '20']);
+  });
+
+  it('does not repeat the first page when the window starts there', () => {
+    render(<Pagination currentPage={2} totalPages={3} totalResults={60} onPageChange={vi.fn()} />);
+    expect(pageButtons()).toEqual(['1', '2', '3']);
+  });
+
+  it('highlights the current page', () => {
+    render(<Pagination currentPage={2} totalPages={3} totalResults={60} onPageChange={vi.fn()} />);
+    expect(screen.getByRole('button', { name: 'Go to page 2' })).toHaveAttribute('aria-current', 'page');
+    expect(screen.getByRole('button', { name: 'Go to page 3' })).not.toHaveAttribute('aria-current');
+  });
+
+  it('changes page when a page number is clicked', async () => {
+    const onPageChange = vi.fn();
+    render(<Pagination currentPage={1} totalPages={20} totalResults={400} onPageChange={onPageChange} />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Go to page 20' }));
+
+    expect(onPageChange).toHaveBeenCalledWith(20);
+  });
+
+  it('does nothing when the current page is clicked', async () => {
+    const onPageChange = vi.fn();
+    render(<Pagination currentPage={2} totalPages={3} totalResults={60} onPageChange={onPageChange} />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Go to page 2' }));
+
+    expect(onPageChange).not.toHaveBeenCalled();
+  });
+
+  it('steps with the previous and next buttons', async () => {
+    const onPageChange = vi.fn();
+    render(<Pagination currentPage={4} totalPages={10} totalResults={200} onPageChange={onPageChange} />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Previous page' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Next page' }));
+
+    expect(onPageChange.mock.calls).toEqual([[3], [5]]);
+  });
+
+  it('disables previous on the first page and next on the last', () => {
+    const { rerender } = render(<Pagination currentPage={1} totalPages={3} totalResults={60} onPageChange={vi.fn()} />);
+    expect(screen.getByRole('button', { name: 'Previous page' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Next page' })).toBeEnabled();
+
+    rerender(<Pagination currentPage={3} totalPages={3} totalResults={60} onPageChange={vi.fn()} />);
+    expect(screen.getByRole('button', { name: 'Next page' })).toBeDisabled();
+  });
+});
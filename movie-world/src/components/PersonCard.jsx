@@ -0,0 +1,44 @@
+import React from 'react';
+import { User } from 'lucide-react';
+
+// Search result card for an actor, director or other crew member
+const PersonCard = ({ person, onSelect }) => {
+  return (
+    <button
+      onClick={() => onSelect(person)}
+      className="bg-gray-800 rounded-lg overflow-hidden hover:transform hover:scale-105 transition-all duration-300 shadow-lg text-left"
+    >
+      <div className="relative">
+        {person.profile ? (
+          <img
+            src={person.profile}
+            alt={person.name}
+            className="w-full h-64 object-cover"
+          />
+        ) : (
+          <div className="w-full h-64 bg-gray-700 flex items-center justify-center">
+            <User className="w-16 h-16 text-gray-500" />
+          </div>
+        )}
+        <div className="absolute top-2 right-2">
+          <span className="px-2 py-1 rounded text-xs font-bold bg-teal-600 text-white">
+            Person
+          </span>
+        </div>
+      </div>
+      <div className="p-4">
+        <h3 className="text-white font-bold text-lg mb-2 line-clamp-1">{person.name}</h3>
+        {person.knownForDepartment && (
+          <p className="text-gray-400 text-sm mb-2">{person.knownForDepartment}</p>
+        )}
+        {person.knownFor.length > 0 && (
+          <p className="text-gray-300 text-sm line-clamp-2">
+            Known for {person.knownFor.map(item => item.title).join(', ')}
+          </p>
+        )}
+      </div>
+    </button>
+  );
+};
+
+export default PersonCard;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Calendar, MapPin, Star, User, AlertCircle } from 'lucide-react';
+import apiService from '../services/apiService.js';
+import { handleApiError, isAbortError } from '../utils/apiHelpers.js';
+import LoadingSpinner from './LoadingSpinner.jsx';
+import ToggleGroup from './ToggleGroup.jsx';
+
+const FILMOGRAPHY_SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'rating', label: 'Rating' },
+  { value: 'title', label: 'Title' }
+];
+
+// Sort credits; titles without a release date (announced, in production) go last by date
+const sortFilmography = (titles, sortBy) => {
+  const byDate = (direction) => (a, b) => {
+    if (!a.releaseDate || !b.releaseDate) return !a.releaseDate - !b.releaseDate;
+    return a.releaseDate.localeCompare(b.releaseDate) * direction;
+  };
+
+  switch (sortBy) {
+    case 'oldest':
+      return [...titles].sort(byDate(1));
+    case 'rating':
+      return [...titles].sort((a, b) => b.rating - a.rating);
+    case 'title':
+      return [...titles].sort((a, b) => a.title.localeCompare(b.title));
+    default:
+      return [...titles].sort(byDate(-1));
+  }
+};
+
+const PersonPage = ({ person, onBack, onSelectItem }) => {
+  const [details, setDetails] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [sortBy, setSortBy] = useState('newest');
+
+  // Load the person whenever a new one is opened
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const loadPerson = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        setDetails(null);
+        const data = await apiService.getPersonDetails(person.id, { signal: controller.signal });
+        if (!controller.signal.aborted) setDetails(data);
+      } catch (err) {
+        if (!isAbortError(err)) setError(handleApiError(err, 'loading person'));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    loadPerson();
+
+    return () => controller.abort();
+  }, [person.id, reloadCount]);
+
+  const name = details?.name || person.name;
+
+  return (
+    <section>
+      <button
+        onClick={onBack}
+        className="mb-6 text-gray-300 hover:text-white flex items-center gap-2 transition-colors"
+      >
+        <ArrowLeft className="w-5 h-5" />
+        Back
+      </button>
+
+      {isLoading && (
+        <div className="text-center py-8">
+          <LoadingSpinner size="lg" />
+          <div className="text-gray-400 mt-4">Loading{name ? ` ${name}` : ''}...</div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-8 bg-red-900 border border-red-700 rounded-lg p-4">
+          <div className="flex items-center gap-2">
+            <AlertCircle className="w-5 h-5 text-red-400" />
+            <p className="text-red-300">{error}</p>
+          </div>
+          <button
+            onClick={() => setReloadCount(count => count + 1)}
+            className="mt-3 text-sm text-blue-400 hover:underline"
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
+      {details && (
+        <>
+          <div className="flex flex-col md:flex-row gap-8 mb-12">
+            {details.profile ? (
+              <img
+                src={details.profile}
+                alt={details.name}
+                className="w-48 h-72 object-cover rounded-lg shadow-lg"
+              />
+            ) : (
+              <div className="w-48 h-72 bg-gray-800 rounded-lg flex items-center justify-center">
+                <User className="w-16 h-16 text-gray-500" />
+              </div>
+            )}
+
+            <div className="flex-1">
+              <h2 className="text-white text-3xl font-bold mb-2">{details.name}</h2>
+              <div className="flex flex-wrap items-center gap-4 mb-4 text-gray-400">
+                {details.knownForDepartment && <span>{details.knownForDepartment}</span>}
+                {details.birthday && (
+                  <div className="flex items-center gap-1">
+                    <Calendar className="w-4 h-4" />
+                    <span>{details.birthday}{details.deathday ? ` – ${details.deathday}` : ''}</span>
+                  </div>
+                )}
+                {details.placeOfBirth && (
+                  <div className="flex items-center gap-1">
+                    <MapPin className="w-4 h-4" />
+                    <span>{details.placeOfBirth}</span>
+                  </div>
+                )}
+              </div>
+              <p className="text-gray-300 whitespace-pre-line">
+                {details.biography || 'No biography available'}
+              </p>
+            </div>
+          </div>
+
+          {details.knownFor.length > 0 && (
+            <div className="mb-12">
+              <h3 className="text-white text-2xl font-bold mb-6">Known For</h3>
+              <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-8 gap-4">
+                {details.knownFor.map((item) => (
+                  <button
+                    key={`${item.type}-${item.id}`}
+                    onClick={() => onSelectItem(item)}
+                    className="text-left group"
+                  >
+                    {item.poster ? (
+                      <img
+                        src={item.poster}
+                        alt={item.title}
+                        className="w-full h-48 object-cover rounded-lg group-hover:opacity-80 transition-opacity"
+                      />
+                    ) : (
+                      <div className="w-full h-48 bg-gray-800 rounded-lg" />
+                    )}
+                    <div className="text-white text-sm mt-2 line-clamp-2">{item.title}</div>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <div className="flex flex-wrap items-center gap-4 mb-6">
+              <h3 className="text-white text-2xl font-bold">Filmography</h3>
+              <span className="text-gray-400">{details.filmography.length} titles</span>
+              <ToggleGroup
+                options={FILMOGRAPHY_SORT_OPTIONS}
+                value={sortBy}
+                onChange={setSortBy}
+                className="ml-auto"
+              />
+            </div>
+
+            <ul className="divide-y divide-gray-800 bg-gray-800 bg-opacity-40 rounded-lg">
+              {sortFilmography(details.filmography, sortBy).map((item) => (
+                <li key={`${item.type}-${item.id}`} className="flex items-center gap-4 px-4 py-3">
+                  <span className="text-gray-400 w-12 shrink-0">{item.year}</span>
+                  <div className="flex-1 min-w-0">
+                    <button
+                      onClick={() => onSelectItem(item)}
+                      className="text-white font-medium hover:text-blue-400 text-left transition-colors"
+                    >
+                      {item.title}
+                    </button>
+                    {item.roles.length > 0 && (
+                      <div className="text-gray-400 text-sm truncate">{item.roles.join(', ')}</div>
+                    )}
+                  </div>
+                  <span className={`px-2 py-1 rounded text-xs font-bold ${
+                    item.type === 'movie' ? 'bg-blue-600' : 'bg-purple-600'
+                  } text-white`}>
+                    {item.type === 'movie' ? 'Movie' : 'TV'}
+                  </span>
+                  <span className="flex items-center gap-1 text-gray-300 text-sm w-12 shrink-0">
+                    <Star className="w-4 h-4 text-yellow-400" />
+                    {item.rating ? item.rating.toFixed(1) : '–'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default PersonPage;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { Star, StarHalf } from 'lucide-react';
+import { RATING_SCALES, formatUserRating } from '../utils/ratings.js';
+
+// Pick a 1-10 rating, shown as half stars or as numbers; clicking the current value clears it
+const RatingInput = ({ value, onChange, scale = RATING_SCALES.STARS }) => {
+  const [hovered, setHovered] = useState(null);
+  const shown = hovered ?? value ?? 0;
+
+  const select = (rating) => onChange(rating === value ? null : rating);
+
+  if (scale === RATING_SCALES.TEN) {
+    return (
+      <div className="flex flex-wrap items-center gap-1" role="radiogroup" aria-label="Your rating">
+        {Array.from({ length: 10 }, (_, index) => index + 1).map((rating) => (
+          <button
+            key={rating}
+            type="button"
+            role="radio"
+            aria-checked={rating === value}
+            onClick={() => select(rating)}
+            onMouseEnter={() => setHovered(rating)}
+            onMouseLeave={() => setHovered(null)}
+            className={`w-8 h-8 rounded text-sm font-bold transition-colors ${
+              rating <= shown ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            {rating}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-3">
+      <div
+        className="flex"
+        role="radiogroup"
+        aria-label="Your rating"
+        onMouseLeave={() => setHovered(null)}
+      >
+        {[1, 2, 3, 4, 5].map((star) => (
+          <span key={star} className="relative w-7 h-7">
+            <Star className="absolute inset-0 w-7 h-7 text-gray-600" />
+            {shown >= star * 2 && (
+              <Star className="absolute inset-0 w-7 h-7 text-yellow-400 fill-yellow-400" />
+            )}
+            {shown === star * 2 - 1 && (
+              <StarHalf className="absolute inset-0 w-7 h-7 text-yellow-400 fill-yellow-400" />
+            )}
+            {/* Left and right halves pick half and whole stars */}
+            {[star * 2 - 1, star * 2].map((rating, index) => (
+              <button
+                key={rating}
+                type="button"
+                role="radio"
+                aria-checked={rating === value}
+                aria-label={`${rating / 2} stars`}
+                onClick={() => select(rating)}
+                onMouseEnter={() => setHovered(rating)}
+                className={`absolute inset-y-0 w-1/2 ${index === 0 ? 'left-0' : 'right-0'}`}
+              />
+            ))}
+          </span>
+        ))}
+      </div>
+      <span className="text-gray-400 text-sm">{formatUserRating(shown, scale)}</span>
+    </div>
+  );
+};
+
+export default RatingInput;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { Star, User, AlertCircle } from 'lucide-react';
+import apiService from '../services/apiService.js';
+import { formatReleaseDate, truncateText, handleApiError, isAbortError } from '../utils/apiHelpers.js';
+import LoadingSpinner from './LoadingSpinner.jsx';
+import Pagination from './Pagination.jsx';
+
+const PREVIEW_LENGTH = 400;
+
+const Review = ({ review }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const isLong = review.content.length > PREVIEW_LENGTH;
+
+  return (
+    <li className="bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center gap-3 mb-2">
+        {review.avatar ? (
+          <img src={review.avatar} alt="" className="w-8 h-8 rounded-full object-cover" />
+        ) : (
+          <div className="w-8 h-8 rounded-full bg-gray-700 flex items-center justify-center">
+            <User className="w-4 h-4 text-gray-400" />
+          </div>
+        )}
+        <div className="flex-1 min-w-0">
+          <div className="text-white font-medium truncate">{review.author}</div>
+          <div className="text-gray-500 text-xs">{formatReleaseDate(review.createdAt)}</div>
+        </div>
+        {review.rating !== null && (
+          <span className="flex items-center gap-1 text-sm text-gray-200">
+            <Star className="w-4 h-4 text-yellow-400" />
+            {review.rating}/10
+          </span>
+        )}
+      </div>
+
+      <p className="text-gray-300 text-sm whitespace-pre-line">
+        {isExpanded ? review.content : truncateText(review.content, PREVIEW_LENGTH)}
+      </p>
+      {isLong && (
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="mt-2 text-sm text-blue-400 hover:underline"
+        >
+          {isExpanded ? 'Show less' : 'Read more'}
+        </button>
+      )}
+    </li>
+  );
+};
+
+// Paginated TMDB user reviews; page 1 comes with the title's details
+const ReviewList = ({ type, id, initialReviews }) => {
+  const [reviews, setReviews] = useState(initialReviews);
+  const [page, setPage] = useState(initialReviews.page);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (page === reviews.page) return;
+
+    const controller = new AbortController();
+
+    const loadReviews = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const data = await apiService.getReviews(type, id, page, { signal: controller.signal });
+        if (!controller.signal.aborted) setReviews(data);
+      } catch (err) {
+        if (!isAbortError(err)) setError(handleApiError(err, 'loading reviews'));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    loadReviews();
+
+    return () => controller.abort();
+  }, [type, id, page, reviews.page]);
+
+  if (reviews.totalResults === 0) return null;
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-white text-lg font-semibold mb-3">
+        Reviews <span className="text-gray-400 text-sm font-normal">({reviews.totalResults})</span>
+      </h3>
+
+      {error && (
+        <div className="flex items-center gap-2 mb-3 text-red-300">
+          <AlertCircle className="w-5 h-5 text-red-400" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="relative">
+        {isLoading && (
+          <div className="absolute inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-10 rounded-lg">
+            <LoadingSpinner size="md" />
+          </div>
+        )}
+        <ul className="space-y-3">
+          {reviews.results.map((review) => (
+            <Review key={review.id} review={review} />
+          ))}
+        </ul>
+      </div>
+
+      <Pagination
+        currentPage={page}
+        totalPages={reviews.totalPages}
+        totalResults={reviews.totalResults}
+        onPageChange={setPage}
+        showInfo={false}
+        className="mt-4"
+      />
+    </div>
+  );
+};
+
+export default ReviewList;
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle } from 'lucide-react';
+import apiService from '../services/apiService.js';
+import { formatRuntime, handleApiError, isAbortError } from '../utils/apiHelpers.js';
+import { getEpisodeKey, getShowProgress } from '../utils/episodeProgress.js';
+import LoadingSpinner from './LoadingSpinner.jsx';
+
+// Season picker and episode list with watched checkboxes for a TV show
+const SeasonBrowser = ({ show, watchedEpisodes = [], onSetEpisodesWatched }) => {
+  // Open on the season of the next episode to watch, or the first season
+  const [seasonNumber, setSeasonNumber] = useState(() => {
+    const { nextEpisode } = getShowProgress({ seasons: show.seasons, watchedEpisodes });
+    return nextEpisode?.seasonNumber || show.seasons[0]?.seasonNumber || 1;
+  });
+  const [season, setSeason] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const loadSeason = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const data = await apiService.getSeasonDetails(show.id, seasonNumber, { signal: controller.signal });
+        if (!controller.signal.aborted) setSeason(data);
+      } catch (err) {
+        if (!isAbortError(err)) setError(handleApiError(err, 'loading episodes'));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    loadSeason();
+
+    return () => controller.abort();
+  }, [show.id, seasonNumber, reloadCount]);
+
+  const watched = new Set(watchedEpisodes);
+  const episodes = season?.seasonNumber === seasonNumber ? season.episodes : [];
+  const episodeKeys = episodes.map(episode => getEpisodeKey(episode.seasonNumber, episode.episodeNumber));
+  const isSeasonWatched = episodeKeys.length > 0 && episodeKeys.every(key => watched.has(key));
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h3 className="text-white text-lg font-semibold">Episodes</h3>
+        <select
+          value={seasonNumber}
+          onChange={(e) => setSeasonNumber(Number(e.target.value))}
+          className="bg-gray-700 text-white px-3 py-1 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {show.seasons.map((entry) => (
+            <option key={entry.seasonNumber} value={entry.seasonNumber}>
+              {entry.name} ({entry.episodeCount})
+            </option>
+          ))}
+        </select>
+        {episodeKeys.length > 0 && (
+          <button
+            onClick={() => onSetEpisodesWatched(episodeKeys, !isSeasonWatched)}
+            className="ml-auto text-sm text-blue-400 hover:underline"
+          >
+            {isSeasonWatched ? 'Unmark season' : 'Mark season watched'}
+          </button>
+        )}
+      </div>
+
+      {isLoading && (
+        <div className="flex items-center gap-3 text-gray-400">
+          <LoadingSpinner size="sm" />
+          <span>Loading episodes...</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-300">
+          <AlertCircle className="w-5 h-5 text-red-400" />
+          <span>{error}</span>
+          <button
+            onClick={() => setReloadCount(count => count + 1)}
+            className="text-sm text-blue-400 hover:underline"
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
+      {!isLoading && !error && (
+        <ul className="divide-y divide-gray-800 max-h-80 overflow-y-auto">
+          {episodes.map((episode, index) => {
+            const key = episodeKeys[index];
+            return (
+              <li key={key} className="py-2">
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={watched.has(key)}
+                    onChange={(e) => onSetEpisodesWatched([key], e.target.checked)}
+                    className="mt-1 accent-green-600"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className="text-gray-200">
+                      <span className="text-gray-400 mr-2">{episode.episodeNumber}.</span>
+                      {episode.name}
+                    </div>
+                    <div className="text-gray-500 text-xs">
+                      {episode.airDate || 'TBA'}
+                      {episode.runtime > 0 && ` • ${formatRuntime(episode.runtime)}`}
+                    </div>
+                  </div>
+                </label>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SeasonBrowser;
@@ -0,0 +1,58 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import apiService, { applyEnrichment } from '../services/apiService.js';
+
+// "More like this" carousel; cards come from renderCard so they share the app's library actions.
+// items seed the initial state, so key the component by title to reset it.
+const SimilarTitles = ({ items, renderCard }) => {
+  const [titles, setTitles] = useState(items);
+  const trackRef = useRef(null);
+
+  // Fill in OMDB ratings as they arrive; lookups that finished before mounting are replayed on subscribe
+  useEffect(() => {
+    return apiService.subscribeToEnrichment((update) => {
+      setTitles(current => applyEnrichment(current, update));
+    });
+  }, []);
+
+  if (titles.length === 0) return null;
+
+  const scroll = (direction) => {
+    const track = trackRef.current;
+    track?.scrollBy({ left: direction * track.clientWidth * 0.8, behavior: 'smooth' });
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-white text-lg font-semibold">More Like This</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={() => scroll(-1)}
+            aria-label="Scroll left"
+            className="bg-gray-700 hover:bg-gray-600 text-white p-1 rounded-full transition-colors"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <button
+            onClick={() => scroll(1)}
+            aria-label="Scroll right"
+            className="bg-gray-700 hover:bg-gray-600 text-white p-1 rounded-full transition-colors"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div ref={trackRef} className="flex gap-4 overflow-x-auto pb-4 pt-2 px-2 snap-x">
+        {titles.map((item) => (
+          <div key={`${item.type}-${item.id}`} className="w-56 shrink-0 snap-start">
+            {renderCard(item)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SimilarTitles;
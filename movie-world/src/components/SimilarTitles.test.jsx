@@ -0,0 +1,30 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import SimilarTitles from './SimilarTitles.jsx';
+import ContentCard from './ContentCard.jsx';
+import apiService from '../services/apiService.js';
+
+const similar = [
+  { id: 155, type: 'movie', title: 'The Dark Knight', year: 2008, genre: [], rating: 8.5, omdbPending: true },
+  { id: 1396, type: 'tv', title: 'Breaking Bad', year: 2008, genre: [], rating: 8.9, omdbPending: true }
+];
+
+const renderCard = (item) => <ContentCard item={item} onSelect={() => {}} onAddToWatchlist={() => {}} onMarkAsWatched={() => {}} />;
+
+describe('SimilarTitles', () => {
+  afterEach(() => apiService.clearCache());
+
+  it('fills in ratings that arrived before it mounted and after', () => {
+    apiService.emitEnrichment({ key: 'movie:155', fields: { imdbId: 'tt0468569', imdb: 9, omdbPending: false } });
+
+    render(<SimilarTitles items={similar} renderCard={renderCard} />);
+
+    expect(screen.getByText('IMDb 9')).toBeInTheDocument();
+    expect(screen.getAllByLabelText('Loading ratings')).toHaveLength(1);
+
+    act(() => apiService.emitEnrichment({ key: 'tv:1396', fields: { imdbId: 'tt0903747', imdb: 9.5, omdbPending: false } }));
+
+    expect(screen.getByText('IMDb 9.5')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Loading ratings')).not.toBeInTheDocument();
+  });
+});
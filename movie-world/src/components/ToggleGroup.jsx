@@ -0,0 +1,25 @@
+import React from 'react';
+
+// Segmented button group for picking one of a few options
+const ToggleGroup = ({ options, value, onChange, className = '' }) => {
+  return (
+    <div className={`inline-flex bg-gray-800 rounded-lg p-1 ${className}`} role="group">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          onClick={() => onChange(option.value)}
+          aria-pressed={option.value === value}
+          className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+            option.value === value
+              ? 'bg-blue-600 text-white'
+              : 'text-gray-300 hover:text-white hover:bg-gray-700'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ToggleGroup;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Play } from 'lucide-react';
+import { rankVideos, getVideoEmbedUrl, getVideoThumbnail, VIDEO_TYPE_LABELS } from '../utils/videos.js';
+
+// Embedded player with a strip of the title's other videos
+const VideoGallery = ({ videos, title }) => {
+  const rankedVideos = rankVideos(videos);
+  const [selectedId, setSelectedId] = useState(null);
+
+  if (rankedVideos.length === 0) return null;
+
+  const selected = rankedVideos.find(video => video.id === selectedId) || rankedVideos[0];
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-white text-lg font-semibold mb-2">Videos</h3>
+
+      <div className="aspect-video bg-black rounded-lg overflow-hidden mb-3">
+        <iframe
+          key={selected.id}
+          src={getVideoEmbedUrl(selected)}
+          title={`${title}: ${selected.name}`}
+          className="w-full h-full"
+          allow="accelerometer; encrypted-media; gyroscope; picture-in-picture; fullscreen"
+          allowFullScreen
+        />
+      </div>
+
+      {rankedVideos.length > 1 && (
+        <ul className="flex gap-3 overflow-x-auto pb-2">
+          {rankedVideos.map((video) => (
+            <li key={video.id} className="shrink-0 w-40">
+              <button
+                onClick={() => setSelectedId(video.id)}
+                aria-pressed={video.id === selected.id}
+                className={`w-full text-left rounded-lg overflow-hidden border-2 transition-colors ${
+                  video.id === selected.id ? 'border-blue-500' : 'border-transparent hover:border-gray-600'
+                }`}
+              >
+                <div className="relative h-24 bg-gray-800">
+                  {getVideoThumbnail(video) && (
+                    <img
+                      src={getVideoThumbnail(video)}
+                      alt=""
+                      className="w-full h-full object-cover"
+                    />
+                  )}
+                  <Play className="absolute inset-0 m-auto w-8 h-8 text-white opacity-80" />
+                </div>
+                <div className="p-2 bg-gray-800">
+                  <div className="text-gray-400 text-xs">
+                    {VIDEO_TYPE_LABELS[video.type] || video.type}
+                    {video.language && ` • ${video.language.toUpperCase()}`}
+                  </div>
+                  <div className="text-gray-200 text-sm line-clamp-2">{video.name}</div>
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default VideoGallery;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import RatingInput from './RatingInput.jsx';
+import { toDateInputValue, fromDateInputValue } from '../utils/ratings.js';
+
+// Dialog for a watched title's personal rating, watched date and notes
+const WatchedEntryEditor = ({ record, scale, onSave, onClose }) => {
+  const [userRating, setUserRating] = useState(record.userRating);
+  const [watchedOn, setWatchedOn] = useState(toDateInputValue(record.watchedAt));
+  const [notes, setNotes] = useState(record.notes || '');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(record, {
+      userRating,
+      // Keep the original time of day when the date itself is unchanged
+      watchedAt: watchedOn === toDateInputValue(record.watchedAt) ? record.watchedAt : fromDateInputValue(watchedOn),
+      notes
+    });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-gray-900 rounded-lg max-w-lg w-full p-6 relative"
+        aria-label={`Edit ${record.title}`}
+      >
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute top-4 right-4 text-white hover:text-gray-300"
+        >
+          <X className="w-6 h-6" />
+        </button>
+
+        <h2 className="text-white text-xl font-bold mb-6 pr-8">{record.title}</h2>
+
+        <div className="mb-5">
+          <div className="text-gray-400 text-sm mb-2">Your rating</div>
+          <RatingInput value={userRating} onChange={setUserRating} scale={scale} />
+        </div>
+
+        <label className="block mb-5">
+          <span className="block text-gray-400 text-sm mb-2">Watched on</span>
+          <input
+            type="date"
+            value={watchedOn}
+            max={toDateInputValue(new Date().toISOString())}
+            onChange={(e) => setWatchedOn(e.target.value)}
+            className="bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        <label className="block mb-6">
+          <span className="block text-gray-400 text-sm mb-2">Notes</span>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={5}
+            placeholder="What did you think?"
+            className="w-full bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-gray-300 hover:text-white hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium transition-colors"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default WatchedEntryEditor;
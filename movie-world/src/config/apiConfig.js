@@ -1,18 +1,29 @@
+// Send API calls through our proxy (server/apiProxy.js), which adds the keys server-side.
+// Enable with VITE_USE_API_PROXY=true and set TMDB_API_KEY / OMDB_API_KEY (no VITE_ prefix) instead.
+const USE_PROXY = import.meta.env.VITE_USE_API_PROXY === 'true';
+const PROXY_BASE_URL = import.meta.env.VITE_API_PROXY_URL || '/api';
+
 // API Configuration
 export const API_CONFIG = {
+  // 'live' (TMDB and OMDB) or 'mock' (bundled fixtures, no keys or network needed)
+  DATA_SOURCE: import.meta.env.VITE_DATA_SOURCE || 'live',
+  PROXY: {
+    ENABLED: USE_PROXY,
+    BASE_URL: PROXY_BASE_URL
+  },
   TMDB: {
-    BASE_URL: 'https://api.themoviedb.org/3',
+    BASE_URL: USE_PROXY ? `${PROXY_BASE_URL}/tmdb` : 'https://api.themoviedb.org/3',
     IMAGE_BASE_URL: 'https://image.tmdb.org/t/p',
-    API_KEY: import.meta.env.VITE_TMDB_API_KEY || '', // You'll need to add this to your .env file
+    API_KEY: USE_PROXY ? '' : import.meta.env.VITE_TMDB_API_KEY || '', // You'll need to add this to your .env file
     ENDPOINTS: {
-      TRENDING_ALL: '/trending/all/day',
-      TRENDING_MOVIES: '/trending/movie/day',
-      TRENDING_TV: '/trending/tv/day',
+      TRENDING: '/trending', // /trending/{all|movie|tv}/{day|week}
       SEARCH_MULTI: '/search/multi',
       SEARCH_MOVIE: '/search/movie',
       SEARCH_TV: '/search/tv',
       MOVIE_DETAILS: '/movie',
       TV_DETAILS: '/tv',
+      PERSON_DETAILS: '/person',
+      FIND: '/find', // /find/{external_id}?external_source=imdb_id
       DISCOVER_MOVIE: '/discover/movie',
       DISCOVER_TV: '/discover/tv',
       GENRES_MOVIE: '/genre/movie/list',
@@ -21,12 +32,15 @@ export const API_CONFIG = {
     IMAGE_SIZES: {
       POSTER: 'w500',
       BACKDROP: 'w1280',
-      PROFILE: 'w185'
-    }
+      PROFILE: 'w185',
+      STILL: 'w300'
+    },
+    TRENDING_TIME_WINDOWS: ['day', 'week'],
+    MAX_PAGES: 500 // TMDB rejects page numbers above 500
   },
   OMDB: {
-    BASE_URL: 'https://www.omdbapi.com',
-    API_KEY: import.meta.env.VITE_OMDB_API_KEY || '', // You'll need to add this to your .env file
+    BASE_URL: USE_PROXY ? `${PROXY_BASE_URL}/omdb` : 'https://www.omdbapi.com',
+    API_KEY: USE_PROXY ? '' : import.meta.env.VITE_OMDB_API_KEY || '', // You'll need to add this to your .env file
     ENDPOINTS: {
       SEARCH: '/',
       BY_ID: '/',
@@ -35,6 +49,32 @@ export const API_CONFIG = {
   }
 };
 
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Response cache configuration
+export const CACHE_CONFIG = {
+  PERSISTENT: true, // Keep responses in IndexedDB so reloads are instant
+  TTL: {
+    GENRES: 7 * DAY,
+    TRENDING: 10 * MINUTE,
+    SEARCH: 30 * MINUTE,
+    DISCOVER: 30 * MINUTE,
+    DETAILS: 6 * HOUR,
+    EXTERNAL_IDS: 30 * DAY, // IMDb IDs practically never change
+    OMDB: DAY
+  }
+};
+
+// Retry configuration for idempotent requests
+export const RETRY_CONFIG = {
+  MAX_RETRIES: 3,
+  BASE_DELAY: 500, // ms, doubled on every attempt
+  MAX_DELAY: 10000, // ms, also caps Retry-After waits
+  RETRY_METHODS: ['get', 'head', 'options']
+};
+
 // Default request parameters
 export const DEFAULT_PARAMS = {
   TMDB: {
@@ -0,0 +1,76 @@
+import { useState, useEffect, useCallback } from 'react';
+import libraryStorage from '../services/libraryStorage.js';
+
+// Named custom lists ("Friday movie night", ...) backed by libraryStorage
+const useCustomLists = () => {
+  const [lists, setLists] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setLists(await libraryStorage.getLists());
+    } catch (error) {
+      console.error('Error loading lists:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const runMutation = useCallback(async (mutation, context) => {
+    try {
+      await mutation();
+    } catch (error) {
+      console.error(`Error ${context}:`, error);
+    }
+    await refresh();
+  }, [refresh]);
+
+  const createList = useCallback((name, items = []) =>
+    runMutation(() => libraryStorage.createList(name, items), 'creating list'),
+  [runMutation]);
+
+  const renameList = useCallback((id, name) =>
+    runMutation(() => libraryStorage.renameList(id, name), 'renaming list'),
+  [runMutation]);
+
+  const deleteList = useCallback((id) =>
+    runMutation(() => libraryStorage.deleteList(id), 'deleting list'),
+  [runMutation]);
+
+  const addToList = useCallback((id, item) =>
+    runMutation(() => libraryStorage.addToList(id, item), 'adding to list'),
+  [runMutation]);
+
+  const removeFromList = useCallback((id, item) =>
+    runMutation(() => libraryStorage.removeFromList(id, item), 'removing from list'),
+  [runMutation]);
+
+  const reorderList = useCallback((id, keys) => {
+    // Reorder locally first so a dropped row does not jump back while storage catches up
+    setLists(current => current.map(list => list.id !== id ? list : {
+      ...list,
+      items: keys.map(key => list.items.find(entry => entry.key === key)).filter(Boolean)
+    }));
+    return runMutation(() => libraryStorage.reorderList(id, keys), 'reordering list');
+  }, [runMutation]);
+
+  // True when another list already uses this name (case-insensitive)
+  const isListNameTaken = useCallback((name, listId = null) =>
+    lists.some(list => list.id !== listId && list.name.toLowerCase() === name.trim().toLowerCase()),
+  [lists]);
+
+  return {
+    lists,
+    createList,
+    renameList,
+    deleteList,
+    addToList,
+    removeFromList,
+    reorderList,
+    isListNameTaken,
+    refresh
+  };
+};
+
+export default useCustomLists;
@@ -0,0 +1,80 @@
+import { useState, useEffect, useCallback } from 'react';
+import libraryStorage, { LIBRARY_STATUS, getLibraryKey } from '../services/libraryStorage.js';
+import librarySync from '../services/librarySync.js';
+import { isOffline } from '../utils/apiHelpers.js';
+
+// Titles saved offline only have their card's data; queue them for full details on reconnect
+const queueIfOffline = (item) => {
+  if (isOffline()) librarySync.queueRefresh(item);
+};
+
+// Persisted watchlist and watched list backed by libraryStorage
+const useLibrary = () => {
+  const [records, setRecords] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setRecords(await libraryStorage.list());
+    } catch (error) {
+      console.error('Error loading library:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const runMutation = useCallback(async (mutation, context) => {
+    try {
+      await mutation();
+    } catch (error) {
+      console.error(`Error ${context}:`, error);
+    }
+    await refresh();
+  }, [refresh]);
+
+  const addToWatchlist = useCallback((item) =>
+    runMutation(async () => {
+      await libraryStorage.addToWatchlist(item);
+      queueIfOffline(item);
+    }, 'adding to watchlist'),
+  [runMutation]);
+
+  const removeFromWatchlist = useCallback((item) =>
+    runMutation(() => libraryStorage.remove(item), 'removing from watchlist'),
+  [runMutation]);
+
+  const markAsWatched = useCallback((item) =>
+    runMutation(async () => {
+      await libraryStorage.markAsWatched(item);
+      queueIfOffline(item);
+    }, 'marking as watched'),
+  [runMutation]);
+
+  const setEpisodesWatched = useCallback((item, episodeKeys, watched) =>
+    runMutation(() => libraryStorage.setEpisodesWatched(item, episodeKeys, watched), 'updating watched episodes'),
+  [runMutation]);
+
+  const updateEntry = useCallback((item, changes) =>
+    runMutation(() => libraryStorage.updateEntry(item, changes), 'updating library entry'),
+  [runMutation]);
+
+  // The library record for an item, or null when it is not in the library
+  const findRecord = useCallback((item) =>
+    records.find(record => record.key === getLibraryKey(item)) || null,
+  [records]);
+
+  return {
+    watchlist: records.filter(record => record.status === LIBRARY_STATUS.WATCHLIST),
+    watchedList: records.filter(record => record.status === LIBRARY_STATUS.WATCHED),
+    addToWatchlist,
+    removeFromWatchlist,
+    markAsWatched,
+    setEpisodesWatched,
+    updateEntry,
+    findRecord,
+    refresh
+  };
+};
+
+export default useLibrary;
@@ -0,0 +1,105 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import useLibrary from './useLibrary.js';
+import librarySync from '../services/librarySync.js';
+import ContentCard from '../components/ContentCard.jsx';
+
+const titles = [
+  { id: 27205, type: 'movie', title: 'Inception', year: 2010, genre: ['Action'], plot: 'Dreams.', rating: 8.4, omdbPending: false },
+  { id: 1396, type: 'tv', title: 'Breaking Bad', year: 2008, genre: ['Drama'], plot: 'Chemistry.', rating: 8.9, seasons: [] }
+];
+
+// Wires the library into cards the way App does: browse results, plus watchlist and watched sections
+const Library = () => {
+  const { watchlist, watchedList, addToWatchlist, removeFromWatchlist, markAsWatched } = useLibrary();
+  const cardProps = (item) => ({
+    isInWatchlist: watchlist.some(record => record.key === `${item.type}:${item.id}`),
+    isWatched: watchedList.some(record => record.key === `${item.type}:${item.id}`),
+    onSelect: vi.fn(),
+    onAddToWatchlist: addToWatchlist,
+    onMarkAsWatched: markAsWatched
+  });
+
+  return (
+    <>
+      <section aria-label="Browse">
+        {titles.map(item => <ContentCard key={item.id} item={item} {...cardProps(item)} />)}
+      </section>
+      <section aria-label="Watchlist">
+        {watchlist.map(item => (
+          <div key={item.key}>
+            <ContentCard item={item} {...cardProps(item)} />
+            <button onClick={() => removeFromWatchlist(item)} aria-label={`Remove ${item.title} from watchlist`} />
+          </div>
+        ))}
+      </section>
+      <section aria-label="Watched">
+        {watchedList.map(item => <ContentCard key={item.key} item={item} showActions={false} {...cardProps(item)} />)}
+      </section>
+    </>
+  );
+};
+
+const section = (name) => within(screen.getByRole('region', { name }));
+const storedLibrary = () => Object.values(JSON.parse(localStorage.getItem('movie-world-library') || '{}'));
+
+describe('watchlist flows', () => {
+  it('adds a title to the watchlist and saves it', async () => {
+    render(<Library />);
+
+    await userEvent.click(section('Browse').getByRole('button', { name: 'Add Inception to watchlist' }));
+
+    expect(await section('Watchlist').findByRole('heading', { name: 'Inception' })).toBeInTheDocument();
+    expect(section('Browse').getByRole('button', { name: 'Mark Inception as watched' })).toBeInTheDocument();
+    expect(storedLibrary()).toEqual([
+      expect.objectContaining({ key: 'movie:27205', status: 'watchlist', watchedAt: null })
+    ]);
+    expect(storedLibrary()[0]).not.toHaveProperty('omdbPending');
+  });
+
+  it('moves a watchlist title to watched', async () => {
+    render(<Library />);
+
+    await userEvent.click(section('Browse').getByRole('button', { name: 'Add Breaking Bad to watchlist' }));
+    await userEvent.click(await section('Watchlist').findByRole('button', { name: 'Mark Breaking Bad as watched' }));
+
+    expect(await section('Watched').findByRole('heading', { name: 'Breaking Bad' })).toBeInTheDocument();
+    expect(section('Watchlist').queryByRole('heading', { name: 'Breaking Bad' })).not.toBeInTheDocument();
+    expect(section('Browse').getByRole('button', { name: 'Breaking Bad watched' })).toBeInTheDocument();
+    expect(storedLibrary()[0]).toMatchObject({ status: 'watched', watchedEpisodes: [] });
+    expect(storedLibrary()[0].watchedAt).toEqual(expect.any(String));
+  });
+
+  it('removes a title from the watchlist', async () => {
+    render(<Library />);
+
+    await userEvent.click(section('Browse').getByRole('button', { name: 'Add Inception to watchlist' }));
+    await userEvent.click(await section('Watchlist').findByRole('button', { name: 'Remove Inception from watchlist' }));
+
+    expect(await section('Browse').findByRole('button', { name: 'Add Inception to watchlist' })).toBeInTheDocument();
+    expect(section('Watchlist').queryByRole('heading')).not.toBeInTheDocument();
+    expect(storedLibrary()).toEqual([]);
+  });
+
+  it('loads the saved library on the next visit', async () => {
+    const { unmount } = render(<Library />);
+    await userEvent.click(section('Browse').getByRole('button', { name: 'Add Inception to watchlist' }));
+    await section('Watchlist').findByRole('heading', { name: 'Inception' });
+    unmount();
+
+    render(<Library />);
+
+    expect(await section('Watchlist').findByRole('heading', { name: 'Inception' })).toBeInTheDocument();
+  });
+
+  it('queues titles added offline for a details refresh', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    render(<Library />);
+
+    await userEvent.click(section('Browse').getByRole('button', { name: 'Add Inception to watchlist' }));
+
+    await section('Watchlist').findByRole('heading', { name: 'Inception' });
+    expect(librarySync.getPendingCount()).toBe(1);
+  });
+});
@@ -0,0 +1,25 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_LIBRARY_VIEW, getLibraryView, saveLibraryView } from '../utils/libraryFilters.js';
+
+// Sort, filters and search text for one library tab, remembered across visits
+const useLibraryView = (tab) => {
+  const [view, setView] = useState(() => getLibraryView(tab));
+
+  // Save outside the state updaters, which must stay pure (StrictMode runs them twice)
+  useEffect(() => {
+    saveLibraryView(tab, view);
+  }, [tab, view]);
+
+  const updateView = useCallback((changes) => {
+    setView(current => ({ ...current, ...changes }));
+  }, []);
+
+  // Clear filters and search but keep the chosen sort
+  const resetFilters = useCallback(() => {
+    setView(current => ({ ...DEFAULT_LIBRARY_VIEW, sortBy: current.sortBy }));
+  }, []);
+
+  return [view, updateView, resetFilters];
+};
+
+export default useLibraryView;
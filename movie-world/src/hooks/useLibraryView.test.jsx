@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { StrictMode } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import useLibraryView from './useLibraryView.js';
+import * as libraryFilters from '../utils/libraryFilters.js';
+
+const savedViews = () => JSON.parse(localStorage.getItem('movie-world-library-views'));
+
+describe('useLibraryView', () => {
+  it('saves each change once, outside the state updater', () => {
+    const { result } = renderHook(() => useLibraryView('watched'), { wrapper: StrictMode });
+    const save = vi.spyOn(libraryFilters, 'saveLibraryView');
+
+    act(() => result.current[1]({ query: 'nolan', sortBy: 'title.asc' }));
+
+    expect(result.current[0]).toMatchObject({ query: 'nolan', sortBy: 'title.asc' });
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(savedViews().watched).toMatchObject({ query: 'nolan', sortBy: 'title.asc' });
+
+    act(() => result.current[2]());
+
+    expect(result.current[0]).toEqual({ ...libraryFilters.DEFAULT_LIBRARY_VIEW, sortBy: 'title.asc' });
+    expect(savedViews().watched.query).toBe('');
+  });
+
+  it('restores the saved view for its tab', () => {
+    localStorage.setItem('movie-world-library-views', JSON.stringify({ watchlist: { type: 'tv' } }));
+
+    const { result } = renderHook(() => useLibraryView('watchlist'));
+
+    expect(result.current[0]).toMatchObject({ type: 'tv', sortBy: 'addedAt.desc' });
+  });
+});
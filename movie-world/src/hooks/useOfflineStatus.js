@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback } from 'react';
+import librarySync from '../services/librarySync.js';
+import { isOffline } from '../utils/apiHelpers.js';
+
+// How long to wait before trying again when titles are still queued after a flush
+export const SYNC_RETRY_DELAY = 30000;
+
+// Online/offline state plus the titles waiting to be refreshed; onSynced runs after queued titles update
+const useOfflineStatus = (onSynced) => {
+  const [isOnline, setIsOnline] = useState(() => !isOffline());
+  const [pendingCount, setPendingCount] = useState(() => librarySync.getPendingCount());
+  const [syncFailed, setSyncFailed] = useState(false);
+  const [syncDismissed, setSyncDismissed] = useState(false);
+  const [syncAttempt, setSyncAttempt] = useState(0);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => {
+      setIsOnline(false);
+      setSyncDismissed(false);
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  useEffect(() => librarySync.subscribe(setPendingCount), []);
+
+  // Apply queued changes on load, whenever the connection comes back and on each retry
+  useEffect(() => {
+    if (!isOnline || librarySync.getPendingCount() === 0) return;
+
+    let cancelled = false;
+    let retryTimer = null;
+
+    // A failed or partial flush (e.g. a flaky reconnect) would otherwise wait for the next offline/online cycle
+    const finish = () => {
+      if (cancelled) return;
+      const failed = librarySync.getPendingCount() > 0;
+      setSyncFailed(failed);
+      if (failed) {
+        retryTimer = setTimeout(() => setSyncAttempt(attempt => attempt + 1), SYNC_RETRY_DELAY);
+      }
+    };
+
+    librarySync.flush()
+      .then((updated) => {
+        if (updated > 0) onSynced();
+        finish();
+      })
+      .catch((error) => {
+        console.error('Error syncing library:', error);
+        finish();
+      });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+    };
+  }, [isOnline, onSynced, syncAttempt]);
+
+  const retrySync = useCallback(() => setSyncAttempt(attempt => attempt + 1), []);
+
+  // Hide the failure notice until the next time the connection drops; retries carry on in the background
+  const dismissSyncError = useCallback(() => setSyncDismissed(true), []);
+
+  return {
+    isOnline,
+    pendingCount,
+    syncFailed: syncFailed && pendingCount > 0,
+    syncDismissed,
+    retrySync,
+    dismissSyncError
+  };
+};
+
+export default useOfflineStatus;
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useOfflineStatus, { SYNC_RETRY_DELAY } from './useOfflineStatus.js';
+import librarySync from '../services/librarySync.js';
+
+describe('useOfflineStatus', () => {
+  let pending;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    pending = 2;
+    vi.spyOn(librarySync, 'getPendingCount').mockImplementation(() => pending);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('reports a failed flush and retries it', async () => {
+    const flush = vi.spyOn(librarySync, 'flush').mockRejectedValueOnce(new Error('Network Error'));
+    const onSynced = vi.fn();
+
+    const { result } = renderHook(() => useOfflineStatus(onSynced));
+    await act(async () => {});
+
+    expect(flush).toHaveBeenCalledTimes(1);
+    expect(result.current.syncFailed).toBe(true);
+
+    flush.mockImplementationOnce(async () => {
+      pending = 0;
+      return 2;
+    });
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(SYNC_RETRY_DELAY);
+    });
+
+    expect(flush).toHaveBeenCalledTimes(2);
+    expect(onSynced).toHaveBeenCalledTimes(1);
+    expect(result.current.syncFailed).toBe(false);
+  });
+
+  it('retries on request and can be dismissed', async () => {
+    const flush = vi.spyOn(librarySync, 'flush').mockResolvedValue(0);
+    const onSynced = vi.fn();
+
+    const { result } = renderHook(() => useOfflineStatus(onSynced));
+    await act(async () => {});
+    expect(result.current.syncFailed).toBe(true);
+
+    await act(async () => result.current.retrySync());
+    expect(flush).toHaveBeenCalledTimes(2);
+
+    act(() => result.current.dismissSyncError());
+    expect(result.current.syncDismissed).toBe(true);
+
+    act(() => window.dispatchEvent(new Event('offline')));
+    expect(result.current).toMatchObject({ isOnline: false, syncDismissed: false });
+  });
+});
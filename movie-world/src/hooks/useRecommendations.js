@@ -0,0 +1,54 @@
+import { useState, useEffect, useRef } from 'react';
+import apiService, { applyEnrichment } from '../services/apiService.js';
+import { isAbortError } from '../utils/apiHelpers.js';
+
+// Recommendations for the library, reloaded when titles, statuses or ratings change
+const useRecommendations = (records, enabled = true) => {
+  const [recommendations, setRecommendations] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const recordsRef = useRef(records);
+  recordsRef.current = records;
+
+  // The library is re-read after every mutation, so compare contents rather than identity
+  const signature = records
+    .map(record => `${record.key}:${record.status}:${record.userRating || ''}`)
+    .sort()
+    .join('|');
+
+  useEffect(() => {
+    if (!enabled || !signature) {
+      setRecommendations([]);
+      setIsLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    const loadRecommendations = async () => {
+      try {
+        setIsLoading(true);
+        const results = await apiService.getRecommendations(recordsRef.current, { signal: controller.signal });
+        if (!controller.signal.aborted) setRecommendations(results);
+      } catch (error) {
+        if (!isAbortError(error)) console.error('Error loading recommendations:', error);
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    loadRecommendations();
+
+    return () => controller.abort();
+  }, [enabled, signature]);
+
+  // Fill in OMDB ratings as they arrive
+  useEffect(() => {
+    return apiService.subscribeToEnrichment((update) => {
+      setRecommendations(current => applyEnrichment(current, update));
+    });
+  }, []);
+
+  return { recommendations, isLoading };
+};
+
+export default useRecommendations;
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import apiService from '../services/apiService.js';
+
+// Requests currently waiting on a retry, keyed by request id
+const useRetryStatus = () => {
+  const [retrying, setRetrying] = useState({});
+
+  useEffect(() => {
+    return apiService.subscribeToRetries((event) => {
+      setRetrying(current => {
+        const next = { ...current };
+        if (event.type === 'retry') {
+          next[event.requestId] = event;
+        } else {
+          delete next[event.requestId];
+        }
+        return next;
+      });
+    });
+  }, []);
+
+  const events = Object.values(retrying);
+
+  return {
+    isRetrying: events.length > 0,
+    // The request furthest along its retries is the most useful to show
+    latest: events.reduce((worst, event) => (!worst || event.attempt > worst.attempt ? event : worst), null)
+  };
+};
+
+export default useRetryStatus;
@@ -0,0 +1,98 @@
+// Service worker: precached app shell, cached poster images and network-first API responses.
+// plugins/serviceWorkerPlugin.js fills in the manifest and version at build time;
+// registerServiceWorker passes the image and API origins from API_CONFIG as query parameters.
+
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST__ || [];
+const CACHE_VERSION = self.__CACHE_VERSION__ || 'dev';
+
+const SHELL_CACHE = `movie-world-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = 'movie-world-images';
+const API_CACHE = 'movie-world-api';
+
+// Opaque cross-origin images count heavily against storage quota, so keep fewer of them
+const MAX_IMAGE_ENTRIES = 200;
+const MAX_API_ENTRIES = 300;
+
+const params = new URL(self.location.href).searchParams;
+const IMAGE_PREFIXES = params.getAll('image');
+const API_PREFIXES = params.getAll('api');
+
+// Drop the oldest entries once a runtime cache grows past its limit
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+const isCacheable = (response) => response && (response.ok || response.type === 'opaque');
+
+const putInCache = async (cacheName, request, response, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  await cache.put(request, response);
+  if (maxEntries) await trimCache(cacheName, maxEntries);
+};
+
+// Serve from cache, fetching (and caching) only what is missing
+const cacheFirst = async (event, cacheName, maxEntries) => {
+  const cached = await caches.match(event.request);
+  if (cached) return cached;
+
+  const response = await fetch(event.request);
+  if (isCacheable(response)) {
+    event.waitUntil(putInCache(cacheName, event.request, response.clone(), maxEntries));
+  }
+  return response;
+};
+
+// Prefer fresh responses, falling back to the last cached one when the network fails
+const networkFirst = async (event, cacheName, maxEntries, fallbackUrl = null) => {
+  try {
+    const response = await fetch(event.request);
+    if (isCacheable(response)) {
+      event.waitUntil(putInCache(cacheName, event.request, response.clone(), maxEntries));
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(event.request) || (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(PRECACHE_URLS);
+    await self.skipWaiting();
+  })());
+});
+
+// Remove app shells from older builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('movie-world-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = request.url;
+
+  // Every route is the single-page app, so offline navigations get the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event, SHELL_CACHE, null, '/'));
+  } else if (IMAGE_PREFIXES.some(prefix => url.startsWith(prefix))) {
+    event.respondWith(cacheFirst(event, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+  } else if (API_PREFIXES.some(prefix => url.startsWith(prefix))) {
+    event.respondWith(networkFirst(event, API_CACHE, MAX_API_ENTRIES));
+  } else if (new URL(url).origin === self.location.origin) {
+    // Built assets have hashed names, so a cached copy is always current
+    event.respondWith(cacheFirst(event, SHELL_CACHE));
+  }
+});
@@ -1,55 +1,97 @@
-import tmdbApi from './tmdbApi.js';
-import omdbApi from './omdbApi.js';
-
-class ApiService {
-  constructor() {
-    this.tmdb = tmdbApi;
-    this.omdb = omdbApi;
+import {
+  metadataProvider,
+  ratingsProvider,
+  assertProvider,
+  METADATA_PROVIDER_METHODS,
+  RATINGS_PROVIDER_METHODS
+} from './providers.js';
+import { IdResolver } from './idResolver.js';
+import { RecommendationService } from './recommendationService.js';
+import responseCache from './responseCache.js';
+import { getLibraryKey } from './libraryStorage.js';
+import { onRetry, getRetryStats } from './httpClient.js';
+import { sortDiscoverResults } from '../utils/discoverFilters.js';
+import { isAbortError, createAbortError } from '../utils/apiHelpers.js';
+
+// OMDB fills fields it has no data for (such as a series' director) with 'N/A'
+const hasOMDBValue = (value) => !!value && value !== 'N/A';
+
+// Fields of an enriched item that OMDB added or changed
+const getChangedFields = (enhancedItem, item) => Object.fromEntries(
+  Object.entries(enhancedItem).filter(([field, value]) => item[field] !== value)
+);
+
+// Merge an enrichment update into whichever items it is for, keeping their other fields
+export const applyEnrichment = (items, { key, fields }) => items.map(item =>
+  getLibraryKey(item) === key ? { ...item, ...fields } : item
+);
+
+export class ApiService {
+  // Providers default to TMDB and OMDB (or the mocks, see providers.js); tests can pass their own
+  constructor({ metadata = metadataProvider, ratings = ratingsProvider, cache = responseCache } = {}) {
+    this.metadata = assertProvider(metadata, METADATA_PROVIDER_METHODS, 'Metadata');
+    this.ratings = assertProvider(ratings, RATINGS_PROVIDER_METHODS, 'Ratings');
+    this.cache = cache;
+    this.idResolver = new IdResolver({ metadata: this.metadata, ratings: this.ratings });
+    this.recommendations = new RecommendationService({ metadata: this.metadata });
     this.genreCache = new Map();
+    this.enrichmentListeners = new Set();
+    // Last OMDB fields sent for each library key, replayed to listeners that subscribe later
+    this.enrichedFields = new Map();
   }
 
+  // Methods that hit the network accept { signal } (an AbortSignal) as their last argument
+
   // Get trending content with enhanced data
-  async getTrendingContent(page = 1) {
+  async getTrendingContent(page = 1, timeWindow = 'day', options = {}) {
     try {
-      const tmdbResponse = await this.tmdb.getTrending('day', page);
-      const enhancedResults = await this.enhanceWithOMDBData(tmdbResponse.results);
-
-      return {
-        results: enhancedResults,
-        page: tmdbResponse.page,
-        totalPages: tmdbResponse.totalPages,
-        totalResults: tmdbResponse.totalResults
-      };
+      const tmdbResponse = await this.metadata.getTrending(timeWindow, page, options);
+      return await this.enhancePaginatedResponse(tmdbResponse, options);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching trending content:', error);
       throw error;
     }
   }
 
   // Get trending movies with enhanced data
-  async getTrendingMovies(page = 1) {
+  async getTrendingMovies(page = 1, timeWindow = 'day', options = {}) {
     try {
-      const tmdbData = await this.tmdb.getTrendingMovies('day', page);
-      return await this.enhanceWithOMDBData(tmdbData);
+      const tmdbResponse = await this.metadata.getTrendingMovies(timeWindow, page, options);
+      return await this.enhancePaginatedResponse(tmdbResponse, options);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching trending movies:', error);
       throw error;
     }
   }
 
   // Get trending TV shows with enhanced data
-  async getTrendingTV(page = 1) {
+  async getTrendingTV(page = 1, timeWindow = 'day', options = {}) {
     try {
-      const tmdbData = await this.tmdb.getTrendingTV('day', page);
-      return await this.enhanceWithOMDBData(tmdbData);
+      const tmdbResponse = await this.metadata.getTrendingTV(timeWindow, page, options);
+      return await this.enhancePaginatedResponse(tmdbResponse, options);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching trending TV shows:', error);
       throw error;
     }
   }
 
+  // Get trending content for a media type ('all', 'movie' or 'tv')
+  async getTrendingByType(type = 'all', page = 1, timeWindow = 'day', options = {}) {
+    switch (type) {
+      case 'movie':
+        return this.getTrendingMovies(page, timeWindow, options);
+      case 'tv':
+        return this.getTrendingTV(page, timeWindow, options);
+      default:
+        return this.getTrendingContent(page, timeWindow, options);
+    }
+  }
+
   // Search content with enhanced data
-  async searchContent(query, page = 1) {
+  async searchContent(query, page = 1, options = {}) {
     try {
       if (!query.trim()) return {
         results: [],
@@ -58,82 +100,138 @@ class ApiService {
         totalResults: 0
       };
 
-      const tmdbResponse = await this.tmdb.searchMulti(query, page);
-      const enhancedResults = await this.enhanceWithOMDBData(tmdbResponse.results);
-
-      return {
-        results: enhancedResults,
-        page: tmdbResponse.page,
-        totalPages: tmdbResponse.totalPages,
-        totalResults: tmdbResponse.totalResults
-      };
+      const tmdbResponse = await this.metadata.searchMulti(query, page, options);
+      return await this.enhancePaginatedResponse(tmdbResponse, options);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error searching content:', error);
       throw error;
     }
   }
 
   // Get detailed content information
-  async getContentDetails(id, type) {
+  async getContentDetails(id, type, options = {}) {
     try {
       let tmdbData;
 
       if (type === 'movie') {
-        tmdbData = await this.tmdb.getMovieDetails(id);
+        tmdbData = await this.metadata.getMovieDetails(id, options);
       } else if (type === 'tv') {
-        tmdbData = await this.tmdb.getTVDetails(id);
+        tmdbData = await this.metadata.getTVDetails(id, options);
       } else {
         throw new Error('Invalid content type');
       }
 
-      // Enhance with OMDB data if IMDB ID is available
-      if (tmdbData.imdbId) {
-        const omdbData = await this.omdb.searchByIMDBId(tmdbData.imdbId);
-        if (omdbData) {
-          return this.mergeDetailedData(tmdbData, omdbData);
-        }
-      }
-
-      // Fallback: try to find OMDB data by title and year
-      const omdbData = await this.omdb.searchByTitle(
-        tmdbData.title,
-        tmdbData.year,
-        this.omdb.getOMDBType(tmdbData.type)
-      );
+      // Similar titles get genre names and background OMDB ratings like any other list
+      tmdbData = {
+        ...tmdbData,
+        similar: this.startOMDBEnrichment(await this.withGenreNames(tmdbData.similar), options)
+      };
 
-      if (omdbData) {
-        return this.mergeDetailedData(tmdbData, omdbData);
+      // Enhance with OMDB data, matched by IMDb ID where TMDB has one
+      const match = await this.idResolver.resolve(tmdbData, options);
+      if (match.omdbData) {
+        return {
+          ...this.mergeDetailedData(tmdbData, match.omdbData),
+          matchMethod: match.method,
+          matchConfidence: match.confidence
+        };
       }
 
       return tmdbData;
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching content details:', error);
       throw error;
     }
   }
 
-  // Discover content with filters
-  async discoverContent(type = 'all', filters = {}) {
+  // Get a page of user reviews for a movie or TV show
+  async getReviews(type, id, page = 1, options = {}) {
     try {
-      let tmdbData = [];
+      return await this.metadata.getReviews(type, id, page, options);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching reviews:', error);
+      throw error;
+    }
+  }
 
-      if (type === 'all' || type === 'movie') {
-        const movies = await this.tmdb.discoverMovies(filters);
-        tmdbData = [...tmdbData, ...movies];
-      }
+  // Get a TV season's episodes
+  async getSeasonDetails(tvId, seasonNumber, options = {}) {
+    try {
+      return await this.metadata.getSeasonDetails(tvId, seasonNumber, options);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching season details:', error);
+      throw error;
+    }
+  }
 
-      if (type === 'all' || type === 'tv') {
-        const tvShows = await this.tmdb.discoverTV(filters);
-        tmdbData = [...tmdbData, ...tvShows];
-      }
+  // Get a person's biography, known-for titles and filmography
+  async getPersonDetails(id, options = {}) {
+    try {
+      return await this.metadata.getPersonDetails(id, options);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching person details:', error);
+      throw error;
+    }
+  }
 
-      return await this.enhanceWithOMDBData(tmdbData);
+  // Discover content with generic filters (genre, yearFrom, minRating, sortBy, ...)
+  async discoverContent(type = 'all', filters = {}, page = 1, options = {}) {
+    try {
+      const types = await this.getDiscoverTypes(type, filters.genre);
+
+      const responses = await Promise.all(types.map(contentType => {
+        const params = this.metadata.buildDiscoverParams(contentType, filters);
+        return contentType === 'movie'
+          ? this.metadata.discoverMovies(params, page, options)
+          : this.metadata.discoverTV(params, page, options);
+      }));
+
+      // Interleave movies and TV shows by the requested order when both are requested
+      const tmdbData = sortDiscoverResults(
+        responses.flatMap(response => response.results),
+        filters.sortBy
+      );
+      return {
+        results: this.startOMDBEnrichment(tmdbData, options),
+        page,
+        totalPages: Math.max(1, ...responses.map(response => response.totalPages)),
+        totalResults: responses.reduce((sum, response) => sum + response.totalResults, 0)
+      };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error discovering content:', error);
       throw error;
     }
   }
 
+  // Work out which media types to query; movie and TV genre ids only partly overlap
+  async getDiscoverTypes(type, genreId) {
+    if (type !== 'all') return [type];
+    if (!genreId) return ['movie', 'tv'];
+
+    const genres = await this.getGenres();
+    const genre = genres.find(g => String(g.id) === String(genreId));
+    return genre ? genre.types : ['movie', 'tv'];
+  }
+
+  // Personalized picks for library records, each with a recommendationReason
+  async getRecommendations(records, options = {}) {
+    try {
+      const genres = await this.getGenres();
+      const results = await this.recommendations.recommend(records, genres, options);
+      return this.startOMDBEnrichment(results, options);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching recommendations:', error);
+      throw error;
+    }
+  }
+
   // Get genres for movies and TV shows
   async getGenres() {
     try {
@@ -142,15 +240,21 @@ class ApiService {
       }
 
       const [movieGenres, tvGenres] = await Promise.all([
-        this.tmdb.getMovieGenres(),
-        this.tmdb.getTVGenres()
+        this.metadata.getMovieGenres(),
+        this.metadata.getTVGenres()
       ]);
 
-      // Combine and deduplicate genres
-      const allGenres = [...movieGenres, ...tvGenres];
-      const uniqueGenres = allGenres.reduce((acc, genre) => {
-        if (!acc.find(g => g.id === genre.id)) {
-          acc.push(genre);
+      // Combine and deduplicate genres, recording which media types use each
+      const allGenres = [
+        ...movieGenres.map(genre => ({ ...genre, type: 'movie' })),
+        ...tvGenres.map(genre => ({ ...genre, type: 'tv' }))
+      ];
+      const uniqueGenres = allGenres.reduce((acc, { type, ...genre }) => {
+        const existing = acc.find(g => g.id === genre.id);
+        if (existing) {
+          existing.types.push(type);
+        } else {
+          acc.push({ ...genre, types: [type] });
         }
         return acc;
       }, []);
@@ -158,13 +262,15 @@ class ApiService {
       this.genreCache.set('all', uniqueGenres);
       return uniqueGenres;
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching genres:', error);
       throw error;
     }
   }
 
-  // Enhance TMDB data with OMDB ratings and additional info
-  async enhanceWithOMDBData(tmdbItems, maxConcurrent = 5) {
+  // Enhance TMDB data with OMDB ratings and additional info.
+  // options.onItem is called with each enhanced item (and the item it came from) as soon as its lookup finishes.
+  async enhanceWithOMDBData(tmdbItems, maxConcurrent = 5, options = {}) {
     if (!Array.isArray(tmdbItems) || tmdbItems.length === 0) {
       return tmdbItems;
     }
@@ -173,24 +279,29 @@ class ApiService {
     const enhancedItems = [];
 
     for (let i = 0; i < tmdbItems.length; i += maxConcurrent) {
+      // Stop starting new lookups once the caller has moved on
+      if (options.signal?.aborted) throw createAbortError();
+
       const batch = tmdbItems.slice(i, i + maxConcurrent);
 
       const batchPromises = batch.map(async (item) => {
         try {
-          // Try to get OMDB data by title and year
-          const omdbData = await this.omdb.searchByTitle(
-            item.title,
-            item.year,
-            this.omdb.getOMDBType(item.type)
-          );
-
-          if (omdbData) {
-            return this.mergeBasicData(item, omdbData);
-          }
-
-          return item;
+          // Resolve by IMDb ID via TMDB external_ids, falling back to title and year
+          const match = await this.idResolver.resolve(item, options);
+
+          const enhancedItem = match.omdbData
+            ? {
+                ...this.mergeBasicData(item, match.omdbData),
+                matchMethod: match.method,
+                matchConfidence: match.confidence
+              }
+            : item;
+          options.onItem?.(enhancedItem, item);
+          return enhancedItem;
         } catch (error) {
+          if (isAbortError(error)) throw error;
           console.warn(`Failed to enhance item ${item.title}:`, error);
+          options.onItem?.(item, item);
           return item;
         }
       });
@@ -202,6 +313,69 @@ class ApiService {
     return enhancedItems;
   }
 
+  // Return a paginated TMDB response straight away; OMDB data follows via subscribeToEnrichment
+  async enhancePaginatedResponse(tmdbResponse, options = {}) {
+    return {
+      results: this.startOMDBEnrichment(tmdbResponse.results, options),
+      page: tmdbResponse.page,
+      totalPages: tmdbResponse.totalPages,
+      totalResults: tmdbResponse.totalResults
+    };
+  }
+
+  // Mark titles as pending and look up their OMDB data in the background (people are left as is)
+  startOMDBEnrichment(tmdbItems, options = {}) {
+    if (!this.ratings.isConfigured() || !Array.isArray(tmdbItems) || tmdbItems.length === 0) {
+      return tmdbItems;
+    }
+
+    const items = tmdbItems.map(item =>
+      item.type === 'person' ? item : { ...item, omdbPending: true }
+    );
+    const pendingItems = items.filter(item => item.omdbPending);
+
+    this.enhanceWithOMDBData(pendingItems, 5, {
+      signal: options.signal,
+      onItem: (enhancedItem, item) => {
+        if (!options.signal?.aborted) {
+          this.emitEnrichment({
+            key: getLibraryKey(item),
+            fields: { ...getChangedFields(enhancedItem, item), omdbPending: false }
+          });
+        }
+      }
+    }).catch(error => {
+      if (!isAbortError(error)) {
+        console.warn('Error enriching items with OMDB data:', error);
+      }
+    });
+
+    return items;
+  }
+
+  // Subscribe to OMDB data as it arrives, as { key, fields } updates (merge them with applyEnrichment).
+  // Only the OMDB fields are sent, so the same title elsewhere keeps its own fields. Updates sent before
+  // the listener subscribed are replayed to it first, since lookups can finish before a component mounts.
+  // Returns an unsubscribe function.
+  subscribeToEnrichment(listener) {
+    this.enrichmentListeners.add(listener);
+    this.enrichedFields.forEach((fields, key) => this.notifyEnrichmentListener(listener, { key, fields }));
+    return () => this.enrichmentListeners.delete(listener);
+  }
+
+  emitEnrichment(update) {
+    this.enrichedFields.set(update.key, { ...this.enrichedFields.get(update.key), ...update.fields });
+    this.enrichmentListeners.forEach(listener => this.notifyEnrichmentListener(listener, update));
+  }
+
+  notifyEnrichmentListener(listener, update) {
+    try {
+      listener(update);
+    } catch (error) {
+      console.error('Error in enrichment listener:', error);
+    }
+  }
+
   // Merge basic TMDB and OMDB data
   mergeBasicData(tmdbItem, omdbItem) {
     return {
@@ -221,10 +395,10 @@ class ApiService {
       cast: tmdbItem.cast && tmdbItem.cast.length > 0
         ? tmdbItem.cast
         : omdbItem.actors || [],
-      director: omdbItem.director || tmdbItem.director,
+      director: hasOMDBValue(omdbItem.director) ? omdbItem.director : tmdbItem.director,
       writer: omdbItem.writer,
       boxOffice: omdbItem.boxOffice,
-      runtime: omdbItem.runtime || tmdbItem.runtime
+      runtime: tmdbItem.runtime || this.ratings.parseRuntime(omdbItem.runtime)
     };
   }
 
@@ -255,19 +429,19 @@ class ApiService {
         : omdbItem.actors || [],
 
       // Enhanced crew information
-      director: omdbItem.director || tmdbItem.director,
+      director: hasOMDBValue(omdbItem.director) ? omdbItem.director : tmdbItem.director,
       writer: omdbItem.writer,
 
       // Financial information
       boxOffice: omdbItem.boxOffice,
 
       // Technical information
-      runtime: omdbItem.runtime || tmdbItem.runtime,
+      runtime: tmdbItem.runtime || this.ratings.parseRuntime(omdbItem.runtime),
       dvd: omdbItem.dvd,
       website: omdbItem.website,
 
       // Production information
-      production: omdbItem.production || tmdbItem.productionCompanies?.join(', '),
+      production: hasOMDBValue(omdbItem.production) ? omdbItem.production : tmdbItem.productionCompanies?.join(', '),
 
       // TV specific
       totalSeasons: omdbItem.totalSeasons || tmdbItem.numberOfSeasons
@@ -283,17 +457,48 @@ class ApiService {
         return genre ? genre.name : 'Unknown';
       });
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error converting genre IDs:', error);
       return [];
     }
   }
 
+  // Replace list items' genre ids with genre names
+  async withGenreNames(items) {
+    return Promise.all(items.map(async (item) => ({
+      ...item,
+      genre: await this.convertGenreIds(item.genre)
+    })));
+  }
+
+  // Response cache statistics (memory and persistent tiers)
+  async getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  // Clear every cached API response
+  async clearCache() {
+    this.genreCache.clear();
+    this.enrichedFields.clear();
+    await this.cache.clear();
+  }
+
+  // Subscribe to retry events from the TMDB and OMDB clients
+  subscribeToRetries(listener) {
+    return onRetry(listener);
+  }
+
+  // Retry totals (retries, recovered, failed)
+  getRetryStats() {
+    return getRetryStats();
+  }
+
   // Helper method to check if APIs are configured
   isConfigured() {
     return {
-      tmdb: !!this.tmdb.apiKey,
-      omdb: !!this.omdb.apiKey,
-      both: !!this.tmdb.apiKey && !!this.omdb.apiKey
+      tmdb: this.metadata.isConfigured(),
+      omdb: this.ratings.isConfigured(),
+      both: this.metadata.isConfigured() && this.ratings.isConfigured()
     };
   }
 }
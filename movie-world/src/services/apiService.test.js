@@ -0,0 +1,345 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import MockAdapter from 'axios-mock-adapter';
+import { ApiService, applyEnrichment } from './apiService.js';
+import { TMDBApi } from './tmdbApi.js';
+import { OMDBApi } from './omdbApi.js';
+import responseCache from './responseCache.js';
+import { createMockProviders } from './mock/mockProviders.js';
+import tmdbFixtures from './mock/fixtures/tmdb.json';
+import omdbFixtures from './mock/fixtures/omdb.json';
+
+const createApi = () => new ApiService(createMockProviders({ latency: 0 }));
+
+const tmdbItem = {
+  id: 27205,
+  title: 'Inception',
+  type: 'movie',
+  year: 2010,
+  plot: 'A thief enters dreams.',
+  rating: 8.4,
+  cast: [],
+  director: 'Unknown',
+  runtime: 0,
+  numberOfSeasons: 0,
+  productionCompanies: ['Legendary Pictures', 'Syncopy']
+};
+
+const omdbItem = {
+  imdbId: 'tt1375666',
+  imdbRating: 8.8,
+  imdbVotes: '2600000',
+  metascore: 74,
+  ratings: { imdb: 8.8, rottenTomatoes: 87, metacritic: 74 },
+  rated: 'PG-13',
+  awards: 'Won 4 Oscars.',
+  plot: 'A thief who steals corporate secrets through the use of dream-sharing technology.',
+  actors: ['Leonardo DiCaprio', 'Elliot Page'],
+  director: 'Christopher Nolan',
+  writer: 'Christopher Nolan',
+  boxOffice: '$292,587,330',
+  runtime: '148 min',
+  language: 'English',
+  country: 'United States',
+  production: 'N/A',
+  totalSeasons: undefined
+};
+
+describe('ApiService', () => {
+  let api;
+
+  beforeEach(() => {
+    api = createApi();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('constructor', () => {
+    it('rejects providers that are missing methods', () => {
+      expect(() => new ApiService({ metadata: { isConfigured: () => true } })).toThrow(/Metadata provider is missing: .*getTrending/);
+    });
+
+    it('reports whether both providers are configured', () => {
+      expect(api.isConfigured()).toEqual({ tmdb: true, omdb: true, both: true });
+    });
+  });
+
+  describe('mergeBasicData', () => {
+    it('adds OMDB ratings and prefers the longer plot', () => {
+      expect(api.mergeBasicData(tmdbItem, omdbItem)).toMatchObject({
+        id: 27205,
+        rating: 8.4,
+        imdb: 8.8,
+        rottenTomatoes: 87,
+        metacritic: 74,
+        imdbId: 'tt1375666',
+        rated: 'PG-13',
+        plot: omdbItem.plot,
+        director: 'Christopher Nolan',
+        boxOffice: '$292,587,330'
+      });
+    });
+
+    it('keeps the TMDB plot when it is longer', () => {
+      const merged = api.mergeBasicData({ ...tmdbItem, plot: 'x'.repeat(200) }, omdbItem);
+      expect(merged.plot).toBe('x'.repeat(200));
+    });
+
+    it('uses OMDB actors only when TMDB has no cast', () => {
+      expect(api.mergeBasicData(tmdbItem, omdbItem).cast).toEqual(['Leonardo DiCaprio', 'Elliot Page']);
+      expect(api.mergeBasicData({ ...tmdbItem, cast: ['Tom Hardy'] }, omdbItem).cast).toEqual(['Tom Hardy']);
+      expect(api.mergeBasicData(tmdbItem, { ...omdbItem, actors: undefined }).cast).toEqual([]);
+    });
+
+    it('falls back to TMDB values when OMDB has none', () => {
+      const merged = api.mergeBasicData(
+        { ...tmdbItem, director: 'Christopher Nolan' },
+        { ...omdbItem, imdbRating: null, ratings: {}, director: 'N/A', runtime: 'N/A' }
+      );
+
+      expect(merged).toMatchObject({
+        imdb: 8.4,
+        rottenTomatoes: null,
+        metacritic: null,
+        director: 'Christopher Nolan',
+        runtime: null
+      });
+    });
+
+    it('parses the OMDB runtime when TMDB has none', () => {
+      expect(api.mergeBasicData(tmdbItem, omdbItem).runtime).toBe(148);
+      expect(api.mergeBasicData({ ...tmdbItem, runtime: 150 }, omdbItem).runtime).toBe(150);
+    });
+  });
+
+  describe('mergeDetailedData', () => {
+    it('adds the detailed OMDB fields', () => {
+      expect(api.mergeDetailedData(tmdbItem, omdbItem)).toMatchObject({
+        imdb: 8.8,
+        metascore: 74,
+        imdbVotes: '2600000',
+        language: 'English',
+        country: 'United States',
+        writer: 'Christopher Nolan',
+        runtime: 148
+      });
+    });
+
+    it('keeps null imdbVotes and metascore from titles OMDB has no votes for', () => {
+      const merged = api.mergeDetailedData(tmdbItem, { ...omdbItem, imdbVotes: null, metascore: null });
+      expect(merged.imdbVotes).toBeNull();
+      expect(merged.metascore).toBeNull();
+    });
+
+    it('falls back to TMDB production companies and season count', () => {
+      const merged = api.mergeDetailedData({ ...tmdbItem, type: 'tv', numberOfSeasons: 3 }, omdbItem);
+
+      expect(merged.production).toBe('Legendary Pictures, Syncopy');
+      expect(merged.totalSeasons).toBe(3);
+    });
+
+    it("keeps the TMDB director when OMDB reports 'N/A' (as it does for series)", () => {
+      const merged = api.mergeDetailedData({ ...tmdbItem, director: 'Vince Gilligan' }, { ...omdbItem, director: 'N/A' });
+      expect(merged.director).toBe('Vince Gilligan');
+    });
+  });
+
+  describe('enhanceWithOMDBData', () => {
+    it('matches by IMDb ID, falls back to title and leaves unmatched titles alone', async () => {
+      const { results } = await api.metadata.getTrending();
+      const onItem = vi.fn();
+
+      const enhanced = await api.enhanceWithOMDBData(results, 5, { onItem });
+      const byTitle = Object.fromEntries(enhanced.map(item => [item.title, item]));
+
+      expect(enhanced.map(item => item.title)).toEqual(results.map(item => item.title));
+      expect(byTitle.Inception).toMatchObject({ imdb: 8.8, imdbId: 'tt1375666', matchMethod: 'imdb_id', matchConfidence: 1 });
+      expect(byTitle.Parasite).toMatchObject({ imdbId: 'tt6751668', matchMethod: 'title' });
+      expect(byTitle.Dark).toEqual(results.find(item => item.title === 'Dark'));
+      expect(onItem).toHaveBeenCalledTimes(results.length);
+    });
+
+    it('returns empty input untouched', async () => {
+      expect(await api.enhanceWithOMDBData([])).toEqual([]);
+      expect(await api.enhanceWithOMDBData(null)).toBeNull();
+    });
+
+    it('keeps an item as it was when its lookup fails', async () => {
+      vi.spyOn(api.idResolver, 'resolve').mockRejectedValue(new Error('OMDB is down'));
+      const [item] = (await api.metadata.getTrending()).results;
+
+      expect(await api.enhanceWithOMDBData([item])).toEqual([item]);
+    });
+
+    it('stops when aborted', async () => {
+      const { results } = await api.metadata.getTrending();
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(api.enhanceWithOMDBData(results, 5, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('background enrichment', () => {
+    it('returns pending items at once and publishes their OMDB fields as they arrive', async () => {
+      const updates = [];
+      api.subscribeToEnrichment(update => updates.push(update));
+
+      const response = await api.getTrendingByType('movie');
+
+      expect(response.results.every(item => item.omdbPending)).toBe(true);
+      await vi.waitFor(() => expect(updates).toHaveLength(response.results.length));
+      expect(updates.every(update => update.fields.omdbPending === false)).toBe(true);
+
+      const darkKnight = updates.find(update => update.key === 'movie:155');
+      expect(darkKnight.fields).toMatchObject({ imdb: 9, imdbId: 'tt0468569', matchMethod: 'imdb_id' });
+      expect(darkKnight.fields).not.toHaveProperty('title');
+    });
+
+    it('sends only omdbPending for titles OMDB has no match for', async () => {
+      const updates = [];
+      api.subscribeToEnrichment(update => updates.push(update));
+
+      await api.getTrendingByType('tv');
+
+      await vi.waitFor(() => expect(updates.find(update => update.key === 'tv:70523')).toBeDefined());
+      expect(updates.find(update => update.key === 'tv:70523').fields).toEqual({ omdbPending: false });
+    });
+
+    it('keeps recommendation reasons when a recommended title is enriched', async () => {
+      const updates = [];
+      api.subscribeToEnrichment(update => updates.push(update));
+      const watched = {
+        ...(await api.getContentDetails(27205, 'movie')),
+        key: 'movie:27205',
+        status: 'watched'
+      };
+
+      let recommendations = await api.getRecommendations([watched]);
+      const pending = recommendations.filter(item => item.omdbPending);
+      expect(pending.length).toBeGreaterThan(0);
+      await vi.waitFor(() => expect(updates.length).toBeGreaterThanOrEqual(pending.length));
+      recommendations = updates.reduce(applyEnrichment, recommendations);
+
+      const darkKnight = recommendations.find(item => item.title === 'The Dark Knight');
+      expect(darkKnight).toMatchObject({
+        omdbPending: false,
+        imdb: 9,
+        recommendationReason: 'Because you watched Inception'
+      });
+      expect(darkKnight.recommendationScore).toEqual(expect.any(Number));
+    });
+  });
+
+  describe('late enrichment subscribers', () => {
+    it('replays updates sent before they subscribed', async () => {
+      const early = [];
+      api.subscribeToEnrichment(update => early.push(update));
+      const { results } = await api.getTrendingByType('movie');
+      await vi.waitFor(() => expect(early).toHaveLength(results.length));
+
+      const late = [];
+      api.subscribeToEnrichment(update => late.push(update));
+
+      expect(late.map(update => update.key).sort()).toEqual(early.map(update => update.key).sort());
+      expect(late.reduce(applyEnrichment, results).every(item => item.omdbPending === false)).toBe(true);
+    });
+
+    it('fills in similar titles for a listener that subscribes after the details load', async () => {
+      const details = await api.getContentDetails(27205, 'movie');
+      expect(details.similar.some(item => item.omdbPending)).toBe(true);
+
+      await vi.waitFor(() => expect(api.enrichedFields.size).toBeGreaterThanOrEqual(details.similar.length));
+      let similar = details.similar;
+      api.subscribeToEnrichment(update => {
+        similar = applyEnrichment(similar, update);
+      });
+
+      expect(similar.every(item => item.omdbPending === false)).toBe(true);
+      expect(similar.find(item => item.title === 'The Dark Knight')).toMatchObject({ imdb: 9 });
+    });
+
+    it('forgets replayed updates when the cache is cleared', async () => {
+      api.emitEnrichment({ key: 'movie:155', fields: { imdb: 9, omdbPending: false } });
+      await api.clearCache();
+
+      const late = [];
+      api.subscribeToEnrichment(update => late.push(update));
+      expect(late).toEqual([]);
+    });
+  });
+
+  describe('applyEnrichment', () => {
+    it('merges the fields into the item with the same library key only', () => {
+      const items = [
+        { id: 1, type: 'movie', title: 'Movie', recommendationReason: 'Because you watched X', omdbPending: true },
+        { id: 1, type: 'tv', title: 'Show', omdbPending: true }
+      ];
+
+      expect(applyEnrichment(items, { key: 'movie:1', fields: { imdb: 7.1, omdbPending: false } })).toEqual([
+        { id: 1, type: 'movie', title: 'Movie', recommendationReason: 'Because you watched X', imdb: 7.1, omdbPending: false },
+        items[1]
+      ]);
+    });
+  });
+
+  describe('getContentDetails', () => {
+    it('merges TMDB and OMDB details for a movie', async () => {
+      const details = await api.getContentDetails(27205, 'movie');
+
+      expect(details).toMatchObject({
+        title: 'Inception',
+        imdbId: 'tt1375666',
+        imdb: 8.8,
+        rottenTomatoes: 87,
+        imdbVotes: '2600000',
+        director: 'Christopher Nolan',
+        matchMethod: 'imdb_id'
+      });
+    });
+
+    it('keeps the TMDB director and seasons for a series', async () => {
+      const details = await api.getContentDetails(1396, 'tv');
+
+      expect(details).toMatchObject({ imdb: 9.5, metascore: null, totalSeasons: '5', creator: 'Vince Gilligan' });
+      expect(details.director).not.toBe('N/A');
+    });
+
+    it('returns TMDB details alone when OMDB has no match', async () => {
+      const details = await api.getContentDetails(70523, 'tv');
+
+      expect(details.title).toBe('Dark');
+      expect(details.imdb).toBeUndefined();
+      expect(details.poster).toBeNull();
+    });
+  });
+});
+
+describe('ApiService with the live providers', () => {
+  let tmdbHttp;
+  let omdbHttp;
+  let api;
+
+  beforeEach(async () => {
+    await responseCache.clear();
+    const metadata = new TMDBApi();
+    const ratings = new OMDBApi();
+    tmdbHttp = new MockAdapter(metadata.api);
+    omdbHttp = new MockAdapter(ratings.api);
+    api = new ApiService({ metadata, ratings });
+  });
+
+  afterEach(() => {
+    tmdbHttp.restore();
+    omdbHttp.restore();
+  });
+
+  it('fetches and merges movie details over HTTP', async () => {
+    tmdbHttp.onGet('/movie/27205').reply(200, tmdbFixtures.movies.find(movie => movie.id === 27205));
+    omdbHttp.onGet('/').reply(config => (config.params.i === 'tt1375666' ? [200, omdbFixtures.tt1375666] : [200, { Response: 'False' }]));
+
+    const details = await api.getContentDetails(27205, 'movie');
+
+    expect(details).toMatchObject({ title: 'Inception', imdb: 8.8, rottenTomatoes: 87, metacritic: 74, runtime: 148 });
+    expect(omdbHttp.history.get[0].params.i).toBe('tt1375666');
+  });
+});
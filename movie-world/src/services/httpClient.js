@@ -0,0 +1,124 @@
+import axios from 'axios';
+import { RETRY_CONFIG } from '../config/apiConfig.js';
+import { getBackoffDelay, parseRetryAfter, isAbortError, isOffline, wait } from '../utils/apiHelpers.js';
+
+const retryListeners = new Set();
+const retryStats = {
+  retries: 0,
+  recovered: 0,
+  failed: 0
+};
+
+let nextRequestId = 1;
+
+// Subscribe to retry events ({ type: 'retry' | 'settled', ... }); returns an unsubscribe function
+export const onRetry = (listener) => {
+  retryListeners.add(listener);
+  return () => retryListeners.delete(listener);
+};
+
+// Totals across every client since the page loaded
+export const getRetryStats = () => ({ ...retryStats });
+
+const emit = (event) => {
+  retryListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in retry listener:', error);
+    }
+  });
+};
+
+// Network errors, 5xx and 429 are worth retrying; aborted requests and requests made offline are not
+const isRetryable = (error) => {
+  if (isAbortError(error)) return false;
+  if (!error.response) return !!error.request && !isOffline();
+
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+};
+
+// Prefer the server's Retry-After on 429, otherwise back off exponentially
+const getRetryDelay = (error, attempt, options) => {
+  if (error.response?.status === 429) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    if (retryAfter !== null) return Math.min(retryAfter, options.maxDelay);
+  }
+  return getBackoffDelay(attempt, options.baseDelay, options.maxDelay);
+};
+
+// Create an axios instance that retries idempotent requests.
+// Each request's config carries retryCount so callers can see how often it was retried.
+export const createHttpClient = (config, {
+  name = 'api',
+  maxRetries = RETRY_CONFIG.MAX_RETRIES,
+  baseDelay = RETRY_CONFIG.BASE_DELAY,
+  maxDelay = RETRY_CONFIG.MAX_DELAY
+} = {}) => {
+  const instance = axios.create(config);
+  const options = { maxRetries, baseDelay, maxDelay };
+
+  const settle = (requestConfig, succeeded) => {
+    if (!requestConfig?.retryCount) return;
+
+    retryStats[succeeded ? 'recovered' : 'failed']++;
+    emit({
+      type: 'settled',
+      client: name,
+      requestId: requestConfig.requestId,
+      url: requestConfig.url,
+      retryCount: requestConfig.retryCount,
+      succeeded
+    });
+  };
+
+  instance.interceptors.response.use(
+    (response) => {
+      settle(response.config, true);
+      return response;
+    },
+    async (error) => {
+      const requestConfig = error.config;
+      const method = (requestConfig?.method || 'get').toLowerCase();
+      const retryCount = requestConfig?.retryCount || 0;
+
+      if (
+        !requestConfig
+        || !RETRY_CONFIG.RETRY_METHODS.includes(method)
+        || !isRetryable(error)
+        || retryCount >= options.maxRetries
+      ) {
+        settle(requestConfig, false);
+        throw error;
+      }
+
+      requestConfig.retryCount = retryCount + 1;
+      requestConfig.requestId = requestConfig.requestId || nextRequestId++;
+      const delay = getRetryDelay(error, requestConfig.retryCount, options);
+
+      retryStats.retries++;
+      emit({
+        type: 'retry',
+        client: name,
+        requestId: requestConfig.requestId,
+        url: requestConfig.url,
+        attempt: requestConfig.retryCount,
+        maxRetries: options.maxRetries,
+        status: error.response?.status || null,
+        delay
+      });
+
+      try {
+        await wait(delay, requestConfig.signal);
+      } catch (abortError) {
+        settle(requestConfig, false);
+        throw abortError;
+      }
+
+      return instance(requestConfig);
+    }
+  );
+
+  return instance;
+};
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { AxiosError } from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import { createHttpClient, onRetry } from './httpClient.js';
+
+describe('createHttpClient', () => {
+  let client;
+  let http;
+  let events;
+  let unsubscribe;
+
+  beforeEach(() => {
+    client = createHttpClient({ baseURL: 'https://api.example.com' }, { name: 'test', maxRetries: 2, baseDelay: 1, maxDelay: 5 });
+    http = new MockAdapter(client);
+    events = [];
+    unsubscribe = onRetry(event => events.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    http.restore();
+  });
+
+  it('retries server errors until the request succeeds', async () => {
+    http.onGet('/items').replyOnce(503).onGet('/items').reply(200, { ok: true });
+
+    const response = await client.get('/items');
+
+    expect(response.data).toEqual({ ok: true });
+    expect(response.config.retryCount).toBe(1);
+    expect(events.map(event => event.type)).toEqual(['retry', 'settled']);
+    expect(events[1]).toMatchObject({ client: 'test', succeeded: true, retryCount: 1 });
+  });
+
+  it('gives up after maxRetries', async () => {
+    http.onGet('/items').reply(500);
+
+    await expect(client.get('/items')).rejects.toMatchObject({ response: { status: 500 } });
+    expect(http.history.get).toHaveLength(3);
+    expect(events.at(-1)).toMatchObject({ type: 'settled', succeeded: false, retryCount: 2 });
+  });
+
+  it('waits for Retry-After on 429, capped at maxDelay', async () => {
+    http.onGet('/items').replyOnce(429, {}, { 'retry-after': '120' }).onGet('/items').reply(200, {});
+
+    await client.get('/items');
+
+    expect(events[0]).toMatchObject({ type: 'retry', status: 429, delay: 5 });
+  });
+
+  it('does not retry client errors', async () => {
+    http.onGet('/items').reply(404);
+
+    await expect(client.get('/items')).rejects.toMatchObject({ response: { status: 404 } });
+    expect(http.history.get).toHaveLength(1);
+    expect(events).toEqual([]);
+  });
+
+  it('does not retry non-idempotent requests', async () => {
+    http.onPost('/items').reply(503);
+
+    await expect(client.post('/items')).rejects.toMatchObject({ response: { status: 503 } });
+    expect(http.history.post).toHaveLength(1);
+  });
+
+  it('retries network errors', async () => {
+    // axios-mock-adapter's networkError() leaves out the request that real network errors carry
+    http.onGet('/items')
+      .replyOnce(config => Promise.reject(new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {})))
+      .onGet('/items').reply(200, { ok: true });
+
+    const response = await client.get('/items');
+
+    expect(response.data).toEqual({ ok: true });
+    expect(events[0]).toMatchObject({ type: 'retry', status: null });
+  });
+});
@@ -0,0 +1,118 @@
+import { isAbortError } from '../utils/apiHelpers.js';
+
+// How an OMDB record was matched to a TMDB item
+export const MATCH_METHOD = {
+  IMDB_ID: 'imdb_id',
+  TITLE: 'title',
+  NONE: 'none'
+};
+
+// Fuzzy title matches below this confidence are discarded
+export const MIN_TITLE_CONFIDENCE = 0.6;
+
+// Lowercase, strip accents, punctuation and a leading article
+export const normalizeTitle = (title = '') => {
+  return String(title)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/^(the|a|an)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Dice coefficient over word tokens, 0 (nothing shared) to 1 (same words)
+export const titleSimilarity = (a, b) => {
+  const tokensA = normalizeTitle(a).split(' ').filter(Boolean);
+  const tokensB = normalizeTitle(b).split(' ').filter(Boolean);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  if (tokensA.join(' ') === tokensB.join(' ')) return 1;
+
+  const remaining = [...tokensB];
+  let shared = 0;
+  tokensA.forEach(token => {
+    const index = remaining.indexOf(token);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+
+  return (2 * shared) / (tokensA.length + tokensB.length);
+};
+
+// Score a title+year match; OMDB years look like "2019" or "2011–2019"
+export const getTitleMatchConfidence = (item, omdbData) => {
+  const similarity = titleSimilarity(item.title, omdbData.title);
+
+  const itemYear = parseInt(item.year);
+  const omdbYear = parseInt(omdbData.year);
+  let yearFactor = 0.9; // Unknown years are a weak signal either way
+  if (!isNaN(itemYear) && !isNaN(omdbYear)) {
+    const difference = Math.abs(itemYear - omdbYear);
+    yearFactor = difference === 0 ? 1 : difference === 1 ? 0.85 : 0.5;
+  }
+
+  // A title lookup is never as certain as an IMDb ID
+  return Math.round(similarity * yearFactor * 0.9 * 100) / 100;
+};
+
+// Resolves TMDB items to OMDB records, preferring IMDb IDs over title guessing
+export class IdResolver {
+  // metadata and ratings are providers as described in providers.js
+  constructor({ metadata, ratings }) {
+    this.metadata = metadata;
+    this.ratings = ratings;
+    this.imdbIds = new Map();
+  }
+
+  // Get the IMDb ID for a TMDB item, fetching external_ids when the item lacks one
+  async getImdbId(item, options = {}) {
+    if (item.imdbId) return item.imdbId;
+
+    const key = `${item.type}:${item.id}`;
+    if (this.imdbIds.has(key)) return this.imdbIds.get(key);
+
+    try {
+      const externalIds = await this.metadata.getExternalIds(item.type, item.id, options);
+      this.imdbIds.set(key, externalIds.imdbId);
+      return externalIds.imdbId;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Could not resolve IMDb ID for ${item.title}:`, error);
+      return null;
+    }
+  }
+
+  // Find the OMDB record for a TMDB item.
+  // Returns { omdbData, imdbId, method, confidence }; omdbData is null when nothing matched.
+  async resolve(item, options = {}) {
+    const imdbId = await this.getImdbId(item, options);
+
+    if (imdbId) {
+      const omdbData = await this.ratings.searchByIMDBId(imdbId, options);
+      if (omdbData) {
+        return { omdbData, imdbId, method: MATCH_METHOD.IMDB_ID, confidence: 1 };
+      }
+    }
+
+    // Only guess by title when TMDB has no IMDb ID (or OMDB does not know it)
+    const omdbData = await this.ratings.searchByTitle(
+      item.title,
+      item.year,
+      this.ratings.getOMDBType(item.type),
+      options
+    );
+
+    if (omdbData) {
+      const confidence = getTitleMatchConfidence(item, omdbData);
+      if (confidence >= MIN_TITLE_CONFIDENCE) {
+        return { omdbData, imdbId: omdbData.imdbId, method: MATCH_METHOD.TITLE, confidence };
+      }
+    }
+
+    return { omdbData: null, imdbId, method: MATCH_METHOD.NONE, confidence: 0 };
+  }
+}
@@ -0,0 +1,525 @@
+import { isIndexedDBAvailable, openDatabase, requestToPromise, runTransaction } from '../utils/indexedDb.js';
+import { normalizeUserRating } from '../utils/ratings.js';
+
+const DB_NAME = 'movie-world-library';
+const DB_VERSION = 2;
+const ITEMS_STORE = 'items';
+const LISTS_STORE = 'lists';
+
+// Key path of each store, and the localStorage key it falls back to
+const STORES = {
+  [ITEMS_STORE]: { keyPath: 'key', localStorageKey: 'movie-world-library' },
+  [LISTS_STORE]: { keyPath: 'id', localStorageKey: 'movie-world-lists' }
+};
+
+// Bump when the shape of stored records changes and add a matching migration
+export const SCHEMA_VERSION = 3;
+
+// Library statuses
+export const LIBRARY_STATUS = {
+  WATCHLIST: 'watchlist',
+  WATCHED: 'watched'
+};
+
+// Build a stable key for an item (TMDB movie and TV ids can collide)
+export const getLibraryKey = (item) => `${item.type}:${item.id}`;
+
+// Item fields that are UI state or detail-only lists rather than content worth storing
+const TRANSIENT_FIELDS = ['omdbPending', 'similar', 'reviews', 'videos', 'recommendationScore', 'recommendationReason'];
+
+// Per-title library data that does not belong in a custom list entry
+const LIBRARY_FIELDS = ['key', 'status', 'addedAt', 'watchedAt', 'userRating', 'notes', 'watchedEpisodes', 'schemaVersion'];
+
+const omitFields = (item, fields) => Object.fromEntries(
+  Object.entries(item).filter(([field]) => !fields.includes(field))
+);
+
+const createListId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// Each migration upgrades a record from version (n - 1) to version n
+const MIGRATIONS = {
+  // Version 0 records are bare items as produced by tmdbApi.transform*
+  1: (record) => ({
+    ...record,
+    key: record.key || getLibraryKey(record),
+    status: record.status || LIBRARY_STATUS.WATCHLIST,
+    genre: Array.isArray(record.genre) ? record.genre : [],
+    addedAt: record.addedAt || new Date().toISOString(),
+    watchedAt: record.watchedAt || null
+  }),
+  // Version 2 tracks watched episodes of TV shows ("2x5" keys) against their season list
+  2: (record) => record.type === 'tv'
+    ? { ...record, seasons: record.seasons || [], watchedEpisodes: record.watchedEpisodes || [] }
+    : record,
+  // Version 3 adds a personal rating (1-10) and notes
+  3: (record) => ({
+    ...record,
+    userRating: record.userRating ?? null,
+    notes: record.notes || ''
+  })
+};
+
+// Fields the user can edit on a library record, with how each value is cleaned up
+const EDITABLE_FIELDS = {
+  userRating: normalizeUserRating,
+  notes: (notes) => String(notes || '').trim(),
+  watchedAt: (watchedAt) => watchedAt || null
+};
+
+// Upgrade a stored record to the current schema version
+export const migrateRecord = (record) => {
+  let migrated = record;
+  let version = record.schemaVersion || 0;
+
+  while (version < SCHEMA_VERSION) {
+    version += 1;
+    migrated = { ...MIGRATIONS[version](migrated), schemaVersion: version };
+  }
+
+  return migrated;
+};
+
+// IndexedDB storage backend
+class IndexedDBBackend {
+  constructor(db) {
+    this.db = db;
+  }
+
+  static async open() {
+    // Version 2 adds the custom lists store
+    const db = await openDatabase(DB_NAME, DB_VERSION, (database) => {
+      Object.entries(STORES).forEach(([storeName, { keyPath }]) => {
+        if (!database.objectStoreNames.contains(storeName)) {
+          database.createObjectStore(storeName, { keyPath });
+        }
+      });
+    });
+    return new IndexedDBBackend(db);
+  }
+
+  getAll(storeName) {
+    return runTransaction(this.db, storeName, 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(storeName).getAll())
+    );
+  }
+
+  putMany(storeName, records) {
+    return runTransaction(this.db, storeName, 'readwrite', (transaction) => {
+      const store = transaction.objectStore(storeName);
+      records.forEach(record => store.put(record));
+    });
+  }
+
+  delete(storeName, key) {
+    return runTransaction(this.db, storeName, 'readwrite', (transaction) => {
+      transaction.objectStore(storeName).delete(key);
+    });
+  }
+}
+
+// localStorage storage backend, used when IndexedDB is unavailable
+class LocalStorageBackend {
+  read(storeName) {
+    try {
+      const raw = localStorage.getItem(STORES[storeName].localStorageKey);
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      console.error('Error reading library from localStorage:', error);
+      return {};
+    }
+  }
+
+  write(storeName, records) {
+    localStorage.setItem(STORES[storeName].localStorageKey, JSON.stringify(records));
+  }
+
+  async getAll(storeName) {
+    return Object.values(this.read(storeName));
+  }
+
+  async putMany(storeName, records) {
+    const stored = this.read(storeName);
+    records.forEach(record => { stored[record[STORES[storeName].keyPath]] = record; });
+    this.write(storeName, stored);
+  }
+
+  async delete(storeName, key) {
+    const stored = this.read(storeName);
+    delete stored[key];
+    this.write(storeName, stored);
+  }
+}
+
+class LibraryStorage {
+  constructor() {
+    this.backendPromise = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Run a read-modify-write after every earlier one, so concurrent changes cannot overwrite each other.
+  // Only public methods queue themselves; calling one from inside a queued write would wait forever.
+  serialize(mutation) {
+    const result = this.writeQueue.then(mutation);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Open IndexedDB once, falling back to localStorage
+  getBackend() {
+    if (!this.backendPromise) {
+      this.backendPromise = (async () => {
+        if (isIndexedDBAvailable()) {
+          try {
+            return await IndexedDBBackend.open();
+          } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+          }
+        }
+        return new LocalStorageBackend();
+      })();
+    }
+    return this.backendPromise;
+  }
+
+  // List library records, optionally filtered by status, oldest first
+  async list(status = null) {
+    const backend = await this.getBackend();
+    const records = await backend.getAll(ITEMS_STORE);
+
+    // Persist any records that needed migrating
+    const migrated = records.map(migrateRecord);
+    const changed = migrated.filter((record, index) => record !== records[index]);
+    if (changed.length > 0) {
+      await backend.putMany(ITEMS_STORE, changed);
+    }
+
+    return migrated
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+  }
+
+  // Get a single record by item or key
+  async get(itemOrKey) {
+    const key = typeof itemOrKey === 'string' ? itemOrKey : getLibraryKey(itemOrKey);
+    const records = await this.list();
+    return records.find(record => record.key === key) || null;
+  }
+
+  // Add an item to the watchlist (no-op if already in the library)
+  addToWatchlist(item) {
+    return this.serialize(async () => {
+      const existing = await this.get(item);
+      if (existing) return existing;
+
+      const record = this.createRecord(item, LIBRARY_STATUS.WATCHLIST);
+      const backend = await this.getBackend();
+      await backend.putMany(ITEMS_STORE, [record]);
+      return record;
+    });
+  }
+
+  // Mark an item as watched, moving it off the watchlist
+  markAsWatched(item) {
+    return this.serialize(async () => {
+      const existing = await this.get(item);
+      if (existing?.status === LIBRARY_STATUS.WATCHED) return existing;
+
+      const record = {
+        ...(existing || this.createRecord(item, LIBRARY_STATUS.WATCHED)),
+        status: LIBRARY_STATUS.WATCHED,
+        watchedAt: new Date().toISOString()
+      };
+      const backend = await this.getBackend();
+      await backend.putMany(ITEMS_STORE, [record]);
+      return record;
+    });
+  }
+
+  // Tick or untick episodes of a show, adding the show to the watchlist if it is not in the library
+  setEpisodesWatched(item, episodeKeys, watched) {
+    return this.serialize(async () => {
+      const existing = await this.get(item);
+      const record = existing || this.createRecord(item, LIBRARY_STATUS.WATCHLIST);
+
+      const watchedEpisodes = new Set(record.watchedEpisodes);
+      episodeKeys.forEach(key => {
+        if (watched) {
+          watchedEpisodes.add(key);
+        } else {
+          watchedEpisodes.delete(key);
+        }
+      });
+
+      const updated = {
+        ...record,
+        // Full details carry the season list, list items do not
+        seasons: item.seasons?.length ? item.seasons : record.seasons,
+        watchedEpisodes: [...watchedEpisodes]
+      };
+      const backend = await this.getBackend();
+      await backend.putMany(ITEMS_STORE, [updated]);
+      return updated;
+    });
+  }
+
+  // Update a record's personal rating, notes or watched date
+  updateEntry(itemOrKey, changes) {
+    return this.serialize(async () => {
+      const existing = await this.get(itemOrKey);
+      if (!existing) throw new Error('Item is not in the library');
+
+      const updated = { ...existing };
+      Object.entries(EDITABLE_FIELDS).forEach(([field, normalize]) => {
+        if (field in changes) updated[field] = normalize(changes[field]);
+      });
+
+      const backend = await this.getBackend();
+      await backend.putMany(ITEMS_STORE, [updated]);
+      return updated;
+    });
+  }
+
+  // Fill a record in with freshly fetched details, keeping everything the user set on it
+  refreshRecord(itemOrKey, details) {
+    return this.serialize(async () => {
+      const existing = await this.get(itemOrKey);
+      if (!existing) return null;
+
+      const updated = {
+        ...existing,
+        ...omitFields(details, [...TRANSIENT_FIELDS, ...LIBRARY_FIELDS])
+      };
+      const backend = await this.getBackend();
+      await backend.putMany(ITEMS_STORE, [updated]);
+      return updated;
+    });
+  }
+
+  // Merge imported titles into the library in one write. Each entry is
+  // { item, status, userRating, watchedAt, addedAt, notes, lists } with lists given by name;
+  // watched wins over watchlist and imported values only fill in or replace what the import has.
+  importEntries(entries) {
+    return this.serialize(async () => {
+      const records = new Map((await this.list()).map(record => [record.key, record]));
+      const lists = await this.getLists();
+      const now = new Date().toISOString();
+      const changedRecords = new Map();
+      const changedLists = new Map();
+
+      entries.forEach(({ item, status, userRating, watchedAt, addedAt, notes, lists: listNames = [] }) => {
+        const key = getLibraryKey(item);
+
+        if (status) {
+          const existing = records.get(key) || { ...this.createRecord(item, status), addedAt: addedAt || now };
+          const importedNotes = EDITABLE_FIELDS.notes(notes);
+          const record = {
+            ...existing,
+            status: status === LIBRARY_STATUS.WATCHED ? LIBRARY_STATUS.WATCHED : existing.status,
+            userRating: normalizeUserRating(userRating) ?? existing.userRating,
+            watchedAt: watchedAt || existing.watchedAt,
+            notes: !importedNotes || existing.notes.includes(importedNotes)
+              ? existing.notes
+              : [existing.notes, importedNotes].filter(Boolean).join('\n\n')
+          };
+          records.set(key, record);
+          changedRecords.set(key, record);
+        }
+
+        listNames.map(name => String(name).trim()).filter(Boolean).forEach(name => {
+          let list = lists.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+          if (!list) {
+            list = { id: createListId(), name, items: [], createdAt: now, updatedAt: now };
+            lists.push(list);
+          }
+          if (!list.items.some(entry => entry.key === key)) {
+            list.items = [...list.items, this.createListEntry(item)];
+            list.updatedAt = now;
+            changedLists.set(list.id, list);
+          }
+        });
+      });
+
+      const backend = await this.getBackend();
+      await backend.putMany(ITEMS_STORE, [...changedRecords.values()]);
+      await backend.putMany(LISTS_STORE, [...changedLists.values()]);
+      return { records: changedRecords.size, lists: changedLists.size };
+    });
+  }
+
+  // Restore a JSON backup; its records and lists replace ones with the same key or id
+  restore({ records = [], lists = [] }) {
+    return this.serialize(async () => {
+      const now = new Date().toISOString();
+      // Hand-edited or partial backups may leave out fields that sorting and filtering rely on
+      const validRecords = records
+        .filter(record => record && record.key && record.id && record.type)
+        .map(record => {
+          const migrated = migrateRecord(record);
+          return {
+            ...migrated,
+            title: migrated.title || '',
+            genre: Array.isArray(migrated.genre) ? migrated.genre : [],
+            addedAt: migrated.addedAt || now
+          };
+        });
+      const validLists = lists
+        .filter(list => list && list.id && list.name && Array.isArray(list.items))
+        .map(list => ({ ...list, createdAt: list.createdAt || now, updatedAt: list.updatedAt || list.createdAt || now }));
+
+      // A backup list whose name another list already uses is merged into that list instead
+      const existingLists = await this.getLists();
+      const mergedLists = validLists.map(list => {
+        const sameName = existingLists.find(entry =>
+          entry.id !== list.id && entry.name.toLowerCase() === list.name.trim().toLowerCase()
+        );
+        if (!sameName) return list;
+
+        const keys = new Set(sameName.items.map(entry => entry.key));
+        return {
+          ...sameName,
+          items: [...sameName.items, ...list.items.filter(entry => !keys.has(entry.key))],
+          updatedAt: now
+        };
+      });
+
+      const backend = await this.getBackend();
+      await backend.putMany(ITEMS_STORE, validRecords);
+      await backend.putMany(LISTS_STORE, mergedLists);
+      return { records: validRecords.length, lists: mergedLists.length };
+    });
+  }
+
+  // Remove an item from the library
+  remove(itemOrKey) {
+    return this.serialize(async () => {
+      const key = typeof itemOrKey === 'string' ? itemOrKey : getLibraryKey(itemOrKey);
+      const backend = await this.getBackend();
+      await backend.delete(ITEMS_STORE, key);
+    });
+  }
+
+  // Custom lists, oldest first; each holds its entries in the user's order
+  async getLists() {
+    const backend = await this.getBackend();
+    const lists = await backend.getAll(LISTS_STORE);
+    return lists.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async getList(id) {
+    const lists = await this.getLists();
+    const list = lists.find(entry => entry.id === id);
+    if (!list) throw new Error('List not found');
+    return list;
+  }
+
+  // Create a list, optionally starting with some items
+  createList(name, items = []) {
+    return this.serialize(async () => {
+      const now = new Date().toISOString();
+      const list = {
+        id: createListId(),
+        name: await this.validateListName(name),
+        items: items.map(item => this.createListEntry(item)),
+        createdAt: now,
+        updatedAt: now
+      };
+      await this.saveList(list);
+      return list;
+    });
+  }
+
+  renameList(id, name) {
+    return this.serialize(async () => {
+      const list = await this.getList(id);
+      return this.saveList({ ...list, name: await this.validateListName(name, id) });
+    });
+  }
+
+  deleteList(id) {
+    return this.serialize(async () => {
+      const backend = await this.getBackend();
+      await backend.delete(LISTS_STORE, id);
+    });
+  }
+
+  // Append an item to a list (no-op if it is already there)
+  addToList(id, item) {
+    return this.serialize(async () => {
+      const list = await this.getList(id);
+      if (list.items.some(entry => entry.key === getLibraryKey(item))) return list;
+      return this.saveList({ ...list, items: [...list.items, this.createListEntry(item)] });
+    });
+  }
+
+  removeFromList(id, itemOrKey) {
+    return this.serialize(async () => {
+      const key = typeof itemOrKey === 'string' ? itemOrKey : getLibraryKey(itemOrKey);
+      const list = await this.getList(id);
+      return this.saveList({ ...list, items: list.items.filter(entry => entry.key !== key) });
+    });
+  }
+
+  // Put a list's entries in the order of keys; entries missing from keys keep their place at the end
+  reorderList(id, keys) {
+    return this.serialize(async () => {
+      const list = await this.getList(id);
+      const position = (entry) => {
+        const index = keys.indexOf(entry.key);
+        return index === -1 ? keys.length : index;
+      };
+      return this.saveList({ ...list, items: [...list.items].sort((a, b) => position(a) - position(b)) });
+    });
+  }
+
+  async saveList(list) {
+    const updated = { ...list, updatedAt: new Date().toISOString() };
+    const backend = await this.getBackend();
+    await backend.putMany(LISTS_STORE, [updated]);
+    return updated;
+  }
+
+  // Trim a list name and reject empty names or names another list already uses
+  async validateListName(name, listId = null) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('List name cannot be empty');
+
+    const lists = await this.getLists();
+    const duplicate = lists.some(list =>
+      list.id !== listId && list.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (duplicate) throw new Error(`A list named "${trimmed}" already exists`);
+
+    return trimmed;
+  }
+
+  // Snapshot of a title for a custom list
+  createListEntry(item) {
+    return {
+      ...omitFields(item, [...TRANSIENT_FIELDS, ...LIBRARY_FIELDS]),
+      key: getLibraryKey(item),
+      addedAt: new Date().toISOString()
+    };
+  }
+
+  // Wrap a content item in a library record (transient UI flags and detail-only lists are not stored)
+  createRecord(item, status) {
+    return {
+      ...omitFields(item, TRANSIENT_FIELDS),
+      ...(item.type === 'tv' && { seasons: item.seasons || [], watchedEpisodes: [] }),
+      key: getLibraryKey(item),
+      status,
+      addedAt: new Date().toISOString(),
+      watchedAt: null,
+      userRating: null,
+      notes: '',
+      schemaVersion: SCHEMA_VERSION
+    };
+  }
+}
+
+// Export singleton instance
+export default new LibraryStorage();
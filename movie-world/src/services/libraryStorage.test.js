@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import libraryStorage, { SCHEMA_VERSION } from './libraryStorage.js';
+import { sortLibrary } from '../utils/libraryFilters.js';
+
+describe('libraryStorage.restore', () => {
+  it('fills in the fields a minimal backup leaves out', async () => {
+    const backup = {
+      records: [
+        { key: 'movie:27205', id: 27205, type: 'movie', status: 'watched', schemaVersion: SCHEMA_VERSION },
+        { key: 'tv:1396', id: 1396, type: 'tv', title: 'Breaking Bad' }
+      ],
+      lists: [{ id: 'list-1', name: 'Friday night', items: [] }]
+    };
+
+    expect(await libraryStorage.restore(backup)).toEqual({ records: 2, lists: 1 });
+
+    const records = await libraryStorage.list();
+    expect(records).toHaveLength(2);
+    records.forEach(record => {
+      expect(record.addedAt).toEqual(expect.any(String));
+      expect(record.genre).toEqual([]);
+    });
+    expect(records.find(record => record.key === 'movie:27205').title).toBe('');
+    expect(sortLibrary(records, 'title.asc').map(record => record.key)).toEqual(['tv:1396', 'movie:27205']);
+
+    const [list] = await libraryStorage.getLists();
+    expect(list).toMatchObject({ id: 'list-1', createdAt: expect.any(String), updatedAt: expect.any(String) });
+
+    const created = await libraryStorage.createList('Horror marathon');
+    expect((await libraryStorage.getLists()).map(entry => entry.id)).toEqual(['list-1', created.id]);
+  });
+
+  it('skips records and lists without an identity', async () => {
+    const backup = {
+      records: [{ id: 1, type: 'movie' }, null],
+      lists: [{ id: 'list-2', items: [] }]
+    };
+
+    expect(await libraryStorage.restore(backup)).toEqual({ records: 0, lists: 0 });
+    expect(await libraryStorage.list()).toEqual([]);
+  });
+});
+
+describe('libraryStorage.setEpisodesWatched', () => {
+  it('keeps both episodes when two are ticked at once', async () => {
+    const show = { id: 1396, type: 'tv', title: 'Breaking Bad', genre: [], seasons: [{ seasonNumber: 1, episodeCount: 7 }] };
+
+    await Promise.all([
+      libraryStorage.setEpisodesWatched(show, ['1x1'], true),
+      libraryStorage.setEpisodesWatched(show, ['1x2'], true)
+    ]);
+
+    expect((await libraryStorage.get(show)).watchedEpisodes.sort()).toEqual(['1x1', '1x2']);
+  });
+});
+
+describe('libraryStorage writes', () => {
+  const movie = { id: 27205, type: 'movie', title: 'Inception', genre: [] };
+  const show = { id: 1396, type: 'tv', title: 'Breaking Bad', genre: [] };
+
+  it('applies concurrent changes to a record in order', async () => {
+    await libraryStorage.addToWatchlist(movie);
+
+    await Promise.all([
+      libraryStorage.updateEntry(movie, { notes: 'Watch with subtitles' }),
+      libraryStorage.markAsWatched(movie),
+      libraryStorage.refreshRecord(movie, { ...movie, runtime: 148 })
+    ]);
+
+    expect(await libraryStorage.get(movie)).toMatchObject({
+      status: 'watched',
+      notes: 'Watch with subtitles',
+      runtime: 148
+    });
+  });
+
+  it('keeps every title added to a list at once', async () => {
+    const list = await libraryStorage.createList('Friday night');
+
+    await Promise.all([libraryStorage.addToList(list.id, movie), libraryStorage.addToList(list.id, show)]);
+
+    expect((await libraryStorage.getList(list.id)).items.map(entry => entry.key)).toEqual(['movie:27205', 'tv:1396']);
+  });
+
+  it('carries on after a failed write', async () => {
+    await expect(libraryStorage.updateEntry(movie, { notes: 'x' })).rejects.toThrow('Item is not in the library');
+    expect(await libraryStorage.addToWatchlist(movie)).toMatchObject({ key: 'movie:27205' });
+  });
+});
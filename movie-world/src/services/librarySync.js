@@ -0,0 +1,99 @@
+import apiService from './apiService.js';
+import libraryStorage, { getLibraryKey } from './libraryStorage.js';
+import { isOffline } from '../utils/apiHelpers.js';
+
+const QUEUE_KEY = 'movie-world-sync-queue';
+
+// Give up on a title after this many failed refreshes (e.g. it was removed from TMDB)
+const MAX_ATTEMPTS = 3;
+
+// Library changes are saved locally, so they work offline, but a title added offline only has
+// the data its card had. Such titles are queued here and filled in with full details on reconnect.
+class LibrarySync {
+  constructor() {
+    this.api = apiService;
+    this.storage = libraryStorage;
+    this.listeners = new Set();
+    this.flushPromise = null;
+  }
+
+  readQueue() {
+    try {
+      return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  writeQueue(queue) {
+    try {
+      localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    } catch (error) {
+      console.error('Error saving sync queue:', error);
+    }
+    this.listeners.forEach(listener => listener(queue.length));
+  }
+
+  getPendingCount() {
+    return this.readQueue().length;
+  }
+
+  // Subscribe to the number of queued titles; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Queue a title changed while offline (once per title)
+  queueRefresh(item) {
+    const key = getLibraryKey(item);
+    const queue = this.readQueue();
+    if (queue.some(entry => entry.key === key)) return;
+
+    this.writeQueue([...queue, { key, id: item.id, type: item.type, attempts: 0, queuedAt: new Date().toISOString() }]);
+  }
+
+  // Refresh every queued title; concurrent calls share one run. Resolves to the number of records updated.
+  flush() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.runFlush().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async runFlush() {
+    let updated = 0;
+
+    for (const entry of this.readQueue()) {
+      // The connection dropped again; keep the rest for next time
+      if (isOffline()) break;
+
+      try {
+        const details = await this.api.getContentDetails(entry.id, entry.type);
+        if (await this.storage.refreshRecord(entry.key, details)) updated++;
+        this.removeFromQueue(entry.key);
+      } catch (error) {
+        console.warn(`Failed to refresh ${entry.key}:`, error);
+        this.recordFailure(entry.key);
+      }
+    }
+
+    return updated;
+  }
+
+  // Re-read the queue for each change, since titles can be queued while a flush runs
+  removeFromQueue(key) {
+    this.writeQueue(this.readQueue().filter(entry => entry.key !== key));
+  }
+
+  recordFailure(key) {
+    this.writeQueue(this.readQueue()
+      .map(entry => entry.key === key ? { ...entry, attempts: entry.attempts + 1 } : entry)
+      .filter(entry => entry.attempts < MAX_ATTEMPTS));
+  }
+}
+
+// Export singleton instance
+export default new LibrarySync();
@@ -0,0 +1,368 @@
+import { metadataProvider } from './providers.js';
+import libraryStorage, { LIBRARY_STATUS, SCHEMA_VERSION, getLibraryKey } from './libraryStorage.js';
+import { MIN_TITLE_CONFIDENCE, getTitleMatchConfidence } from './idResolver.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { fromDateInputValue } from '../utils/ratings.js';
+import { isAbortError, createAbortError } from '../utils/apiHelpers.js';
+
+// Marks our JSON backups so other JSON files are rejected
+export const BACKUP_FORMAT = 'movie-world-library';
+
+// Where an import file came from
+export const IMPORT_SOURCE = {
+  BACKUP: 'backup',
+  MOVIE_WORLD: 'movie-world',
+  LETTERBOXD: 'letterboxd',
+  IMDB: 'imdb'
+};
+
+export const IMPORT_SOURCE_LABELS = {
+  [IMPORT_SOURCE.BACKUP]: 'Movie World backup',
+  [IMPORT_SOURCE.MOVIE_WORLD]: 'Movie World CSV',
+  [IMPORT_SOURCE.LETTERBOXD]: 'Letterboxd',
+  [IMPORT_SOURCE.IMDB]: 'IMDb'
+};
+
+// How an import row was resolved to a TMDB title
+export const MATCH_STATUS = {
+  MATCHED: 'matched',
+  AMBIGUOUS: 'ambiguous',
+  UNMATCHED: 'unmatched'
+};
+
+// Title+year matches this good are accepted without review, unless the runner-up is within the margin
+const AUTO_MATCH_CONFIDENCE = 0.85;
+const AMBIGUITY_MARGIN = 0.1;
+const MAX_CANDIDATES = 5;
+const MAX_CONCURRENT_LOOKUPS = 4;
+
+// Columns of our own CSV export, which we can also import
+const CSV_COLUMNS = ['type', 'tmdbId', 'imdbId', 'title', 'year', 'status', 'userRating', 'addedAt', 'watchedAt', 'notes', 'lists'];
+const CSV_LIST_SEPARATOR = '; ';
+
+// IMDb "Title Type" values we can map; episodes and video games are skipped
+const IMDB_TITLE_TYPES = {
+  movie: 'movie',
+  tvmovie: 'movie',
+  short: 'movie',
+  tvshort: 'movie',
+  video: 'movie',
+  tvspecial: 'movie',
+  tvseries: 'tv',
+  tvminiseries: 'tv'
+};
+
+// Header names are compared case- and spacing-insensitively, since export formats have drifted over the years
+const normalizeColumn = (name) => name.toLowerCase().replace(/\s+/g, '');
+
+const getColumn = (row, ...names) => {
+  const wanted = names.map(normalizeColumn);
+  const column = Object.keys(row).find(key => wanted.includes(normalizeColumn(key)));
+  return column ? row[column].trim() : '';
+};
+
+const hasColumn = (rows, name) => rows.length > 0
+  && Object.keys(rows[0]).some(key => normalizeColumn(key) === normalizeColumn(name));
+
+// "2024-05-01" (or a full timestamp) to an ISO string, or null
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(fromDateInputValue(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const parseYear = (value) => {
+  const year = parseInt(value);
+  return isNaN(year) ? null : year;
+};
+
+// Letterboxd diary, ratings, reviews, watched and watchlist exports (films only, ratings 0.5-5)
+const parseLetterboxdRows = (rows, fileName) => {
+  const isWatchlist = /watchlist/i.test(fileName);
+
+  return rows.map(row => {
+    const rating = parseFloat(getColumn(row, 'Rating'));
+    return {
+      title: getColumn(row, 'Name'),
+      year: parseYear(getColumn(row, 'Year')),
+      type: 'movie',
+      imdbId: null,
+      tmdbId: null,
+      status: isWatchlist ? LIBRARY_STATUS.WATCHLIST : LIBRARY_STATUS.WATCHED,
+      userRating: isNaN(rating) ? null : rating * 2,
+      addedAt: parseDate(getColumn(row, 'Date')),
+      watchedAt: isWatchlist ? null : parseDate(getColumn(row, 'Watched Date') || getColumn(row, 'Date')),
+      notes: getColumn(row, 'Review'),
+      lists: []
+    };
+  });
+};
+
+// IMDb ratings exports (rated titles are watched) and watchlist/list exports (with a Position column)
+const parseImdbRows = (rows) => {
+  const isList = hasColumn(rows, 'Position');
+
+  return rows
+    .map(row => {
+      const titleType = normalizeColumn(getColumn(row, 'Title Type'));
+      const rating = parseInt(getColumn(row, 'Your Rating'));
+      const isRated = !isNaN(rating);
+      return {
+        title: getColumn(row, 'Title'),
+        year: parseYear(getColumn(row, 'Year')),
+        type: titleType ? IMDB_TITLE_TYPES[titleType] : null,
+        imdbId: getColumn(row, 'Const') || null,
+        tmdbId: null,
+        status: isList && !isRated ? LIBRARY_STATUS.WATCHLIST : LIBRARY_STATUS.WATCHED,
+        userRating: isRated ? rating : null,
+        addedAt: parseDate(getColumn(row, 'Created')),
+        watchedAt: isRated ? parseDate(getColumn(row, 'Date Rated')) : null,
+        notes: isList ? getColumn(row, 'Description') : '',
+        lists: []
+      };
+    })
+    // Episodes, games and other types that have no TMDB movie or show
+    .filter(row => row.type !== undefined);
+};
+
+// Rows of our own CSV export
+const parseMovieWorldRows = (rows) => rows.map(row => ({
+  title: getColumn(row, 'title'),
+  year: parseYear(getColumn(row, 'year')),
+  type: ['movie', 'tv'].includes(getColumn(row, 'type')) ? getColumn(row, 'type') : null,
+  imdbId: getColumn(row, 'imdbId') || null,
+  tmdbId: parseInt(getColumn(row, 'tmdbId')) || null,
+  status: Object.values(LIBRARY_STATUS).includes(getColumn(row, 'status')) ? getColumn(row, 'status') : null,
+  userRating: parseInt(getColumn(row, 'userRating')) || null,
+  addedAt: parseDate(getColumn(row, 'addedAt')),
+  watchedAt: parseDate(getColumn(row, 'watchedAt')),
+  notes: getColumn(row, 'notes'),
+  lists: getColumn(row, 'lists').split(CSV_LIST_SEPARATOR.trim()).map(name => name.trim()).filter(Boolean)
+}));
+
+// Work out which service a CSV export came from by its header
+export const detectCsvSource = (rows) => {
+  if (hasColumn(rows, 'tmdbId')) return IMPORT_SOURCE.MOVIE_WORLD;
+  if (hasColumn(rows, 'Letterboxd URI')) return IMPORT_SOURCE.LETTERBOXD;
+  if (hasColumn(rows, 'Const')) return IMPORT_SOURCE.IMDB;
+  return null;
+};
+
+// Parse an import file into { source, rows } or, for JSON backups, { source, backup }
+export const parseImportFile = (fileName, text) => {
+  if (/\.json$/i.test(fileName) || text.trim().startsWith('{')) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch {
+      throw new Error('This file is not valid JSON');
+    }
+    if (backup?.format !== BACKUP_FORMAT) {
+      throw new Error('This JSON file is not a Movie World backup');
+    }
+    return { source: IMPORT_SOURCE.BACKUP, backup };
+  }
+
+  const csvRows = parseCsv(text);
+  const source = detectCsvSource(csvRows);
+  if (!source) {
+    throw new Error('Unrecognized CSV file. Use a Letterboxd or IMDb export, or a Movie World CSV export.');
+  }
+
+  const parsers = {
+    [IMPORT_SOURCE.MOVIE_WORLD]: parseMovieWorldRows,
+    [IMPORT_SOURCE.LETTERBOXD]: (rows) => parseLetterboxdRows(rows, fileName),
+    [IMPORT_SOURCE.IMDB]: parseImdbRows
+  };
+
+  const rows = parsers[source](csvRows)
+    .filter(row => row.title || row.imdbId || row.tmdbId)
+    .map((row, index) => ({ ...row, rowNumber: index + 1 }));
+  return { source, rows };
+};
+
+// Rank search results against a row and decide whether the best one is safe to accept
+export const classifyCandidates = (row, results) => {
+  const scored = results
+    .filter(item => item.type === 'movie' || item.type === 'tv')
+    .map(item => ({ item, confidence: getTitleMatchConfidence(row, item) }))
+    .sort((a, b) => b.confidence - a.confidence || b.item.popularity - a.item.popularity)
+    .slice(0, MAX_CANDIDATES);
+
+  const [best, runnerUp] = scored;
+  const candidates = scored.map(entry => entry.item);
+
+  if (!best || best.confidence < MIN_TITLE_CONFIDENCE) {
+    return { matchStatus: MATCH_STATUS.UNMATCHED, match: null, confidence: best?.confidence || 0, candidates };
+  }
+
+  const isClear = best.confidence >= AUTO_MATCH_CONFIDENCE
+    && (!runnerUp || best.confidence - runnerUp.confidence >= AMBIGUITY_MARGIN);
+
+  return {
+    matchStatus: isClear ? MATCH_STATUS.MATCHED : MATCH_STATUS.AMBIGUOUS,
+    match: isClear ? best.item : null,
+    confidence: best.confidence,
+    candidates
+  };
+};
+
+// Moves the library in and out of the app: JSON backups, CSV exports and Letterboxd/IMDb imports
+export class LibraryTransfer {
+  constructor({ metadata = metadataProvider, storage = libraryStorage } = {}) {
+    this.metadata = metadata;
+    this.storage = storage;
+  }
+
+  // Full-fidelity backup of every record and list
+  async exportJson() {
+    const [records, lists] = await Promise.all([this.storage.list(), this.storage.getLists()]);
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      records,
+      lists
+    }, null, 2);
+  }
+
+  // Spreadsheet-friendly export: one row per title, with the names of the lists it is on
+  async exportCsv() {
+    const [records, lists] = await Promise.all([this.storage.list(), this.storage.getLists()]);
+
+    // Titles that are only on a custom list still get a row, with no status
+    const titles = new Map(records.map(record => [record.key, record]));
+    lists.forEach(list => list.items.forEach(entry => {
+      if (!titles.has(entry.key)) titles.set(entry.key, { ...entry, status: '' });
+    }));
+
+    const rows = [...titles.values()].map(title => ({
+      type: title.type,
+      tmdbId: title.tmdbId || title.id,
+      imdbId: title.imdbId || '',
+      title: title.title,
+      year: title.year,
+      status: title.status,
+      userRating: title.userRating || '',
+      addedAt: title.addedAt || '',
+      watchedAt: title.watchedAt || '',
+      notes: title.notes || '',
+      lists: lists
+        .filter(list => list.items.some(entry => entry.key === title.key))
+        .map(list => list.name)
+        .join(CSV_LIST_SEPARATOR)
+    }));
+
+    return toCsv(rows, CSV_COLUMNS);
+  }
+
+  // Resolve one import row to a TMDB title: by TMDB id, then IMDb ID via /find, then title and year
+  async resolveRow(row, options = {}) {
+    try {
+      if (row.tmdbId && row.type) {
+        const details = row.type === 'movie'
+          ? await this.metadata.getMovieDetails(row.tmdbId, options)
+          : await this.metadata.getTVDetails(row.tmdbId, options);
+        return { ...row, matchStatus: MATCH_STATUS.MATCHED, match: details, confidence: 1, candidates: [details] };
+      }
+
+      if (row.imdbId) {
+        const found = await this.metadata.findByImdbId(row.imdbId, options);
+        const sameType = found.filter(item => !row.type || item.type === row.type);
+        if (sameType.length === 1) {
+          return { ...row, matchStatus: MATCH_STATUS.MATCHED, match: sameType[0], confidence: 1, candidates: sameType };
+        }
+      }
+
+      return { ...row, ...(await this.searchForRow(row, options)) };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Failed to resolve import row ${row.rowNumber}:`, error);
+      return { ...row, matchStatus: MATCH_STATUS.UNMATCHED, match: null, confidence: 0, candidates: [] };
+    }
+  }
+
+  // Title search, narrowed to the row's type and year when known
+  async searchForRow(row, options = {}) {
+    if (!row.title) {
+      return { matchStatus: MATCH_STATUS.UNMATCHED, match: null, confidence: 0, candidates: [] };
+    }
+
+    if (!row.type) {
+      const response = await this.metadata.searchMulti(row.title, 1, options);
+      return classifyCandidates(row, response.results);
+    }
+
+    let results = await this.metadata.searchByType(row.type, row.title, row.year, options);
+    // Release years differ between sites now and then, so retry without one
+    if (results.length === 0 && row.year) {
+      results = await this.metadata.searchByType(row.type, row.title, null, options);
+    }
+    return classifyCandidates(row, results);
+  }
+
+  // Resolve rows a few at a time; options.onProgress is called with the number done so far
+  async resolveRows(rows, options = {}) {
+    const resolved = [];
+
+    for (let i = 0; i < rows.length; i += MAX_CONCURRENT_LOOKUPS) {
+      if (options.signal?.aborted) throw createAbortError();
+
+      const batch = rows.slice(i, i + MAX_CONCURRENT_LOOKUPS);
+      resolved.push(...await Promise.all(batch.map(row => this.resolveRow(row, options))));
+      options.onProgress?.(resolved.length);
+    }
+
+    return resolved;
+  }
+
+  // Search TMDB for a row the user is matching by hand
+  async searchCandidates(query, type = null, options = {}) {
+    if (type) return this.metadata.searchByType(type, query, null, options);
+    const response = await this.metadata.searchMulti(query, 1, options);
+    return response.results.filter(item => item.type === 'movie' || item.type === 'tv');
+  }
+
+  // Save the rows that have a match; returns how many records and lists changed
+  async applyImport(rows) {
+    const entries = rows
+      .filter(row => row.match)
+      .map(row => ({
+        item: row.match,
+        status: row.status,
+        userRating: row.userRating,
+        addedAt: row.addedAt,
+        watchedAt: row.watchedAt,
+        notes: row.notes,
+        lists: row.lists
+      }));
+
+    // Diaries log rewatches as separate rows; keep the latest viewing of each title
+    const latest = new Map();
+    entries.forEach(entry => {
+      const key = getLibraryKey(entry.item);
+      const previous = latest.get(key);
+      if (!previous) {
+        latest.set(key, entry);
+        return;
+      }
+      const [older, newer] = (entry.watchedAt || '') >= (previous.watchedAt || '') ? [previous, entry] : [entry, previous];
+      latest.set(key, {
+        ...newer,
+        userRating: newer.userRating ?? older.userRating,
+        notes: newer.notes || older.notes,
+        lists: [...new Set([...older.lists, ...newer.lists])]
+      });
+    });
+
+    return this.storage.importEntries([...latest.values()]);
+  }
+
+  // Restore a parsed JSON backup
+  async restoreBackup(backup) {
+    return this.storage.restore(backup);
+  }
+}
+
+// Export singleton instance
+export default new LibraryTransfer();
@@ -0,0 +1,390 @@
+import { TMDBApi } from '../tmdbApi.js';
+import { OMDBApi } from '../omdbApi.js';
+import { wait } from '../../utils/apiHelpers.js';
+import tmdbFixtures from './fixtures/tmdb.json';
+import omdbFixtures from './fixtures/omdb.json';
+
+// Fixture-backed stand-ins for TMDB and OMDB, used with VITE_DATA_SOURCE=mock and in tests.
+// Only the transport is replaced: fixtures are raw TMDB/OMDB JSON, so the real transforms still run.
+// Parasite has no IMDb ID on the TMDB side (ratings are matched by title) and Dark has no poster
+// or OMDB record, so both fallback paths can be exercised too.
+
+// Simulated network delay in ms, so loading states show up during development
+export const MOCK_LATENCY = 150;
+
+const PAGE_SIZE = 20;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fields TMDB includes on list results (search, trending, discover, similar)
+const LIST_FIELDS = [
+  'id', 'media_type', 'title', 'name', 'original_language', 'overview', 'poster_path', 'backdrop_path',
+  'release_date', 'first_air_date', 'vote_average', 'vote_count', 'popularity'
+];
+
+const createNotFoundError = (resource) => {
+  const error = new Error(`No mock data for ${resource}`);
+  error.response = { status: 404, data: { status_message: 'The resource you requested could not be found.' } };
+  return error;
+};
+
+const toSearchText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+const paginate = (results, page = 1) => {
+  const pageNumber = Number(page) || 1;
+  return {
+    page: pageNumber,
+    results: results.slice((pageNumber - 1) * PAGE_SIZE, pageNumber * PAGE_SIZE),
+    total_pages: Math.max(1, Math.ceil(results.length / PAGE_SIZE)),
+    total_results: results.length
+  };
+};
+
+const getTitleName = (title) => title.title || title.name;
+const getReleaseDate = (title) => title.release_date || title.first_air_date || '';
+const getImdbId = (title) => title.imdb_id || title.external_ids?.imdb_id || null;
+const getGenreIds = (title) => title.genres.map(genre => genre.id);
+
+const toListItem = (title) => ({
+  ...Object.fromEntries(LIST_FIELDS.filter(field => field in title).map(field => [field, title[field]])),
+  genre_ids: getGenreIds(title)
+});
+
+const addDays = (date, days) => date
+  ? new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10)
+  : '';
+
+// Sort values for discover's sort_by, e.g. 'primary_release_date.desc'
+const getSortValue = (title, field) => {
+  if (field.endsWith('release_date') || field === 'first_air_date') return getReleaseDate(title);
+  if (field === 'title' || field === 'original_title' || field === 'name') return getTitleName(title);
+  return title[field] || 0;
+};
+
+// Serves TMDB endpoints from a small catalog of movies, TV shows and people.
+// Helper names must not shadow TMDBApi's public methods, which still do the transforming.
+export class MockTMDBApi extends TMDBApi {
+  constructor({ fixtures = tmdbFixtures, latency = MOCK_LATENCY } = {}) {
+    super();
+    this.fixtures = fixtures;
+    this.latency = latency;
+    this.titles = [
+      ...fixtures.movies.map(movie => ({ ...movie, media_type: 'movie' })),
+      ...fixtures.tv.map(show => ({ ...show, media_type: 'tv' }))
+    ];
+    this.people = this.buildPeople();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Same signature as TMDBApi.get, without the response cache so results stay deterministic
+  async get(endpoint, params = {}, ttl, { signal } = {}) {
+    await wait(this.latency, signal);
+
+    const data = this.route(endpoint, params);
+    if (!data) throw createNotFoundError(endpoint);
+    // Hand out copies so callers can never change the fixtures
+    return structuredClone(data);
+  }
+
+  route(endpoint, params) {
+    let match;
+
+    if ((match = endpoint.match(/^\/trending\/(all|movie|tv)\/(day|week)$/))) {
+      return paginate(this.trendingTitles(match[1], match[2]), params.page);
+    }
+    if (endpoint === '/search/multi') {
+      return paginate(this.searchAll(params.query), params.page);
+    }
+    if ((match = endpoint.match(/^\/search\/(movie|tv)$/))) {
+      return paginate(this.searchTitles(match[1], params.query, params.year || params.first_air_date_year), params.page);
+    }
+    if ((match = endpoint.match(/^\/find\/(.+)$/))) {
+      const found = this.titles.filter(title => getImdbId(title) === match[1]).map(toListItem);
+      return {
+        movie_results: found.filter(title => title.media_type === 'movie'),
+        tv_results: found.filter(title => title.media_type === 'tv'),
+        person_results: []
+      };
+    }
+    if ((match = endpoint.match(/^\/discover\/(movie|tv)$/))) {
+      return paginate(this.discover(match[1], params), params.page);
+    }
+    if ((match = endpoint.match(/^\/genre\/(movie|tv)\/list$/))) {
+      return { genres: this.fixtures.genres[match[1]] };
+    }
+    if ((match = endpoint.match(/^\/person\/(\d+)$/))) {
+      return this.getPerson(Number(match[1]));
+    }
+    if ((match = endpoint.match(/^\/tv\/(\d+)\/season\/(\d+)$/))) {
+      return this.getSeason(Number(match[1]), Number(match[2]));
+    }
+    if ((match = endpoint.match(/^\/(movie|tv)\/(\d+)(?:\/([a-z_]+))?$/))) {
+      return this.routeTitle(this.findTitle(match[1], Number(match[2])), match[3], params);
+    }
+    return null;
+  }
+
+  // /movie/{id}, /tv/{id} and their sub-resources
+  routeTitle(title, resource, params) {
+    if (!title) return null;
+
+    switch (resource) {
+      case undefined:
+        return {
+          ...title,
+          similar: paginate(this.similarTitles(title)),
+          reviews: paginate(title.reviews),
+          videos: { results: [] }
+        };
+      case 'similar':
+        return paginate(this.similarTitles(title), params.page);
+      case 'recommendations':
+        return paginate(this.recommendedTitles(title), params.page);
+      case 'reviews':
+        return paginate(title.reviews, params.page);
+      case 'external_ids':
+        return { id: title.id, imdb_id: getImdbId(title), tvdb_id: null, wikidata_id: null };
+      default:
+        return null;
+    }
+  }
+
+  findTitle(type, id) {
+    return this.titles.find(title => title.media_type === type && title.id === id) || null;
+  }
+
+  getTitles(type) {
+    return type === 'all' ? this.titles : this.titles.filter(title => title.media_type === type);
+  }
+
+  // "Today" is ordered by popularity and "this week" by votes, so the two windows differ
+  trendingTitles(type, timeWindow) {
+    const field = timeWindow === 'day' ? 'popularity' : 'vote_count';
+    return [...this.getTitles(type)]
+      .sort((a, b) => b[field] - a[field])
+      .map(toListItem);
+  }
+
+  searchTitles(type, query, year = null) {
+    const text = toSearchText(query);
+    return this.getTitles(type)
+      .filter(title => toSearchText(getTitleName(title)).includes(text))
+      .filter(title => !year || getReleaseDate(title).startsWith(String(year)))
+      .sort((a, b) => b.popularity - a.popularity)
+      .map(toListItem);
+  }
+
+  searchAll(query) {
+    const text = toSearchText(query);
+    const people = [...this.people.values()]
+      .filter(person => toSearchText(person.name).includes(text))
+      .sort((a, b) => b.popularity - a.popularity)
+      .map(person => ({
+        id: person.id,
+        media_type: 'person',
+        name: person.name,
+        profile_path: person.profile_path,
+        known_for_department: person.known_for_department,
+        popularity: person.popularity,
+        known_for: person.credits.slice(0, 3).map(toListItem)
+      }));
+
+    return [...this.searchTitles('all', query), ...people];
+  }
+
+  // Same media type, most shared genres first
+  similarTitles(title) {
+    const genreIds = getGenreIds(title);
+    const sharedGenres = (other) => getGenreIds(other).filter(id => genreIds.includes(id)).length;
+
+    return this.getTitles(title.media_type)
+      .filter(other => other.id !== title.id && sharedGenres(other) > 0)
+      .sort((a, b) => sharedGenres(b) - sharedGenres(a) || b.popularity - a.popularity)
+      .map(toListItem);
+  }
+
+  // Best rated titles of the same media type
+  recommendedTitles(title) {
+    return this.getTitles(title.media_type)
+      .filter(other => other.id !== title.id)
+      .sort((a, b) => b.vote_average - a.vote_average)
+      .map(toListItem);
+  }
+
+  // Apply the parameters built by TMDBApi.buildDiscoverParams (and with_people from recommendations)
+  discover(type, params) {
+    const dateField = type === 'movie' ? 'primary_release_date' : 'first_air_date';
+    const genreFilter = params.with_genres ? String(params.with_genres) : '';
+    // TMDB treats "," as AND and "|" as OR
+    const genreIds = genreFilter.split(/[,|]/).filter(Boolean).map(Number);
+    const matchesGenres = genreFilter.includes('|')
+      ? (ids) => genreIds.some(id => ids.includes(id))
+      : (ids) => genreIds.every(id => ids.includes(id));
+    const [sortField, sortDirection] = (params.sort_by || 'popularity.desc').split('.');
+    const modifier = sortDirection === 'asc' ? 1 : -1;
+
+    return this.getTitles(type)
+      .filter(title => {
+        const releaseDate = getReleaseDate(title);
+        const runtime = title.runtime || title.episode_run_time?.[0] || 0;
+        const personIds = [...title.credits.cast, ...title.credits.crew].map(person => person.id);
+
+        if (genreIds.length > 0 && !matchesGenres(getGenreIds(title))) return false;
+        if (params[`${dateField}.gte`] && releaseDate < params[`${dateField}.gte`]) return false;
+        if (params[`${dateField}.lte`] && releaseDate > params[`${dateField}.lte`]) return false;
+        if (params['vote_average.gte'] && title.vote_average < Number(params['vote_average.gte'])) return false;
+        if (params['vote_count.gte'] && title.vote_count < Number(params['vote_count.gte'])) return false;
+        if (params['with_runtime.gte'] && runtime < Number(params['with_runtime.gte'])) return false;
+        if (params['with_runtime.lte'] && runtime > Number(params['with_runtime.lte'])) return false;
+        if (params.with_original_language && title.original_language !== params.with_original_language) return false;
+        if (params.with_people && !personIds.includes(Number(params.with_people))) return false;
+        return true;
+      })
+      .sort((a, b) => {
+        const valueA = getSortValue(a, sortField);
+        const valueB = getSortValue(b, sortField);
+        const compared = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        return compared * modifier;
+      })
+      .map(toListItem);
+  }
+
+  // Everyone credited in the catalog, with the biographies from fixtures.people where there is one
+  buildPeople() {
+    const people = new Map();
+
+    const addCredit = (person, title, role) => {
+      if (!people.has(person.id)) {
+        people.set(person.id, {
+          id: person.id,
+          imdb_id: null,
+          name: person.name,
+          biography: '',
+          birthday: null,
+          deathday: null,
+          place_of_birth: null,
+          profile_path: null,
+          known_for_department: role.job === 'Director' ? 'Directing' : 'Acting',
+          popularity: 0,
+          credits: [],
+          ...this.fixtures.people.find(entry => entry.id === person.id)
+        });
+      }
+
+      const entry = people.get(person.id);
+      entry.credits.push({ ...title, ...role });
+      entry.popularity += title.popularity / 10;
+    };
+
+    this.titles.forEach(title => {
+      title.credits.cast.forEach(person => addCredit(person, title, { character: person.character }));
+      title.credits.crew.forEach(person => addCredit(person, title, { job: person.job }));
+      title.created_by?.forEach(person => addCredit(person, title, { job: 'Creator' }));
+    });
+
+    return people;
+  }
+
+  getPerson(id) {
+    const person = this.people.get(id);
+    if (!person) return null;
+
+    const { credits, ...details } = person;
+    return {
+      ...details,
+      combined_credits: {
+        cast: credits.filter(credit => credit.character !== undefined)
+          .map(credit => ({ ...toListItem(credit), character: credit.character })),
+        crew: credits.filter(credit => credit.job !== undefined)
+          .map(credit => ({ ...toListItem(credit), job: credit.job }))
+      }
+    };
+  }
+
+  // Episodes are generated from the season's episode count, one a week from its air date
+  getSeason(tvId, seasonNumber) {
+    const show = this.findTitle('tv', tvId);
+    const season = show?.seasons.find(entry => entry.season_number === seasonNumber);
+    if (!season) return null;
+
+    return {
+      id: tvId * 100 + seasonNumber,
+      season_number: seasonNumber,
+      name: season.name,
+      overview: '',
+      air_date: season.air_date,
+      poster_path: null,
+      episodes: Array.from({ length: season.episode_count }, (_, index) => ({
+        id: tvId * 10000 + seasonNumber * 100 + index + 1,
+        season_number: seasonNumber,
+        episode_number: index + 1,
+        name: `Episode ${index + 1}`,
+        overview: '',
+        air_date: addDays(season.air_date, index * 7),
+        runtime: show.episode_run_time[0] || 0,
+        vote_average: show.vote_average,
+        still_path: null
+      }))
+    };
+  }
+}
+
+// Answers OMDB's i= (IMDb ID), t= (title) and s= (search) lookups from records keyed by IMDb ID
+export class MockOMDBApi extends OMDBApi {
+  constructor({ fixtures = omdbFixtures, latency = MOCK_LATENCY } = {}) {
+    super();
+    this.records = Object.values(fixtures);
+    this.latency = latency;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async get(params, ttl, { signal } = {}) {
+    await wait(this.latency, signal);
+    return structuredClone(this.lookup(params));
+  }
+
+  lookup(params) {
+    const notFound = (message) => ({ Response: 'False', Error: message });
+
+    if (params.i) {
+      return this.records.find(record => record.imdbID === params.i) || notFound('Incorrect IMDb ID.');
+    }
+
+    const candidates = this.records.filter(record => !params.type || record.Type === params.type);
+
+    if (params.t) {
+      const match = candidates.find(record =>
+        toSearchText(record.Title) === toSearchText(params.t) &&
+        (!params.y || record.Year.startsWith(String(params.y)))
+      );
+      return match || notFound('Movie not found!');
+    }
+
+    if (params.s) {
+      const results = candidates.filter(record => toSearchText(record.Title).includes(toSearchText(params.s)));
+      if (results.length === 0) return notFound('Movie not found!');
+      return {
+        Search: results.map(({ Title, Year, imdbID, Type, Poster }) => ({ Title, Year, imdbID, Type, Poster })),
+        totalResults: String(results.length),
+        Response: 'True'
+      };
+    }
+
+    return notFound('Incorrect IMDb ID.');
+  }
+}
+
+// Mock metadata and ratings providers sharing one latency setting
+export const createMockProviders = ({ latency = MOCK_LATENCY } = {}) => ({
+  metadata: new MockTMDBApi({ latency }),
+  ratings: new MockOMDBApi({ latency })
+});
@@ -1,73 +1,94 @@
-import axios from 'axios';
-import { API_CONFIG, DEFAULT_PARAMS } from '../config/apiConfig.js';
+import { API_CONFIG, DEFAULT_PARAMS, CACHE_CONFIG } from '../config/apiConfig.js';
+import responseCache, { buildCacheKey } from './responseCache.js';
+import { createHttpClient } from './httpClient.js';
+import { isAbortError } from '../utils/apiHelpers.js';
 
-class OMDBApi {
+// OMDB reports missing fields as 'N/A', and leaves some out entirely
+const isMissing = (value) => value === undefined || value === null || value === 'N/A';
+
+export class OMDBApi {
   constructor() {
     this.baseURL = API_CONFIG.OMDB.BASE_URL;
     this.apiKey = API_CONFIG.OMDB.API_KEY;
     
-    // Create axios instance with default config
-    this.api = axios.create({
+    // Create axios instance with default config and automatic retries
+    this.api = createHttpClient({
       baseURL: this.baseURL,
       params: {
-        apikey: this.apiKey,
+        // The proxy adds the key itself
+        ...(API_CONFIG.PROXY.ENABLED ? {} : { apikey: this.apiKey }),
         ...DEFAULT_PARAMS.OMDB
       }
-    });
+    }, { name: 'omdb' });
+  }
+
+  // Behind the proxy the key lives on the server, so there is nothing to check here
+  isConfigured() {
+    return API_CONFIG.PROXY.ENABLED || !!this.apiKey;
+  }
+
+  // Cached GET returning the response body ('Response: False' bodies are cached too)
+  async get(params, ttl = CACHE_CONFIG.TTL.OMDB, { signal } = {}) {
+    const key = buildCacheKey('omdb', API_CONFIG.OMDB.ENDPOINTS.SEARCH, params);
+    return responseCache.getOrFetch(key, ttl, async (sharedSignal) => {
+      const response = await this.api.get(API_CONFIG.OMDB.ENDPOINTS.SEARCH, { params, signal: sharedSignal });
+      return response.data;
+    }, { signal });
   }
 
   // Search by title
-  async searchByTitle(title, year = null, type = null) {
+  async searchByTitle(title, year = null, type = null, options = {}) {
     try {
       const params = { t: title };
       if (year) params.y = year;
       if (type) params.type = type; // movie, series, episode
       
-      const response = await this.api.get('/', { params });
+      const data = await this.get(params, CACHE_CONFIG.TTL.OMDB, options);
       
-      if (response.data.Response === 'False') {
+      if (data.Response === 'False') {
         return null;
       }
       
-      return this.transformOMDBData(response.data);
+      return this.transformOMDBData(data);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error searching OMDB by title:', error);
       return null;
     }
   }
 
   // Search by IMDB ID
-  async searchByIMDBId(imdbId) {
+  async searchByIMDBId(imdbId, options = {}) {
     try {
-      const response = await this.api.get('/', {
-        params: { i: imdbId }
-      });
+      const data = await this.get({ i: imdbId }, CACHE_CONFIG.TTL.OMDB, options);
       
-      if (response.data.Response === 'False') {
+      if (data.Response === 'False') {
         return null;
       }
       
-      return this.transformOMDBData(response.data);
+      return this.transformOMDBData(data);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error searching OMDB by IMDB ID:', error);
       return null;
     }
   }
 
   // Search multiple results
-  async search(query, page = 1, type = null) {
+  async search(query, page = 1, type = null, options = {}) {
     try {
       const params = { s: query, page };
       if (type) params.type = type;
       
-      const response = await this.api.get('/', { params });
+      const data = await this.get(params, CACHE_CONFIG.TTL.OMDB, options);
       
-      if (response.data.Response === 'False') {
+      if (data.Response === 'False') {
         return [];
       }
       
-      return response.data.Search.map(item => this.transformSearchResult(item));
+      return data.Search.map(item => this.transformSearchResult(item));
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error searching OMDB:', error);
       return [];
     }
@@ -90,11 +111,11 @@ class OMDBApi {
       language: data.Language,
       country: data.Country,
       awards: data.Awards,
-      poster: data.Poster !== 'N/A' ? data.Poster : null,
+      poster: isMissing(data.Poster) ? null : data.Poster,
       ratings: this.transformRatings(data.Ratings || []),
-      metascore: data.Metascore !== 'N/A' ? parseFloat(data.Metascore) : null,
-      imdbRating: data.imdbRating !== 'N/A' ? parseFloat(data.imdbRating) : null,
-      imdbVotes: data.imdbVotes !== 'N/A' ? data.imdbVotes.replace(/,/g, '') : null,
+      metascore: isMissing(data.Metascore) ? null : parseFloat(data.Metascore),
+      imdbRating: isMissing(data.imdbRating) ? null : parseFloat(data.imdbRating),
+      imdbVotes: isMissing(data.imdbVotes) ? null : data.imdbVotes.replace(/,/g, ''),
       type: data.Type,
       dvd: data.DVD,
       boxOffice: data.BoxOffice,
@@ -114,7 +135,7 @@ class OMDBApi {
       title: item.Title,
       year: item.Year,
       type: item.Type,
-      poster: item.Poster !== 'N/A' ? item.Poster : null
+      poster: isMissing(item.Poster) ? null : item.Poster
     };
   }
 
@@ -148,6 +169,13 @@ class OMDBApi {
     return isNaN(year) ? null : year;
   }
 
+  // Helper method to convert OMDB runtime ("148 min") to minutes
+  parseRuntime(runtime) {
+    if (!runtime || runtime === 'N/A') return null;
+    const minutes = parseInt(runtime);
+    return isNaN(minutes) ? null : minutes;
+  }
+
   // Helper method to determine content type from TMDB data
   getOMDBType(tmdbType) {
     switch (tmdbType) {
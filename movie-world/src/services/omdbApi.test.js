@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import MockAdapter from 'axios-mock-adapter';
+import { OMDBApi } from './omdbApi.js';
+import responseCache from './responseCache.js';
+import fixtures from './mock/fixtures/omdb.json';
+
+const record = (imdbId) => structuredClone(fixtures[imdbId]);
+
+describe('OMDBApi transforms', () => {
+  const omdb = new OMDBApi();
+
+  describe('transformOMDBData', () => {
+    it('maps a full movie record', () => {
+      expect(omdb.transformOMDBData(record('tt1375666'))).toMatchObject({
+        imdbId: 'tt1375666',
+        title: 'Inception',
+        year: '2010',
+        rated: 'PG-13',
+        runtime: '148 min',
+        genre: ['Action', 'Adventure', 'Sci-Fi'],
+        actors: ['Leonardo DiCaprio', 'Joseph Gordon-Levitt', 'Elliot Page'],
+        ratings: { imdb: 8.8, rottenTomatoes: 87, metacritic: 74 },
+        metascore: 74,
+        imdbRating: 8.8,
+        imdbVotes: '2600000',
+        boxOffice: '$292,587,330',
+        type: 'movie'
+      });
+    });
+
+    it("turns 'N/A' numbers and posters into null", () => {
+      const show = omdb.transformOMDBData(record('tt0903747'));
+
+      expect(show).toMatchObject({ poster: null, metascore: null, totalSeasons: '5' });
+      expect(omdb.transformOMDBData({
+        ...record('tt1375666'),
+        imdbRating: 'N/A',
+        imdbVotes: 'N/A'
+      })).toMatchObject({ imdbRating: null, imdbVotes: null });
+    });
+
+    it('keeps other N/A text fields as OMDB sent them', () => {
+      const show = omdb.transformOMDBData(record('tt0903747'));
+      expect(show.director).toBe('N/A');
+    });
+
+    it('handles records with fields left out entirely', () => {
+      const sparse = omdb.transformOMDBData({ imdbID: 'tt0000001', Title: 'Sparse', Response: 'True' });
+
+      expect(sparse).toMatchObject({
+        imdbId: 'tt0000001',
+        genre: [],
+        actors: [],
+        poster: null,
+        ratings: {},
+        metascore: null,
+        imdbRating: null,
+        imdbVotes: null
+      });
+    });
+  });
+
+  describe('transformRatings', () => {
+    it('parses the known sources', () => {
+      expect(omdb.transformRatings([
+        { Source: 'Internet Movie Database', Value: '7.5/10' },
+        { Source: 'Rotten Tomatoes', Value: '100%' },
+        { Source: 'Metacritic', Value: '66/100' }
+      ])).toEqual({ imdb: 7.5, rottenTomatoes: 100, metacritic: 66 });
+    });
+
+    it('keeps unknown sources under a snake_case key', () => {
+      expect(omdb.transformRatings([{ Source: 'Some Other Site', Value: '4/5' }])).toEqual({ some_other_site: '4/5' });
+    });
+
+    it('returns an empty map for no ratings', () => {
+      expect(omdb.transformRatings([])).toEqual({});
+    });
+  });
+
+  describe('helpers', () => {
+    it('parses runtimes', () => {
+      expect(omdb.parseRuntime('148 min')).toBe(148);
+      expect(omdb.parseRuntime('N/A')).toBeNull();
+      expect(omdb.parseRuntime(undefined)).toBeNull();
+      expect(omdb.parseRuntime('unknown')).toBeNull();
+    });
+
+    it('extracts years', () => {
+      expect(omdb.extractYear('2010-07-15')).toBe(2010);
+      expect(omdb.extractYear('')).toBeNull();
+      expect(omdb.extractYear('not a date')).toBeNull();
+    });
+
+    it('maps TMDB types to OMDB types', () => {
+      expect(omdb.getOMDBType('movie')).toBe('movie');
+      expect(omdb.getOMDBType('tv')).toBe('series');
+      expect(omdb.getOMDBType('person')).toBeNull();
+    });
+  });
+});
+
+describe('OMDBApi requests', () => {
+  let omdb;
+  let http;
+
+  beforeEach(async () => {
+    await responseCache.clear();
+    omdb = new OMDBApi();
+    http = new MockAdapter(omdb.api);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it('looks titles up by IMDb ID', async () => {
+    http.onGet('/').reply(200, record('tt1375666'));
+
+    const movie = await omdb.searchByIMDBId('tt1375666');
+
+    expect(movie.title).toBe('Inception');
+    expect(http.history.get[0].params).toMatchObject({ i: 'tt1375666', apikey: 'test-omdb-key', plot: 'full' });
+  });
+
+  it('sends year and type with title lookups', async () => {
+    http.onGet('/').reply(200, record('tt0903747'));
+
+    await omdb.searchByTitle('Breaking Bad', 2008, 'series');
+
+    expect(http.history.get[0].params).toMatchObject({ t: 'Breaking Bad', y: 2008, type: 'series' });
+  });
+
+  it("returns null when OMDB answers 'Response: False'", async () => {
+    http.onGet('/').reply(200, { Response: 'False', Error: 'Movie not found!' });
+
+    expect(await omdb.searchByTitle('Nothing Like This')).toBeNull();
+  });
+
+  it('returns null instead of throwing on HTTP errors', async () => {
+    http.onGet('/').reply(401, { Response: 'False', Error: 'Invalid API key!' });
+
+    expect(await omdb.searchByIMDBId('tt1375666')).toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('returns an empty list when a search finds nothing', async () => {
+    http.onGet('/').reply(200, { Response: 'False', Error: 'Movie not found!' });
+
+    expect(await omdb.search('zzzz')).toEqual([]);
+  });
+
+  it('maps search results', async () => {
+    http.onGet('/').reply(200, {
+      Response: 'True',
+      Search: [{ imdbID: 'tt0468569', Title: 'The Dark Knight', Year: '2008', Type: 'movie', Poster: 'N/A' }]
+    });
+
+    expect(await omdb.search('dark knight')).toEqual([
+      { imdbId: 'tt0468569', title: 'The Dark Knight', year: '2008', type: 'movie', poster: null }
+    ]);
+  });
+
+  it('rethrows aborts', async () => {
+    http.onGet('/').reply(200, record('tt1375666'));
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(omdb.searchByIMDBId('tt1375666', { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
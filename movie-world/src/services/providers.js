@@ -0,0 +1,55 @@
+import tmdbApi from './tmdbApi.js';
+import omdbApi from './omdbApi.js';
+import { createMockProviders } from './mock/mockProviders.js';
+import { API_CONFIG } from '../config/apiConfig.js';
+
+// apiService talks to two kinds of provider, which can be swapped through its constructor.
+// A metadata provider (tmdbApi) supplies titles, people and genres in the shapes tmdbApi's transforms return.
+export const METADATA_PROVIDER_METHODS = [
+  'isConfigured',
+  'getTrending',
+  'getTrendingMovies',
+  'getTrendingTV',
+  'searchMulti',
+  'searchByType',
+  'findByImdbId',
+  'getMovieDetails',
+  'getTVDetails',
+  'getExternalIds',
+  'getReviews',
+  'getSeasonDetails',
+  'getPersonDetails',
+  'getRecommendations',
+  'getSimilar',
+  'buildDiscoverParams',
+  'discoverMovies',
+  'discoverTV',
+  'getMovieGenres',
+  'getTVGenres'
+];
+
+// A ratings provider (omdbApi) looks titles up by IMDb ID or title and returns omdbApi.transformOMDBData shapes
+export const RATINGS_PROVIDER_METHODS = [
+  'isConfigured',
+  'searchByIMDBId',
+  'searchByTitle',
+  'getOMDBType',
+  'parseRuntime'
+];
+
+// Fail early when an injected provider is missing part of the interface
+export const assertProvider = (provider, methods, role) => {
+  const missing = methods.filter(method => typeof provider?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`${role} provider is missing: ${missing.join(', ')}`);
+  }
+  return provider;
+};
+
+// Providers used when none are injected: live TMDB/OMDB, or fixtures with VITE_DATA_SOURCE=mock
+const defaultProviders = API_CONFIG.DATA_SOURCE === 'mock'
+  ? createMockProviders()
+  : { metadata: tmdbApi, ratings: omdbApi };
+
+export const metadataProvider = defaultProviders.metadata;
+export const ratingsProvider = defaultProviders.ratings;
@@ -0,0 +1,234 @@
+import { LIBRARY_STATUS, getLibraryKey } from './libraryStorage.js';
+import { isAbortError } from '../utils/apiHelpers.js';
+
+// How strongly each library status says "more like this"
+const STATUS_WEIGHTS = {
+  [LIBRARY_STATUS.WATCHED]: 1.5,
+  [LIBRARY_STATUS.WATCHLIST]: 1
+};
+
+// How much each candidate source counts towards a pick's score
+const SOURCE_WEIGHTS = {
+  recommendations: 3,
+  similar: 2,
+  people: 2,
+  genres: 1
+};
+
+const MAX_SEEDS = 4;
+const MAX_RESULTS = 12;
+const MIN_DISCOVER_VOTES = 100;
+
+// A record's influence on the profile; ratings out of 10 can make it negative (disliked)
+export const getRecordWeight = (record) => {
+  const statusWeight = STATUS_WEIGHTS[record.status] || 1;
+  const ratingFactor = record.userRating ? (record.userRating - 5) / 2.5 : 1;
+  return statusWeight * ratingFactor;
+};
+
+// Scale map values to 0..1 shares of the strongest entry
+const toShares = (weights) => {
+  const max = Math.max(0, ...weights.values());
+  const shares = new Map();
+  weights.forEach((weight, key) => shares.set(key, max > 0 ? Math.max(0, weight) / max : 0));
+  return shares;
+};
+
+const addWeight = (weights, key, amount) => {
+  if (key === null || key === undefined || key === '') return;
+  weights.set(key, (weights.get(key) || 0) + amount);
+};
+
+// Decade a title came out in, e.g. 1994 -> 1990
+const getDecade = (year) => {
+  const parsed = parseInt(year);
+  return isNaN(parsed) ? null : Math.floor(parsed / 10) * 10;
+};
+
+// Library records store genre ids (list items) or names (details); map both to ids
+const getGenreIds = (item, genres) => item.genre
+  .map(genre => typeof genre === 'number' ? genre : genres.find(entry => entry.name === genre)?.id)
+  .filter(id => id !== undefined);
+
+// Summarize the library into weighted genres, people, languages and eras
+export const buildTasteProfile = (records, genres = []) => {
+  const genreWeights = new Map();
+  const peopleWeights = new Map();
+  const languageWeights = new Map();
+  const decadeWeights = new Map();
+  const peopleNames = new Map();
+
+  records.forEach(record => {
+    const weight = getRecordWeight(record);
+
+    getGenreIds(record, genres).forEach(id => addWeight(genreWeights, id, weight));
+    addWeight(languageWeights, record.originalLanguage, weight);
+    addWeight(decadeWeights, getDecade(record.year), weight);
+
+    // Only titles added from the detail view carry credits; top billing matters most
+    (record.castMembers || []).slice(0, 5).forEach(member => {
+      addWeight(peopleWeights, member.id, weight);
+      peopleNames.set(member.id, member.name);
+    });
+    if (record.directorId) {
+      addWeight(peopleWeights, record.directorId, weight * 1.5);
+      peopleNames.set(record.directorId, record.director);
+    }
+  });
+
+  // Seeds for TMDB recommendations: the most liked titles, most recent first on ties
+  const seeds = records
+    .filter(record => getRecordWeight(record) > 0)
+    .sort((a, b) =>
+      getRecordWeight(b) - getRecordWeight(a)
+      || (b.watchedAt || b.addedAt || '').localeCompare(a.watchedAt || a.addedAt || '')
+    )
+    .slice(0, MAX_SEEDS);
+
+  const topPerson = [...peopleWeights.entries()].sort(([, a], [, b]) => b - a)[0];
+
+  return {
+    genres: toShares(genreWeights),
+    languages: toShares(languageWeights),
+    decades: toShares(decadeWeights),
+    topGenreIds: [...genreWeights.entries()]
+      .filter(([, weight]) => weight > 0)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 3)
+      .map(([id]) => id),
+    topPerson: topPerson && topPerson[1] > 0 ? { id: topPerson[0], name: peopleNames.get(topPerson[0]) } : null,
+    seeds
+  };
+};
+
+// Score a candidate against the profile; sources are the ways it was found
+export const scoreCandidate = (candidate, profile, sources) => {
+  const sourceScore = Math.min(6, sources.reduce((sum, source) => sum + SOURCE_WEIGHTS[source.type], 0));
+
+  const genreIds = candidate.genre.filter(id => typeof id === 'number');
+  const genreScore = genreIds.length > 0
+    ? genreIds.reduce((sum, id) => sum + (profile.genres.get(id) || 0), 0) / genreIds.length
+    : 0;
+
+  const languageScore = profile.languages.get(candidate.originalLanguage) || 0;
+  const eraScore = profile.decades.get(getDecade(candidate.year)) || 0;
+
+  // Favour well-rated titles, discounting ratings from only a handful of votes
+  const qualityScore = (candidate.rating / 10) * Math.min(1, Math.log10((candidate.voteCount || 0) + 1) / 3);
+
+  return sourceScore + 2 * genreScore + 0.5 * languageScore + 0.5 * eraScore + qualityScore;
+};
+
+// Human-readable explanation for the strongest source
+export const explainSource = (source) => {
+  switch (source.type) {
+    case 'recommendations':
+    case 'similar':
+      return source.seed.status === LIBRARY_STATUS.WATCHED
+        ? `Because you watched ${source.seed.title}`
+        : `Because ${source.seed.title} is on your watchlist`;
+    case 'people':
+      return `Because you like titles with ${source.person.name}`;
+    default:
+      return `Because you like ${source.genreNames.join(' and ')}`;
+  }
+};
+
+// Builds recommendations from the library using TMDB recommendations, similar titles and discover
+export class RecommendationService {
+  // metadata is a provider as described in providers.js
+  constructor({ metadata }) {
+    this.metadata = metadata;
+  }
+
+  // Recommend titles for the library; genres is the list from apiService.getGenres
+  async recommend(records, genres = [], options = {}) {
+    if (records.length === 0) return [];
+
+    const profile = buildTasteProfile(records, genres);
+    const candidateLists = await Promise.all(this.getCandidateRequests(profile, genres, options));
+
+    // De-duplicate across sources and drop anything already in the library
+    const libraryKeys = new Set(records.map(record => record.key || getLibraryKey(record)));
+    const candidates = new Map();
+    candidateLists.forEach(({ items, source }) => {
+      items.forEach(item => {
+        const key = getLibraryKey(item);
+        if (libraryKeys.has(key) || !item.poster) return;
+        if (!candidates.has(key)) candidates.set(key, { item, sources: [] });
+        candidates.get(key).sources.push(source);
+      });
+    });
+
+    return [...candidates.values()]
+      .map(({ item, sources }) => {
+        const strongest = [...sources].sort((a, b) => SOURCE_WEIGHTS[b.type] - SOURCE_WEIGHTS[a.type])[0];
+        return {
+          ...item,
+          recommendationScore: scoreCandidate(item, profile, sources),
+          recommendationReason: explainSource(strongest)
+        };
+      })
+      .sort((a, b) => b.recommendationScore - a.recommendationScore)
+      .slice(0, MAX_RESULTS);
+  }
+
+  // One request per seed, genre discover per media type and the favourite person's films.
+  // Each resolves to { items, source }; failed sources resolve empty so the rest still count.
+  getCandidateRequests(profile, genres, options) {
+    const requests = profile.seeds.map(seed => this.loadSeedCandidates(seed, options));
+
+    if (profile.topGenreIds.length > 0) {
+      ['movie', 'tv'].forEach(type => {
+        const genreIds = profile.topGenreIds.filter(id => genres.find(genre => genre.id === id)?.types?.includes(type) ?? true);
+        if (genreIds.length === 0) return;
+
+        const source = {
+          type: 'genres',
+          genreNames: genreIds.slice(0, 2).map(id => genres.find(genre => genre.id === id)?.name).filter(Boolean)
+        };
+        // Pipe-separated genres match any of them
+        const params = { with_genres: genreIds.join('|'), 'vote_count.gte': MIN_DISCOVER_VOTES };
+        requests.push(this.loadCandidates(
+          () => type === 'movie' ? this.metadata.discoverMovies(params, 1, options) : this.metadata.discoverTV(params, 1, options),
+          source
+        ));
+      });
+    }
+
+    // TMDB only supports people filters when discovering movies
+    if (profile.topPerson) {
+      requests.push(this.loadCandidates(
+        () => this.metadata.discoverMovies({ with_people: profile.topPerson.id }, 1, options),
+        { type: 'people', person: profile.topPerson }
+      ));
+    }
+
+    return requests;
+  }
+
+  // TMDB recommendations for a seed, falling back to similar titles when it has none
+  async loadSeedCandidates(seed, options) {
+    const recommended = await this.loadCandidates(
+      () => this.metadata.getRecommendations(seed.type, seed.id, options),
+      { type: 'recommendations', seed }
+    );
+    if (recommended.items.length > 0) return recommended;
+
+    return this.loadCandidates(
+      () => this.metadata.getSimilar(seed.type, seed.id, options),
+      { type: 'similar', seed }
+    );
+  }
+
+  async loadCandidates(request, source) {
+    try {
+      const response = await request();
+      return { items: Array.isArray(response) ? response : response.results, source };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Could not load ${source.type} candidates:`, error);
+      return { items: [], source };
+    }
+  }
+}
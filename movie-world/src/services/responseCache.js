@@ -0,0 +1,168 @@
+import { CACHE_CONFIG } from '../config/apiConfig.js';
+import { apiCache, RequestDeduplicator } from '../utils/apiHelpers.js';
+import { isIndexedDBAvailable, openDatabase, requestToPromise, runTransaction } from '../utils/indexedDb.js';
+
+const DB_NAME = 'movie-world-cache';
+const DB_VERSION = 1;
+const RESPONSES_STORE = 'responses';
+
+// Build a cache key from a namespace, endpoint and request params
+export const buildCacheKey = (namespace, endpoint, params = {}) => {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  return `${namespace}:${endpoint}${query ? `?${query}` : ''}`;
+};
+
+// IndexedDB tier that survives reloads
+class PersistentCache {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+          db.createObjectStore(RESPONSES_STORE, { keyPath: 'key' });
+        }
+      }).catch(error => {
+        console.warn('Persistent cache unavailable:', error);
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async get(key) {
+    const db = await this.getDatabase();
+    if (!db) return null;
+
+    const entry = await runTransaction(db, RESPONSES_STORE, 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(RESPONSES_STORE).get(key))
+    );
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiry) {
+      await this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, data, expiry) {
+    const db = await this.getDatabase();
+    if (!db) return;
+
+    await runTransaction(db, RESPONSES_STORE, 'readwrite', (transaction) => {
+      transaction.objectStore(RESPONSES_STORE).put({ key, data, expiry });
+    });
+  }
+
+  async delete(key) {
+    const db = await this.getDatabase();
+    if (!db) return;
+
+    await runTransaction(db, RESPONSES_STORE, 'readwrite', (transaction) => {
+      transaction.objectStore(RESPONSES_STORE).delete(key);
+    });
+  }
+
+  async count() {
+    const db = await this.getDatabase();
+    if (!db) return 0;
+
+    return runTransaction(db, RESPONSES_STORE, 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(RESPONSES_STORE).count())
+    );
+  }
+
+  async clear() {
+    const db = await this.getDatabase();
+    if (!db) return;
+
+    await runTransaction(db, RESPONSES_STORE, 'readwrite', (transaction) => {
+      transaction.objectStore(RESPONSES_STORE).clear();
+    });
+  }
+}
+
+class ResponseCache {
+  constructor() {
+    this.memory = apiCache;
+    this.persistent = CACHE_CONFIG.PERSISTENT && isIndexedDBAvailable() ? new PersistentCache() : null;
+    this.persistentHits = 0;
+    this.inFlight = new RequestDeduplicator();
+  }
+
+  // Return a cached response or load, cache and return a fresh one.
+  // Identical concurrent loads share one request; loader receives its abort signal.
+  async getOrFetch(key, ttl, loader, { signal } = {}) {
+    const cached = this.memory.get(key);
+    if (cached !== null) return cached;
+
+    if (this.persistent) {
+      try {
+        const entry = await this.persistent.get(key);
+        if (entry) {
+          this.persistentHits++;
+          this.memory.set(key, entry.data, ttl, entry.expiry);
+          return entry.data;
+        }
+      } catch (error) {
+        console.warn('Error reading persistent cache:', error);
+      }
+    }
+
+    return this.inFlight.run(key, async (sharedSignal) => {
+      const data = await loader(sharedSignal);
+      const expiry = Date.now() + ttl;
+      this.memory.set(key, data, ttl, expiry);
+
+      if (this.persistent) {
+        this.persistent.set(key, data, expiry).catch(error => {
+          console.warn('Error writing persistent cache:', error);
+        });
+      }
+
+      return data;
+    }, signal);
+  }
+
+  // Memory and persistent cache statistics
+  async getStats() {
+    const memoryStats = this.memory.stats();
+    let persistentEntries = 0;
+
+    if (this.persistent) {
+      try {
+        persistentEntries = await this.persistent.count();
+      } catch (error) {
+        console.warn('Error counting persistent cache entries:', error);
+      }
+    }
+
+    const lookups = memoryStats.hits + memoryStats.misses;
+    return {
+      ...memoryStats,
+      persistentHits: this.persistentHits,
+      persistentEntries,
+      inFlight: this.inFlight.size(),
+      hitRate: lookups > 0 ? (memoryStats.hits + this.persistentHits) / lookups : 0
+    };
+  }
+
+  // Drop every cached response
+  async clear() {
+    this.memory.clear();
+    this.persistentHits = 0;
+    if (this.persistent) {
+      await this.persistent.clear();
+    }
+  }
+}
+
+// Export singleton instance
+export default new ResponseCache();
@@ -1,20 +1,38 @@
-import axios from 'axios';
-import { API_CONFIG, DEFAULT_PARAMS } from '../config/apiConfig.js';
+import { API_CONFIG, DEFAULT_PARAMS, CACHE_CONFIG } from '../config/apiConfig.js';
+import responseCache, { buildCacheKey } from './responseCache.js';
+import { createHttpClient } from './httpClient.js';
+import { isAbortError } from '../utils/apiHelpers.js';
+import { getUserLanguage, normalizeVideoType, isEmbeddableVideo } from '../utils/videos.js';
 
-class TMDBApi {
+export class TMDBApi {
   constructor() {
     this.baseURL = API_CONFIG.TMDB.BASE_URL;
     this.apiKey = API_CONFIG.TMDB.API_KEY;
     this.imageBaseURL = API_CONFIG.TMDB.IMAGE_BASE_URL;
 
-    // Create axios instance with default config
-    this.api = axios.create({
+    // Create axios instance with default config and automatic retries
+    this.api = createHttpClient({
       baseURL: this.baseURL,
       params: {
-        api_key: this.apiKey,
+        // The proxy adds the key itself
+        ...(API_CONFIG.PROXY.ENABLED ? {} : { api_key: this.apiKey }),
         ...DEFAULT_PARAMS.TMDB
       }
-    });
+    }, { name: 'tmdb' });
+  }
+
+  // Behind the proxy the key lives on the server, so there is nothing to check here
+  isConfigured() {
+    return API_CONFIG.PROXY.ENABLED || !!this.apiKey;
+  }
+
+  // Cached, deduplicated GET returning the response body; pass { signal } to cancel
+  async get(endpoint, params = {}, ttl = CACHE_CONFIG.TTL.DETAILS, { signal } = {}) {
+    const key = buildCacheKey('tmdb', endpoint, params);
+    return responseCache.getOrFetch(key, ttl, async (sharedSignal) => {
+      const response = await this.api.get(endpoint, { params, signal: sharedSignal });
+      return response.data;
+    }, { signal });
   }
 
   // Helper method to build image URLs
@@ -23,60 +41,77 @@ class TMDBApi {
     return `${this.imageBaseURL}/${size}${path}`;
   }
 
+  // Base endpoint for a movie or TV show
+  getTitleEndpoint(type) {
+    return type === 'movie' ? API_CONFIG.TMDB.ENDPOINTS.MOVIE_DETAILS : API_CONFIG.TMDB.ENDPOINTS.TV_DETAILS;
+  }
+
+  // Videos in the user's language, English and language-neutral ones (TMDB otherwise only returns en-US)
+  getVideoLanguages() {
+    return [...new Set([getUserLanguage(), 'en', 'null'])].join(',');
+  }
+
+  // Build a trending endpoint for a media type and time window
+  getTrendingEndpoint(mediaType, timeWindow) {
+    if (!API_CONFIG.TMDB.TRENDING_TIME_WINDOWS.includes(timeWindow)) {
+      throw new Error(`Invalid trending time window: ${timeWindow}`);
+    }
+    return `${API_CONFIG.TMDB.ENDPOINTS.TRENDING}/${mediaType}/${timeWindow}`;
+  }
+
   // Get trending content (movies and TV shows)
-  async getTrending(timeWindow = 'day', page = 1) {
+  async getTrending(timeWindow = 'day', page = 1, options = {}) {
     try {
-      const response = await this.api.get(API_CONFIG.TMDB.ENDPOINTS.TRENDING_ALL, {
-        params: { page }
-      });
-      console.log(timeWindow)
+      const data = await this.get(this.getTrendingEndpoint('all', timeWindow), { page }, CACHE_CONFIG.TTL.TRENDING, options);
       return {
-        results: this.transformTrendingData(response.data.results),
-        page: response.data.page,
-        totalPages: response.data.total_pages,
-        totalResults: response.data.total_results
+        results: this.transformTrendingData(data.results),
+        page: data.page,
+        totalPages: Math.min(data.total_pages, API_CONFIG.TMDB.MAX_PAGES),
+        totalResults: data.total_results
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching trending content:', error);
       throw new Error('Failed to fetch trending content');
     }
   }
 
   // Get trending movies
-  async getTrendingMovies(timeWindow = 'day', page = 1) {
+  async getTrendingMovies(timeWindow = 'day', page = 1, options = {}) {
     try {
-      const response = await this.api.get(API_CONFIG.TMDB.ENDPOINTS.TRENDING_MOVIES, {
-        params: { page }
-      });
-      console.log(timeWindow)
+      const data = await this.get(this.getTrendingEndpoint('movie', timeWindow), { page }, CACHE_CONFIG.TTL.TRENDING, options);
       return {
-        results: this.transformMovieData(response.data.results),
-        page: response.data.page,
-        totalPages: response.data.total_pages,
-        totalResults: response.data.total_results
+        results: this.transformMovieData(data.results),
+        page: data.page,
+        totalPages: Math.min(data.total_pages, API_CONFIG.TMDB.MAX_PAGES),
+        totalResults: data.total_results
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching trending movies:', error);
       throw new Error('Failed to fetch trending movies');
     }
   }
 
   // Get trending TV shows
-  async getTrendingTV(timeWindow = 'day', page = 1) {
+  async getTrendingTV(timeWindow = 'day', page = 1, options = {}) {
     try {
-      const response = await this.api.get(API_CONFIG.TMDB.ENDPOINTS.TRENDING_TV, {
-        params: { page }
-      });
-      console.log(timeWindow)
-      return this.transformTVData(response.data.results);
+      const data = await this.get(this.getTrendingEndpoint('tv', timeWindow), { page }, CACHE_CONFIG.TTL.TRENDING, options);
+      return {
+        results: this.transformTVData(data.results),
+        page: data.page,
+        totalPages: Math.min(data.total_pages, API_CONFIG.TMDB.MAX_PAGES),
+        totalResults: data.total_results
+      };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching trending TV shows:', error);
       throw new Error('Failed to fetch trending TV shows');
     }
   }
 
   // Search for movies, TV shows, and people
-  async searchMulti(query, page = 1) {
+  async searchMulti(query, page = 1, options = {}) {
     try {
       if (!query.trim()) return {
         results: [],
@@ -85,100 +120,250 @@ class TMDBApi {
         totalResults: 0
       };
 
-      const response = await this.api.get(API_CONFIG.TMDB.ENDPOINTS.SEARCH_MULTI, {
-        params: { query, page }
-      });
+      const data = await this.get(API_CONFIG.TMDB.ENDPOINTS.SEARCH_MULTI, { query, page }, CACHE_CONFIG.TTL.SEARCH, options);
       return {
-        results: this.transformSearchData(response.data.results),
-        page: response.data.page,
-        totalPages: response.data.total_pages,
-        totalResults: response.data.total_results
+        results: this.transformSearchData(data.results),
+        page: data.page,
+        totalPages: Math.min(data.total_pages, API_CONFIG.TMDB.MAX_PAGES),
+        totalResults: data.total_results
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error searching content:', error);
       throw new Error('Failed to search content');
     }
   }
 
+  // Search only movies or only TV shows, optionally narrowed to a release year
+  async searchByType(type, query, year = null, options = {}) {
+    try {
+      if (!query.trim()) return [];
+
+      const isMovie = type === 'movie';
+      const params = { query };
+      if (year) params[isMovie ? 'year' : 'first_air_date_year'] = year;
+
+      const endpoint = isMovie ? API_CONFIG.TMDB.ENDPOINTS.SEARCH_MOVIE : API_CONFIG.TMDB.ENDPOINTS.SEARCH_TV;
+      const data = await this.get(endpoint, params, CACHE_CONFIG.TTL.SEARCH, options);
+      return isMovie ? this.transformMovieData(data.results) : this.transformTVData(data.results);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error searching by type:', error);
+      throw new Error('Failed to search content');
+    }
+  }
+
+  // Find the movies and TV shows TMDB links to an IMDb ID ("tt0111161")
+  async findByImdbId(imdbId, options = {}) {
+    try {
+      const data = await this.get(`${API_CONFIG.TMDB.ENDPOINTS.FIND}/${imdbId}`, {
+        external_source: 'imdb_id'
+      }, CACHE_CONFIG.TTL.EXTERNAL_IDS, options);
+      return [
+        ...this.transformMovieData(data.movie_results || []),
+        ...this.transformTVData(data.tv_results || [])
+      ];
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error finding by IMDb ID:', error);
+      throw new Error('Failed to find content by IMDb ID');
+    }
+  }
+
   // Get movie details
-  async getMovieDetails(movieId) {
+  async getMovieDetails(movieId, options = {}) {
     try {
-      const response = await this.api.get(`${API_CONFIG.TMDB.ENDPOINTS.MOVIE_DETAILS}/${movieId}`, {
-        params: {
-          append_to_response: 'credits,videos,similar,reviews'
-        }
-      });
-      return this.transformMovieDetails(response.data);
+      const data = await this.get(`${API_CONFIG.TMDB.ENDPOINTS.MOVIE_DETAILS}/${movieId}`, {
+        append_to_response: 'credits,videos,similar,reviews',
+        include_video_language: this.getVideoLanguages()
+      }, CACHE_CONFIG.TTL.DETAILS, options);
+      return this.transformMovieDetails(data);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching movie details:', error);
       throw new Error('Failed to fetch movie details');
     }
   }
 
   // Get TV show details
-  async getTVDetails(tvId) {
+  async getTVDetails(tvId, options = {}) {
     try {
-      const response = await this.api.get(`${API_CONFIG.TMDB.ENDPOINTS.TV_DETAILS}/${tvId}`, {
-        params: {
-          append_to_response: 'credits,videos,similar,reviews'
-        }
-      });
-      return this.transformTVDetails(response.data);
+      const data = await this.get(`${API_CONFIG.TMDB.ENDPOINTS.TV_DETAILS}/${tvId}`, {
+        append_to_response: 'credits,videos,similar,reviews,external_ids',
+        include_video_language: this.getVideoLanguages()
+      }, CACHE_CONFIG.TTL.DETAILS, options);
+      return this.transformTVDetails(data);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching TV details:', error);
       throw new Error('Failed to fetch TV details');
     }
   }
 
+  // Get TMDB's recommendations for a movie or TV show
+  async getRecommendations(type, id, options = {}) {
+    try {
+      const data = await this.get(`${this.getTitleEndpoint(type)}/${id}/recommendations`, {}, CACHE_CONFIG.TTL.DETAILS, options);
+      return type === 'movie' ? this.transformMovieData(data.results) : this.transformTVData(data.results);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching recommendations:', error);
+      throw new Error('Failed to fetch recommendations');
+    }
+  }
+
+  // Get titles similar to a movie or TV show
+  async getSimilar(type, id, options = {}) {
+    try {
+      const data = await this.get(`${this.getTitleEndpoint(type)}/${id}/similar`, {}, CACHE_CONFIG.TTL.DETAILS, options);
+      return type === 'movie' ? this.transformMovieData(data.results) : this.transformTVData(data.results);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching similar titles:', error);
+      throw new Error('Failed to fetch similar titles');
+    }
+  }
+
+  // Get a page of user reviews for a movie or TV show
+  async getReviews(type, id, page = 1, options = {}) {
+    try {
+      const endpoint = this.getTitleEndpoint(type);
+      const data = await this.get(`${endpoint}/${id}/reviews`, { page }, CACHE_CONFIG.TTL.DETAILS, options);
+      return this.transformReviews(data);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching reviews:', error);
+      throw new Error('Failed to fetch reviews');
+    }
+  }
+
+  // Get a TV season with its episodes
+  async getSeasonDetails(tvId, seasonNumber, options = {}) {
+    try {
+      const data = await this.get(
+        `${API_CONFIG.TMDB.ENDPOINTS.TV_DETAILS}/${tvId}/season/${seasonNumber}`,
+        {},
+        CACHE_CONFIG.TTL.DETAILS,
+        options
+      );
+      return this.transformSeasonDetails(data);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching season details:', error);
+      throw new Error('Failed to fetch season details');
+    }
+  }
+
+  // Get person details with their movie and TV credits
+  async getPersonDetails(personId, options = {}) {
+    try {
+      const data = await this.get(`${API_CONFIG.TMDB.ENDPOINTS.PERSON_DETAILS}/${personId}`, {
+        append_to_response: 'combined_credits'
+      }, CACHE_CONFIG.TTL.DETAILS, options);
+      return this.transformPersonDetails(data);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching person details:', error);
+      throw new Error('Failed to fetch person details');
+    }
+  }
+
+  // Get external ids (IMDb, TVDB, ...) for a movie or TV show
+  async getExternalIds(type, id, options = {}) {
+    try {
+      const endpoint = this.getTitleEndpoint(type);
+      const data = await this.get(`${endpoint}/${id}/external_ids`, {}, CACHE_CONFIG.TTL.EXTERNAL_IDS, options);
+      return {
+        imdbId: data.imdb_id || null,
+        tvdbId: data.tvdb_id || null,
+        wikidataId: data.wikidata_id || null
+      };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Error fetching external ids:', error);
+      throw new Error('Failed to fetch external ids');
+    }
+  }
+
   // Discover movies with filters
-  async discoverMovies(filters = {}) {
+  async discoverMovies(filters = {}, page = 1, options = {}) {
     try {
-      const response = await this.api.get(API_CONFIG.TMDB.ENDPOINTS.DISCOVER_MOVIE, {
-        params: {
-          ...filters,
-          sort_by: filters.sort_by || 'popularity.desc'
-        }
-      });
-      return this.transformMovieData(response.data.results);
+      const data = await this.get(API_CONFIG.TMDB.ENDPOINTS.DISCOVER_MOVIE, {
+        ...filters,
+        sort_by: filters.sort_by || 'popularity.desc',
+        page
+      }, CACHE_CONFIG.TTL.DISCOVER, options);
+      return {
+        results: this.transformMovieData(data.results),
+        page: data.page,
+        totalPages: Math.min(data.total_pages, API_CONFIG.TMDB.MAX_PAGES),
+        totalResults: data.total_results
+      };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error discovering movies:', error);
       throw new Error('Failed to discover movies');
     }
   }
 
   // Discover TV shows with filters
-  async discoverTV(filters = {}) {
+  async discoverTV(filters = {}, page = 1, options = {}) {
     try {
-      const response = await this.api.get(API_CONFIG.TMDB.ENDPOINTS.DISCOVER_TV, {
-        params: {
-          ...filters,
-          sort_by: filters.sort_by || 'popularity.desc'
-        }
-      });
-      return this.transformTVData(response.data.results);
+      const data = await this.get(API_CONFIG.TMDB.ENDPOINTS.DISCOVER_TV, {
+        ...filters,
+        sort_by: filters.sort_by || 'popularity.desc',
+        page
+      }, CACHE_CONFIG.TTL.DISCOVER, options);
+      return {
+        results: this.transformTVData(data.results),
+        page: data.page,
+        totalPages: Math.min(data.total_pages, API_CONFIG.TMDB.MAX_PAGES),
+        totalResults: data.total_results
+      };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error discovering TV shows:', error);
       throw new Error('Failed to discover TV shows');
     }
   }
 
+  // Map generic discover filters to the movie or TV parameter names
+  buildDiscoverParams(type, filters = {}) {
+    const dateField = type === 'movie' ? 'primary_release_date' : 'first_air_date';
+    const params = {};
+
+    if (filters.genre) params.with_genres = filters.genre;
+    if (filters.yearFrom) params[`${dateField}.gte`] = `${filters.yearFrom}-01-01`;
+    if (filters.yearTo) params[`${dateField}.lte`] = `${filters.yearTo}-12-31`;
+    if (filters.minRating) params['vote_average.gte'] = filters.minRating;
+    if (filters.minVotes) params['vote_count.gte'] = filters.minVotes;
+    if (filters.runtimeMin) params['with_runtime.gte'] = filters.runtimeMin;
+    if (filters.runtimeMax) params['with_runtime.lte'] = filters.runtimeMax;
+    if (filters.language) params.with_original_language = filters.language;
+    if (filters.sortBy) params.sort_by = filters.sortBy.replace('release_date', dateField);
+
+    return params;
+  }
+
   // Get movie genres
-  async getMovieGenres() {
+  async getMovieGenres(options = {}) {
     try {
-      const response = await this.api.get(API_CONFIG.TMDB.ENDPOINTS.GENRES_MOVIE);
-      return response.data.genres;
+      const data = await this.get(API_CONFIG.TMDB.ENDPOINTS.GENRES_MOVIE, {}, CACHE_CONFIG.TTL.GENRES, options);
+      return data.genres;
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching movie genres:', error);
       throw new Error('Failed to fetch movie genres');
     }
   }
 
   // Get TV genres
-  async getTVGenres() {
+  async getTVGenres(options = {}) {
     try {
-      const response = await this.api.get(API_CONFIG.TMDB.ENDPOINTS.GENRES_TV);
-      return response.data.genres;
+      const data = await this.get(API_CONFIG.TMDB.ENDPOINTS.GENRES_TV, {}, CACHE_CONFIG.TTL.GENRES, options);
+      return data.genres;
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Error fetching TV genres:', error);
       throw new Error('Failed to fetch TV genres');
     }
@@ -247,11 +432,11 @@ class TMDBApi {
     }));
   }
 
-  // Transform search data
+  // Transform search data (movies, TV shows and people)
   transformSearchData(results) {
     return results
-      .filter(item => item.media_type === 'movie' || item.media_type === 'tv')
-      .map(item => ({
+      .filter(item => ['movie', 'tv', 'person'].includes(item.media_type))
+      .map(item => item.media_type === 'person' ? this.transformPersonData(item) : {
         id: item.id,
         tmdbId: item.id,
         title: item.title || item.name,
@@ -267,7 +452,125 @@ class TMDBApi {
         popularity: item.popularity || 0,
         voteCount: item.vote_count || 0,
         originalLanguage: item.original_language || 'en'
-      }));
+      });
+  }
+
+  // Transform videos into a typed list, dropping sites we cannot embed
+  transformVideos(results) {
+    return results
+      .map(video => ({
+        id: video.id,
+        key: video.key,
+        name: video.name,
+        site: video.site,
+        type: normalizeVideoType(video.type),
+        official: !!video.official,
+        language: video.iso_639_1 || null,
+        region: video.iso_3166_1 || null,
+        publishedAt: video.published_at || ''
+      }))
+      .filter(isEmbeddableVideo);
+  }
+
+  // Transform a paginated reviews response
+  transformReviews(reviews = {}) {
+    return {
+      results: (reviews.results || []).map(review => ({
+        id: review.id,
+        author: review.author_details?.name || review.author || 'Anonymous',
+        username: review.author_details?.username || '',
+        // TMDB avatar paths are either image paths or full gravatar URLs with a leading slash
+        avatar: review.author_details?.avatar_path?.startsWith('/http')
+          ? review.author_details.avatar_path.slice(1)
+          : this.getImageURL(review.author_details?.avatar_path, API_CONFIG.TMDB.IMAGE_SIZES.PROFILE),
+        rating: review.author_details?.rating ?? null,
+        content: review.content || '',
+        createdAt: review.created_at || '',
+        url: review.url || ''
+      })),
+      page: reviews.page || 1,
+      totalPages: reviews.total_pages || 0,
+      totalResults: reviews.total_results || 0
+    };
+  }
+
+  // Transform season data with its episodes
+  transformSeasonDetails(season) {
+    return {
+      id: season.id,
+      seasonNumber: season.season_number,
+      name: season.name,
+      overview: season.overview || '',
+      airDate: season.air_date || '',
+      poster: this.getImageURL(season.poster_path, API_CONFIG.TMDB.IMAGE_SIZES.POSTER),
+      episodes: (season.episodes || []).map(episode => ({
+        id: episode.id,
+        seasonNumber: episode.season_number,
+        episodeNumber: episode.episode_number,
+        name: episode.name,
+        overview: episode.overview || '',
+        airDate: episode.air_date || '',
+        runtime: episode.runtime || 0,
+        rating: episode.vote_average || 0,
+        still: this.getImageURL(episode.still_path, API_CONFIG.TMDB.IMAGE_SIZES.STILL)
+      }))
+    };
+  }
+
+  // Transform a person search result
+  transformPersonData(person) {
+    return {
+      id: person.id,
+      tmdbId: person.id,
+      name: person.name,
+      title: person.name,
+      type: 'person',
+      profile: this.getImageURL(person.profile_path, API_CONFIG.TMDB.IMAGE_SIZES.PROFILE),
+      knownForDepartment: person.known_for_department || '',
+      knownFor: this.transformTrendingData(
+        (person.known_for || []).filter(item => item.media_type === 'movie' || item.media_type === 'tv')
+      ),
+      popularity: person.popularity || 0
+    };
+  }
+
+  // Transform detailed person data; a title credited several times becomes one entry with all roles
+  transformPersonDetails(person) {
+    const credits = [
+      ...(person.combined_credits?.cast || []).map(credit => ({ ...credit, role: credit.character })),
+      ...(person.combined_credits?.crew || []).map(credit => ({ ...credit, role: credit.job }))
+    ].filter(credit => credit.media_type === 'movie' || credit.media_type === 'tv');
+
+    const filmography = credits.reduce((acc, credit) => {
+      const key = `${credit.media_type}:${credit.id}`;
+      if (!acc.has(key)) {
+        acc.set(key, { ...this.transformTrendingData([credit])[0], roles: [] });
+      }
+      if (credit.role && !acc.get(key).roles.includes(credit.role)) {
+        acc.get(key).roles.push(credit.role);
+      }
+      return acc;
+    }, new Map());
+    const titles = [...filmography.values()];
+
+    return {
+      id: person.id,
+      tmdbId: person.id,
+      imdbId: person.imdb_id || null,
+      name: person.name,
+      title: person.name,
+      type: 'person',
+      profile: this.getImageURL(person.profile_path, API_CONFIG.TMDB.IMAGE_SIZES.PROFILE),
+      biography: person.biography || '',
+      birthday: person.birthday || null,
+      deathday: person.deathday || null,
+      placeOfBirth: person.place_of_birth || null,
+      knownForDepartment: person.known_for_department || '',
+      popularity: person.popularity || 0,
+      // Best-known titles are the most voted on, not the most recent
+      knownFor: [...titles].sort((a, b) => b.voteCount - a.voteCount).slice(0, 8),
+      filmography: titles
+    };
   }
 
   // Transform detailed movie data
@@ -290,11 +593,19 @@ class TMDBApi {
       budget: movie.budget || 0,
       revenue: movie.revenue || 0,
       cast: movie.credits?.cast?.slice(0, 10).map(actor => actor.name) || [],
+      castMembers: movie.credits?.cast?.slice(0, 10).map(actor => ({
+        id: actor.id,
+        name: actor.name,
+        character: actor.character || ''
+      })) || [],
       director: movie.credits?.crew?.find(person => person.job === 'Director')?.name || 'Unknown',
+      directorId: movie.credits?.crew?.find(person => person.job === 'Director')?.id || null,
       popularity: movie.popularity || 0,
       voteCount: movie.vote_count || 0,
       originalLanguage: movie.original_language || 'en',
       productionCompanies: movie.production_companies?.map(company => company.name) || [],
+      videos: this.transformVideos(movie.videos?.results || []),
+      reviews: this.transformReviews(movie.reviews),
       similar: this.transformMovieData(movie.similar?.results || [])
     };
   }
@@ -319,11 +630,28 @@ class TMDBApi {
       numberOfEpisodes: tv.number_of_episodes || 0,
       episodeRunTime: tv.episode_run_time?.[0] || 0,
       cast: tv.credits?.cast?.slice(0, 10).map(actor => actor.name) || [],
+      castMembers: tv.credits?.cast?.slice(0, 10).map(actor => ({
+        id: actor.id,
+        name: actor.name,
+        character: actor.character || ''
+      })) || [],
       creator: tv.created_by?.[0]?.name || 'Unknown',
       popularity: tv.popularity || 0,
       voteCount: tv.vote_count || 0,
       originalLanguage: tv.original_language || 'en',
       networks: tv.networks?.map(network => network.name) || [],
+      // Season 0 holds specials, which are left out of progress tracking
+      seasons: tv.seasons
+        ?.filter(season => season.season_number > 0)
+        .map(season => ({
+          seasonNumber: season.season_number,
+          name: season.name,
+          episodeCount: season.episode_count || 0,
+          airDate: season.air_date || ''
+        })) || [],
+      productionCompanies: tv.production_companies?.map(company => company.name) || [],
+      videos: this.transformVideos(tv.videos?.results || []),
+      reviews: this.transformReviews(tv.reviews),
       similar: this.transformTVData(tv.similar?.results || [])
     };
   }
@@ -0,0 +1,325 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import MockAdapter from 'axios-mock-adapter';
+import { TMDBApi } from './tmdbApi.js';
+import responseCache from './responseCache.js';
+import fixtures from './mock/fixtures/tmdb.json';
+
+const IMAGE_URL = 'https://image.tmdb.org/t/p';
+const findFixture = (list, id) => structuredClone(fixtures[list].find(item => item.id === id));
+
+describe('TMDBApi transforms', () => {
+  const tmdb = new TMDBApi();
+
+  describe('list transforms', () => {
+    const movie = {
+      id: 27205,
+      title: 'Inception',
+      release_date: '2010-07-15',
+      genre_ids: [28, 878],
+      overview: 'A thief who steals corporate secrets...',
+      vote_average: 8.4,
+      vote_count: 35000,
+      popularity: 90.5,
+      poster_path: '/poster.jpg',
+      backdrop_path: '/backdrop.jpg',
+      original_language: 'en'
+    };
+
+    it('maps a movie result', () => {
+      expect(tmdb.transformMovieData([movie])[0]).toEqual({
+        id: 27205,
+        tmdbId: 27205,
+        title: 'Inception',
+        type: 'movie',
+        year: 2010,
+        genre: [28, 878],
+        plot: 'A thief who steals corporate secrets...',
+        rating: 8.4,
+        tmdb: 8.4,
+        poster: `${IMAGE_URL}/w500/poster.jpg`,
+        backdrop: `${IMAGE_URL}/w1280/backdrop.jpg`,
+        releaseDate: '2010-07-15',
+        popularity: 90.5,
+        voteCount: 35000,
+        originalLanguage: 'en'
+      });
+    });
+
+    it("uses 'N/A' instead of NaN when the release date is missing or invalid", () => {
+      const [noDate, emptyDate, badDate] = tmdb.transformMovieData([
+        { id: 1, title: 'Untitled' },
+        { id: 2, title: 'Untitled', release_date: '' },
+        { id: 3, title: 'Untitled', release_date: 'not a date' }
+      ]);
+      expect(noDate.year).toBe('N/A');
+      expect(emptyDate.year).toBe('N/A');
+      expect(badDate.year).toBe('N/A');
+      expect(noDate.releaseDate).toBe('');
+    });
+
+    it('fills defaults for sparse results', () => {
+      const [item] = tmdb.transformTVData([{ id: 70523, name: 'Dark' }]);
+      expect(item).toMatchObject({
+        title: 'Dark',
+        type: 'tv',
+        year: 'N/A',
+        genre: [],
+        plot: 'No plot available',
+        rating: 0,
+        poster: null,
+        backdrop: null,
+        voteCount: 0,
+        originalLanguage: 'en'
+      });
+    });
+
+    it('uses first_air_date and name for TV shows in trending results', () => {
+      const [show] = tmdb.transformTrendingData([
+        { id: 1396, media_type: 'tv', name: 'Breaking Bad', first_air_date: '2008-01-20' }
+      ]);
+      expect(show).toMatchObject({ title: 'Breaking Bad', type: 'tv', year: 2008, releaseDate: '2008-01-20' });
+    });
+
+    it('keeps movies, TV shows and people from a multi search', () => {
+      const results = tmdb.transformSearchData([
+        { id: 27205, media_type: 'movie', title: 'Inception', release_date: '2010-07-15' },
+        { id: 1396, media_type: 'tv', name: 'Breaking Bad' },
+        {
+          id: 525,
+          media_type: 'person',
+          name: 'Christopher Nolan',
+          known_for_department: 'Directing',
+          known_for: [
+            { id: 155, media_type: 'movie', title: 'The Dark Knight', release_date: '2008-07-16' },
+            { id: 1, media_type: 'collection', name: 'Ignored' }
+          ]
+        },
+        { id: 9, media_type: 'collection', name: 'The Dark Knight Collection' }
+      ]);
+
+      expect(results.map(item => `${item.type}:${item.title}`)).toEqual([
+        'movie:Inception',
+        'tv:Breaking Bad',
+        'person:Christopher Nolan'
+      ]);
+      expect(results[2].knownFor.map(item => item.title)).toEqual(['The Dark Knight']);
+      expect(results[2].profile).toBeNull();
+    });
+  });
+
+  describe('transformMovieDetails', () => {
+    it('maps a full movie', () => {
+      const details = tmdb.transformMovieDetails(findFixture('movies', 27205));
+
+      expect(details).toMatchObject({
+        id: 27205,
+        imdbId: 'tt1375666',
+        title: 'Inception',
+        type: 'movie',
+        year: 2010,
+        genre: ['Action', 'Science Fiction', 'Adventure'],
+        runtime: 148,
+        director: 'Christopher Nolan',
+        directorId: 525,
+        videos: [],
+        similar: []
+      });
+      expect(details.cast[0]).toBe('Leonardo DiCaprio');
+      expect(details.castMembers[0]).toEqual({ id: 6193, name: 'Leonardo DiCaprio', character: 'Dom Cobb' });
+      expect(details.reviews).toEqual({ results: [], page: 1, totalPages: 0, totalResults: 0 });
+    });
+
+    it('fills defaults when credits and optional fields are missing', () => {
+      const details = tmdb.transformMovieDetails({ id: 1, title: 'Untitled' });
+
+      expect(details).toMatchObject({
+        imdbId: undefined,
+        year: 'N/A',
+        genre: [],
+        runtime: 0,
+        budget: 0,
+        cast: [],
+        castMembers: [],
+        director: 'Unknown',
+        directorId: null,
+        productionCompanies: []
+      });
+    });
+
+    it('keeps at most ten cast members', () => {
+      const cast = Array.from({ length: 15 }, (_, i) => ({ id: i, name: `Actor ${i}` }));
+      const details = tmdb.transformMovieDetails({ id: 1, title: 'Ensemble', credits: { cast } });
+      expect(details.cast).toHaveLength(10);
+      expect(details.castMembers[9]).toEqual({ id: 9, name: 'Actor 9', character: '' });
+    });
+  });
+
+  describe('transformTVDetails', () => {
+    it('maps a full show and leaves out specials', () => {
+      const details = tmdb.transformTVDetails(findFixture('tv', 1396));
+
+      expect(details).toMatchObject({
+        id: 1396,
+        imdbId: 'tt0903747',
+        title: 'Breaking Bad',
+        type: 'tv',
+        year: 2008,
+        creator: 'Vince Gilligan',
+        numberOfSeasons: 5
+      });
+      expect(details.seasons.map(season => season.seasonNumber)).toEqual([1, 2, 3, 4, 5]);
+      expect(details.seasons[0]).toEqual({ seasonNumber: 1, name: 'Season 1', episodeCount: 7, airDate: '2008-01-20' });
+    });
+
+    it('handles shows without an IMDb ID, poster or seasons', () => {
+      const details = tmdb.transformTVDetails({ id: 2, name: 'New Show' });
+      expect(details).toMatchObject({
+        imdbId: undefined,
+        poster: null,
+        year: 'N/A',
+        episodeRunTime: 0,
+        creator: 'Unknown',
+        seasons: [],
+        networks: []
+      });
+    });
+  });
+
+  describe('transformPersonDetails', () => {
+    it('merges credits for the same title and ranks known-for titles by votes', () => {
+      const person = tmdb.transformPersonDetails({
+        id: 525,
+        name: 'Christopher Nolan',
+        combined_credits: {
+          cast: [],
+          crew: [
+            { id: 27205, media_type: 'movie', title: 'Inception', job: 'Director', vote_count: 100 },
+            { id: 27205, media_type: 'movie', title: 'Inception', job: 'Writer', vote_count: 100 },
+            { id: 155, media_type: 'movie', title: 'The Dark Knight', job: 'Director', vote_count: 200 }
+          ]
+        }
+      });
+
+      expect(person.filmography.map(title => [title.title, title.roles])).toEqual([
+        ['Inception', ['Director', 'Writer']],
+        ['The Dark Knight', ['Director']]
+      ]);
+      expect(person.knownFor.map(title => title.title)).toEqual(['The Dark Knight', 'Inception']);
+      expect(person).toMatchObject({ imdbId: null, biography: '', birthday: null });
+    });
+  });
+
+  describe('transformReviews', () => {
+    it('normalizes authors and avatar URLs', () => {
+      const reviews = tmdb.transformReviews({
+        page: 1,
+        total_pages: 1,
+        total_results: 3,
+        results: [
+          { id: 'a', author: 'jane', author_details: { name: 'Jane', avatar_path: '/avatar.jpg', rating: 8 }, content: 'Great' },
+          { id: 'b', author: 'gravatar', author_details: { avatar_path: '/https://www.gravatar.com/avatar/abc.jpg' } },
+          { id: 'c' }
+        ]
+      });
+
+      expect(reviews.results.map(review => [review.author, review.avatar, review.rating])).toEqual([
+        ['Jane', `${IMAGE_URL}/w185/avatar.jpg`, 8],
+        ['gravatar', 'https://www.gravatar.com/avatar/abc.jpg', null],
+        ['Anonymous', null, null]
+      ]);
+      expect(reviews.totalResults).toBe(3);
+    });
+  });
+});
+
+describe('TMDBApi requests', () => {
+  let tmdb;
+  let http;
+
+  beforeEach(async () => {
+    await responseCache.clear();
+    tmdb = new TMDBApi();
+    http = new MockAdapter(tmdb.api);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it('sends the API key and default params', async () => {
+    http.onGet('/trending/all/day').reply(200, { page: 1, results: [], total_pages: 1, total_results: 0 });
+
+    await tmdb.getTrending('day', 1);
+
+    expect(http.history.get[0].params).toMatchObject({ page: 1, api_key: 'test-tmdb-key', language: 'en-US' });
+  });
+
+  it('transforms a paginated response', async () => {
+    http.onGet('/trending/movie/week').reply(200, {
+      page: 2,
+      total_pages: 10,
+      total_results: 200,
+      results: [{ id: 155, title: 'The Dark Knight', release_date: '2008-07-16' }]
+    });
+
+    const response = await tmdb.getTrendingMovies('week', 2);
+
+    expect(response).toMatchObject({ page: 2, totalPages: 10, totalResults: 200 });
+    expect(response.results[0]).toMatchObject({ id: 155, type: 'movie', year: 2008 });
+  });
+
+  it('caps trending and search pages at the last page TMDB serves', async () => {
+    http.onGet('/trending/tv/day').reply(200, { page: 1, results: [], total_pages: 1200, total_results: 24000 });
+    http.onGet('/search/multi').reply(200, { page: 1, results: [], total_pages: 800, total_results: 16000 });
+
+    expect((await tmdb.getTrendingTV('day', 1)).totalPages).toBe(500);
+    expect((await tmdb.searchMulti('the', 1)).totalPages).toBe(500);
+  });
+
+  it('caches identical requests', async () => {
+    http.onGet('/movie/27205').reply(200, findFixture('movies', 27205));
+
+    const [first, second] = await Promise.all([tmdb.getMovieDetails(27205), tmdb.getMovieDetails(27205)]);
+    const third = await tmdb.getMovieDetails(27205);
+
+    expect(http.history.get).toHaveLength(1);
+    expect(first.title).toBe('Inception');
+    expect(second).toEqual(first);
+    expect(third).toEqual(first);
+  });
+
+  it('requests the appended sub-resources for details', async () => {
+    http.onGet('/tv/1396').reply(200, findFixture('tv', 1396));
+
+    await tmdb.getTVDetails(1396);
+
+    expect(http.history.get[0].params.append_to_response).toBe('credits,videos,similar,reviews,external_ids');
+  });
+
+  it('skips the request for a blank search', async () => {
+    const response = await tmdb.searchMulti('   ');
+
+    expect(response).toEqual({ results: [], page: 1, totalPages: 0, totalResults: 0 });
+    expect(http.history.get).toHaveLength(0);
+  });
+
+  it('wraps HTTP errors in a descriptive error', async () => {
+    http.onGet('/movie/1').reply(404, { status_message: 'The resource you requested could not be found.' });
+
+    await expect(tmdb.getMovieDetails(1)).rejects.toThrow('Failed to fetch movie details');
+  });
+
+  it('rethrows aborts untouched', async () => {
+    http.onGet('/trending/all/day').reply(200, { results: [] });
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(tmdb.getTrending('day', 1, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('rejects unknown trending time windows', async () => {
+    await expect(tmdb.getTrending('month')).rejects.toThrow('Failed to fetch trending content');
+    expect(http.history.get).toHaveLength(0);
+  });
+});
@@ -0,0 +1,9 @@
+import '@testing-library/jest-dom/vitest';
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// Each test starts with an empty DOM and library (libraryStorage uses localStorage in jsdom)
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
@@ -29,8 +29,8 @@ export const formatRuntime = (minutes) => {
 export const formatBoxOffice = (amount) => {
   if (!amount || amount === 'N/A') return 'N/A';
 
-  // Remove currency symbols and commas
-  const numStr = amount.replace(/[$,]/g, '');
+  // Remove currency symbols and commas (TMDB budgets arrive as numbers)
+  const numStr = String(amount).replace(/[$,]/g, '');
   const num = parseFloat(numStr);
 
   if (isNaN(num)) return amount;
@@ -137,16 +137,55 @@ export const getApiKeyErrorMessage = () => {
   return `Missing API keys: ${missing.join(', ')}. Please add them to your .env file.`;
 };
 
+// Exponential backoff with jitter: a random delay between half and all of base * 2^(attempt - 1)
+export const getBackoffDelay = (attempt, baseDelay = 1000, maxDelay = 30000) => {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Wait for a delay, rejecting early if the signal aborts
+export const wait = (delay, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve();
+    }, delay);
+
+    const handleAbort = () => {
+      clearTimeout(timeout);
+      reject(createAbortError());
+    };
+
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+};
+
 // Retry function for failed API calls
 export const retryApiCall = async (apiCall, maxRetries = 3, delay = 1000) => {
   for (let i = 0; i < maxRetries; i++) {
     try {
       return await apiCall();
     } catch (error) {
-      if (i === maxRetries - 1) throw error;
+      if (i === maxRetries - 1 || isAbortError(error)) throw error;
 
       // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, delay * (i + 1)));
+      await wait(getBackoffDelay(i + 1, delay));
     }
   }
 };
@@ -157,21 +196,34 @@ export class ApiCache {
     this.cache = new Map();
     this.maxSize = maxSize;
     this.ttl = ttl;
+    this.hits = 0;
+    this.misses = 0;
   }
 
   get(key) {
     const item = this.cache.get(key);
-    if (!item) return null;
+    if (!item) {
+      this.misses++;
+      return null;
+    }
 
     if (Date.now() > item.expiry) {
       this.cache.delete(key);
+      this.misses++;
       return null;
     }
 
+    // Move to the end so the least recently used entry is evicted first
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    this.hits++;
+
     return item.data;
   }
 
-  set(key, data) {
+  set(key, data, ttl = this.ttl, expiry = Date.now() + ttl) {
+    this.cache.delete(key);
+
     // Remove oldest items if cache is full
     if (this.cache.size >= this.maxSize) {
       const firstKey = this.cache.keys().next().value;
@@ -180,21 +232,104 @@ export class ApiCache {
 
     this.cache.set(key, {
       data,
-      expiry: Date.now() + this.ttl
+      expiry
     });
   }
 
+  delete(key) {
+    this.cache.delete(key);
+  }
+
   clear() {
     this.cache.clear();
+    this.hits = 0;
+    this.misses = 0;
   }
 
   size() {
     return this.cache.size;
   }
+
+  stats() {
+    return {
+      size: this.cache.size,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+// Check whether an error comes from an aborted request
+export const isAbortError = (error) => {
+  return error?.name === 'AbortError'
+    || error?.name === 'CanceledError'
+    || error?.code === 'ERR_CANCELED';
+};
+
+// Create the error thrown when a caller aborts a request
+export const createAbortError = () => {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Share one in-flight promise between identical concurrent requests.
+// The underlying request is only aborted once every caller has aborted.
+export class RequestDeduplicator {
+  constructor() {
+    this.pending = new Map();
+  }
+
+  run(key, loader, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    let entry = this.pending.get(key);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, subscribers: 0, promise: null };
+      entry.promise = loader(controller.signal).finally(() => {
+        if (this.pending.get(key) === entry) {
+          this.pending.delete(key);
+        }
+      });
+      this.pending.set(key, entry);
+    }
+
+    entry.subscribers++;
+    if (!signal) return entry.promise;
+
+    return new Promise((resolve, reject) => {
+      const handleAbort = () => {
+        entry.subscribers--;
+        if (entry.subscribers === 0) {
+          entry.controller.abort();
+          if (this.pending.get(key) === entry) {
+            this.pending.delete(key);
+          }
+        }
+        reject(createAbortError());
+      };
+
+      signal.addEventListener('abort', handleAbort, { once: true });
+      entry.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', handleAbort));
+    });
+  }
+
+  size() {
+    return this.pending.size;
+  }
 }
 
 // Create a global cache instance
-export const apiCache = new ApiCache();
+export const apiCache = new ApiCache(500);
+
+// True when the browser knows it has no network connection
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
 
 // Error handling utilities
 export const handleApiError = (error, context = 'API call') => {
@@ -218,7 +353,10 @@ export const handleApiError = (error, context = 'API call') => {
         return `Error ${status}: ${message}`;
     }
   } else if (error.request) {
-    // Network error
+    // Network error; offline, only responses cached earlier are available
+    if (isOffline()) {
+      return "You're offline and this content hasn't been saved for offline use yet.";
+    }
     return 'Network error. Please check your internet connection.';
   } else {
     // Other error
@@ -334,6 +472,20 @@ export const createInfiniteScrollObserver = (callback, options = {}) => {
   }, defaultOptions);
 };
 
+// Append a newly loaded page, dropping titles already shown (trending shifts between requests)
+export const appendUniqueItems = (existing, incoming) => {
+  const seen = new Set(existing.map(item => `${item.type}-${item.id}`));
+  return [
+    ...existing,
+    ...incoming.filter(item => {
+      const key = `${item.type}-${item.id}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+  ];
+};
+
 // Scroll to top utility
 export const scrollToTop = (behavior = 'smooth') => {
   window.scrollTo({
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { generatePageNumbers, getItemsRange, formatBoxOffice, handleApiError } from './apiHelpers.js';
+
+describe('generatePageNumbers', () => {
+  it('centres the window on the current page', () => {
+    expect(generatePageNumbers(10, 20)).toEqual([8, 9, 10, 11, 12]);
+  });
+
+  it('starts at page 1 near the beginning', () => {
+    expect(generatePageNumbers(1, 20)).toEqual([1, 2, 3, 4, 5]);
+    expect(generatePageNumbers(2, 20)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('keeps the window full near the end', () => {
+    expect(generatePageNumbers(20, 20)).toEqual([16, 17, 18, 19, 20]);
+    expect(generatePageNumbers(19, 20)).toEqual([16, 17, 18, 19, 20]);
+  });
+
+  it('shows every page when there are fewer than maxVisible', () => {
+    expect(generatePageNumbers(2, 3)).toEqual([1, 2, 3]);
+    expect(generatePageNumbers(1, 1)).toEqual([1]);
+  });
+
+  it('honours a custom maxVisible', () => {
+    expect(generatePageNumbers(5, 10, 3)).toEqual([4, 5, 6]);
+    expect(generatePageNumbers(5, 10, 4)).toEqual([3, 4, 5, 6]);
+  });
+
+  it('returns no pages when there are none', () => {
+    expect(generatePageNumbers(1, 0)).toEqual([]);
+  });
+});
+
+describe('getItemsRange', () => {
+  it('returns the 1-based range of a full page', () => {
+    expect(getItemsRange(1, 20, 100)).toEqual({ start: 1, end: 20 });
+    expect(getItemsRange(3, 20, 100)).toEqual({ start: 41, end: 60 });
+  });
+
+  it('stops at the total on the last page', () => {
+    expect(getItemsRange(5, 20, 95)).toEqual({ start: 81, end: 95 });
+  });
+
+  it('handles a single partial page', () => {
+    expect(getItemsRange(1, 20, 7)).toEqual({ start: 1, end: 7 });
+  });
+});
+
+describe('formatBoxOffice', () => {
+  it('abbreviates OMDB dollar strings', () => {
+    expect(formatBoxOffice('$292,576,195')).toBe('$292.6M');
+    expect(formatBoxOffice('$1,004,558,444')).toBe('$1.0B');
+    expect(formatBoxOffice('$45,300')).toBe('$45.3K');
+  });
+
+  it('abbreviates TMDB numbers', () => {
+    expect(formatBoxOffice(160000000)).toBe('$160.0M');
+    expect(formatBoxOffice(999)).toBe('$999');
+  });
+
+  it("returns 'N/A' for missing amounts", () => {
+    expect(formatBoxOffice('N/A')).toBe('N/A');
+    expect(formatBoxOffice(undefined)).toBe('N/A');
+    expect(formatBoxOffice(null)).toBe('N/A');
+    expect(formatBoxOffice(0)).toBe('N/A');
+    expect(formatBoxOffice('')).toBe('N/A');
+  });
+
+  it('returns unparseable values unchanged', () => {
+    expect(formatBoxOffice('unknown')).toBe('unknown');
+  });
+});
+
+describe('handleApiError', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  const responseError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data }
+  });
+
+  it('maps known HTTP statuses to friendly messages', () => {
+    expect(handleApiError(responseError(401))).toBe('Invalid API key. Please check your configuration.');
+    expect(handleApiError(responseError(404))).toBe('Content not found.');
+    expect(handleApiError(responseError(429))).toBe('Too many requests. Please try again later.');
+    expect(handleApiError(responseError(500))).toBe('Server error. Please try again later.');
+  });
+
+  it("includes the status and the server's message for other statuses", () => {
+    expect(handleApiError(responseError(503, { message: 'Maintenance' }))).toBe('Error 503: Maintenance');
+    expect(handleApiError(responseError(418))).toBe('Error 418: Request failed with status code 418');
+  });
+
+  it('reports network errors', () => {
+    const error = Object.assign(new Error('Network Error'), { request: {} });
+    expect(handleApiError(error)).toBe('Network error. Please check your internet connection.');
+  });
+
+  it('explains missing offline content when the browser is offline', () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const error = Object.assign(new Error('Network Error'), { request: {} });
+    expect(handleApiError(error)).toBe("You're offline and this content hasn't been saved for offline use yet.");
+  });
+
+  it('falls back to the error message', () => {
+    expect(handleApiError(new Error('Failed to fetch trending content'))).toBe('Failed to fetch trending content');
+    expect(handleApiError({})).toBe('An unexpected error occurred.');
+  });
+
+  it('logs the error with its context', () => {
+    const error = new Error('boom');
+    handleApiError(error, 'loading details');
+    expect(console.error).toHaveBeenCalledWith('Error in loading details:', error);
+  });
+});
@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Parse CSV text into an array of objects keyed by the header row
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a byte order mark some spreadsheet exports add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const columns = header.map(column => column.trim());
+
+  return body.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+};
+
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize objects to CSV with the given column order
+export const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map(escapeCsvField).join(','),
+    ...rows.map(row => columns.map(column => escapeCsvField(row[column])).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+};
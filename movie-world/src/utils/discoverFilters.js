@@ -0,0 +1,77 @@
+// Discover filter helpers
+
+// Advanced filters start empty so Discover falls back to trending
+export const DEFAULT_DISCOVER_FILTERS = {
+  yearFrom: '',
+  yearTo: '',
+  minRating: '',
+  minVotes: '',
+  runtimeMin: '',
+  runtimeMax: '',
+  language: '',
+  sortBy: 'popularity.desc'
+};
+
+// Generic sort keys; 'release_date' is mapped to the movie or TV field by tmdbApi
+export const DISCOVER_SORT_OPTIONS = [
+  { value: 'popularity.desc', label: 'Most Popular' },
+  { value: 'vote_average.desc', label: 'Highest Rated' },
+  { value: 'vote_count.desc', label: 'Most Voted' },
+  { value: 'release_date.desc', label: 'Newest' },
+  { value: 'release_date.asc', label: 'Oldest' }
+];
+
+// Common original languages (ISO 639-1)
+export const DISCOVER_LANGUAGES = [
+  { code: '', name: 'Any Language' },
+  { code: 'en', name: 'English' },
+  { code: 'ko', name: 'Korean' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'hi', name: 'Hindi' },
+  { code: 'fr', name: 'French' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'de', name: 'German' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'sv', name: 'Swedish' },
+  { code: 'da', name: 'Danish' },
+  { code: 'tr', name: 'Turkish' }
+];
+
+// Check whether any advanced filter differs from the defaults
+export const hasActiveDiscoverFilters = (filters) => {
+  return Object.keys(DEFAULT_DISCOVER_FILTERS).some(
+    key => filters[key] !== DEFAULT_DISCOVER_FILTERS[key]
+  );
+};
+
+// Check whether two filter sets ask for the same results
+export const areDiscoverFiltersEqual = (a, b) => {
+  return Object.keys(DEFAULT_DISCOVER_FILTERS).every(key => String(a[key]) === String(b[key]));
+};
+
+// Map item fields used to order merged movie and TV results
+const SORT_FIELDS = {
+  popularity: 'popularity',
+  vote_average: 'tmdb',
+  vote_count: 'voteCount',
+  release_date: 'releaseDate'
+};
+
+// Sort transformed items by a generic sort key such as 'vote_count.desc'
+export const sortDiscoverResults = (items, sortBy = 'popularity.desc') => {
+  const [key, direction] = sortBy.split('.');
+  const field = SORT_FIELDS[key] || 'popularity';
+  const modifier = direction === 'asc' ? 1 : -1;
+
+  return [...items].sort((a, b) => {
+    const valueA = a[field];
+    const valueB = b[field];
+
+    if (typeof valueA === 'string' || typeof valueB === 'string') {
+      return String(valueA || '').localeCompare(String(valueB || '')) * modifier;
+    }
+    return ((valueA || 0) - (valueB || 0)) * modifier;
+  });
+};
@@ -0,0 +1,53 @@
+// Episode keys and watch progress for TV shows kept in the library
+
+// Stable key for an episode within a show, e.g. "2x5"
+export const getEpisodeKey = (seasonNumber, episodeNumber) => `${seasonNumber}x${episodeNumber}`;
+
+// Split a key produced by getEpisodeKey back into numbers
+export const parseEpisodeKey = (key) => {
+  const [seasonNumber, episodeNumber] = key.split('x').map(Number);
+  return { seasonNumber, episodeNumber };
+};
+
+// Short episode label, e.g. "S2E5"
+export const formatEpisodeLabel = ({ seasonNumber, episodeNumber }) => `S${seasonNumber}E${episodeNumber}`;
+
+// Work out how far through a show the user is from its season list and watched episodes
+export const getShowProgress = (show) => {
+  const seasons = [...(show.seasons || [])].sort((a, b) => a.seasonNumber - b.seasonNumber);
+  const watched = new Set(show.watchedEpisodes || []);
+  const totalEpisodes = seasons.reduce((sum, season) => sum + season.episodeCount, 0);
+
+  // Latest watched episode in airing order
+  const lastWatched = [...watched]
+    .map(parseEpisodeKey)
+    .sort((a, b) => a.seasonNumber - b.seasonNumber || a.episodeNumber - b.episodeNumber)
+    .pop() || null;
+
+  // First unwatched episode after the latest watched one; null when caught up
+  let nextEpisode = null;
+  if (lastWatched) {
+    for (const season of seasons) {
+      if (season.seasonNumber < lastWatched.seasonNumber) continue;
+      const firstEpisode = season.seasonNumber === lastWatched.seasonNumber ? lastWatched.episodeNumber + 1 : 1;
+      for (let episodeNumber = firstEpisode; episodeNumber <= season.episodeCount; episodeNumber++) {
+        if (!watched.has(getEpisodeKey(season.seasonNumber, episodeNumber))) {
+          nextEpisode = { seasonNumber: season.seasonNumber, episodeNumber };
+          break;
+        }
+      }
+      if (nextEpisode) break;
+    }
+  }
+
+  const watchedCount = Math.min(watched.size, totalEpisodes);
+  return {
+    watchedCount,
+    totalEpisodes,
+    totalSeasons: seasons.length,
+    percent: totalEpisodes > 0 ? Math.round((watchedCount / totalEpisodes) * 100) : 0,
+    lastWatched,
+    nextEpisode,
+    isComplete: totalEpisodes > 0 && watchedCount >= totalEpisodes
+  };
+};
@@ -0,0 +1,30 @@
+// Browser file download and upload helpers
+
+// Offer text content to the user as a file download
+export const downloadFile = (fileName, content, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Read a File chosen in an <input type="file"> as text
+export const readFileAsText = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+};
+
+// Date stamp for export file names, e.g. "2024-05-01"
+export const getFileDateStamp = (date = new Date()) => date.toISOString().slice(0, 10);
@@ -0,0 +1,51 @@
+// IndexedDB helper functions
+
+// Check whether IndexedDB can be used in this environment
+export const isIndexedDBAvailable = () => {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch {
+    return false;
+  }
+};
+
+// Wrap an IDBRequest in a promise
+export const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Open a database, running the upgrade callback when the version changes
+export const openDatabase = (name, version, upgrade) => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+
+    request.onupgradeneeded = (event) => {
+      upgrade(request.result, event.oldVersion, request.transaction);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database ${name} is blocked by another tab`));
+  });
+};
+
+// Run a callback inside a transaction and resolve with its result once committed
+export const runTransaction = (db, storeNames, mode, callback) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+
+    Promise.resolve(callback(transaction))
+      .then(value => { result = value; })
+      .catch(error => {
+        transaction.abort();
+        reject(error);
+      });
+  });
+};
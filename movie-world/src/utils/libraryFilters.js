@@ -0,0 +1,181 @@
+// Sorting, filtering and searching inside the Watchlist and Watched tabs
+
+import { toDateInputValue } from './ratings.js';
+import { DISCOVER_LANGUAGES } from './discoverFilters.js';
+
+const LIBRARY_VIEWS_KEY = 'movie-world-library-views';
+
+export const DEFAULT_LIBRARY_VIEW = {
+  query: '',
+  sortBy: 'addedAt.desc',
+  type: 'all',
+  genre: '',
+  decade: '',
+  language: '',
+  watchedFrom: '',
+  watchedTo: ''
+};
+
+// 'watchedOnly' options only make sense on the Watched tab
+export const LIBRARY_SORT_OPTIONS = [
+  { value: 'addedAt.desc', label: 'Recently Added' },
+  { value: 'addedAt.asc', label: 'First Added' },
+  { value: 'watchedAt.desc', label: 'Recently Watched', watchedOnly: true },
+  { value: 'userRating.desc', label: 'My Rating', watchedOnly: true },
+  { value: 'title.asc', label: 'Title A–Z' },
+  { value: 'title.desc', label: 'Title Z–A' },
+  { value: 'year.desc', label: 'Newest' },
+  { value: 'year.asc', label: 'Oldest' },
+  { value: 'imdb.desc', label: 'IMDb Rating' },
+  { value: 'tmdb.desc', label: 'TMDB Rating' },
+  { value: 'rottenTomatoes.desc', label: 'Rotten Tomatoes' },
+  { value: 'runtime.asc', label: 'Shortest' },
+  { value: 'runtime.desc', label: 'Longest' }
+];
+
+export const LIBRARY_TYPE_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'movie', label: 'Movies' },
+  { value: 'tv', label: 'TV' }
+];
+
+// Sort keys whose values are numbers on the record; null means unknown (TMDB uses 0 for "no data")
+const NUMERIC_SORT_FIELDS = {
+  year: (record) => parseInt(record.year) || null,
+  imdb: (record) => parseFloat(record.imdb) || null,
+  tmdb: (record) => record.tmdb || null,
+  rottenTomatoes: (record) => record.rottenTomatoes ?? null,
+  runtime: (record) => record.runtime || record.episodeRunTime || null,
+  userRating: (record) => record.userRating ?? null
+};
+
+// Saved views for both tabs, falling back to the defaults
+const readLibraryViews = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LIBRARY_VIEWS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const getLibraryView = (tab) => ({ ...DEFAULT_LIBRARY_VIEW, ...readLibraryViews()[tab] });
+
+export const saveLibraryView = (tab, view) => {
+  try {
+    localStorage.setItem(LIBRARY_VIEWS_KEY, JSON.stringify({ ...readLibraryViews(), [tab]: view }));
+  } catch (error) {
+    console.error('Error saving library view:', error);
+  }
+};
+
+// Check whether anything narrows the list (sorting does not count)
+export const hasActiveLibraryFilters = (view) => {
+  return Object.keys(DEFAULT_LIBRARY_VIEW).some(
+    key => key !== 'sortBy' && view[key] !== DEFAULT_LIBRARY_VIEW[key]
+  );
+};
+
+// Lowercase and strip accents so "amelie" finds "Amélie"
+const toSearchText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Decade a title came out in, e.g. 1994 -> 1990
+export const getDecade = (year) => {
+  const parsed = parseInt(year);
+  return isNaN(parsed) ? null : Math.floor(parsed / 10) * 10;
+};
+
+// Display name of an ISO 639-1 code, e.g. "ko" -> "Korean"
+export const getLanguageName = (code) => {
+  const known = DISCOVER_LANGUAGES.find(language => language.code === code);
+  if (known) return known.name;
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+// Genres, decades and languages that actually occur in the records, for the filter dropdowns
+export const getLibraryFilterOptions = (records, getGenreNames) => {
+  const genres = new Set();
+  const decades = new Set();
+  const languages = new Set();
+
+  records.forEach(record => {
+    getGenreNames(record).forEach(genre => genres.add(String(genre)));
+    const decade = getDecade(record.year);
+    if (decade !== null) decades.add(decade);
+    if (record.originalLanguage) languages.add(record.originalLanguage);
+  });
+
+  return {
+    genres: [...genres].sort((a, b) => a.localeCompare(b)),
+    decades: [...decades].sort((a, b) => b - a),
+    languages: [...languages]
+      .map(code => ({ code, name: getLanguageName(code) }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+};
+
+// Keep records that match every active filter and the text search
+export const filterLibrary = (records, view, getGenreNames) => {
+  const query = toSearchText(view.query.trim());
+
+  return records.filter(record => {
+    if (view.type !== 'all' && record.type !== view.type) return false;
+    if (view.genre && !getGenreNames(record).map(String).includes(view.genre)) return false;
+    if (view.decade && String(getDecade(record.year)) !== String(view.decade)) return false;
+    if (view.language && record.originalLanguage !== view.language) return false;
+
+    if (view.watchedFrom || view.watchedTo) {
+      const watchedOn = toDateInputValue(record.watchedAt);
+      if (!watchedOn) return false;
+      if (view.watchedFrom && watchedOn < view.watchedFrom) return false;
+      if (view.watchedTo && watchedOn > view.watchedTo) return false;
+    }
+
+    if (query) {
+      const haystack = [record.title, record.notes, record.director, ...getGenreNames(record)]
+        .map(toSearchText)
+        .join(' ');
+      if (!haystack.includes(query)) return false;
+    }
+
+    return true;
+  });
+};
+
+// Sort records by a key such as 'imdb.desc'; titles missing the value always go last
+export const sortLibrary = (records, sortBy = DEFAULT_LIBRARY_VIEW.sortBy) => {
+  const [key, direction] = sortBy.split('.');
+  const modifier = direction === 'asc' ? 1 : -1;
+  const getNumber = NUMERIC_SORT_FIELDS[key];
+
+  return [...records].sort((a, b) => {
+    if (getNumber) {
+      const valueA = getNumber(a);
+      const valueB = getNumber(b);
+      if ((valueA === null) !== (valueB === null)) return valueA === null ? 1 : -1;
+      if (valueA !== valueB) return (valueA - valueB) * modifier;
+    } else {
+      const valueA = a[key] || '';
+      const valueB = b[key] || '';
+      if (!valueA !== !valueB) return valueA ? -1 : 1;
+      const compared = key === 'title'
+        ? valueA.localeCompare(valueB, undefined, { sensitivity: 'base', numeric: true })
+        : valueA.localeCompare(valueB);
+      if (compared !== 0) return compared * modifier;
+    }
+
+    // Stable, predictable order for ties
+    return (a.title || '').localeCompare(b.title || '');
+  });
+};
+
+// Filter then sort a tab's records with its saved view
+export const applyLibraryView = (records, view, getGenreNames) => {
+  return sortLibrary(filterLibrary(records, view, getGenreNames), view.sortBy);
+};
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { sortLibrary } from './libraryFilters.js';
+
+describe('sortLibrary', () => {
+  const records = [
+    { key: 'movie:2', title: 'Zodiac', addedAt: '2024-01-01T00:00:00.000Z', imdb: 7.7 },
+    { key: 'movie:1', title: 'alien', addedAt: '2024-03-01T00:00:00.000Z', imdb: 8.5 },
+    { key: 'tv:3', title: 'Dark', addedAt: '2024-02-01T00:00:00.000Z' }
+  ];
+
+  it('sorts by the chosen field and direction', () => {
+    expect(sortLibrary(records, 'addedAt.desc').map(record => record.key)).toEqual(['movie:1', 'tv:3', 'movie:2']);
+    expect(sortLibrary(records, 'title.asc').map(record => record.title)).toEqual(['alien', 'Dark', 'Zodiac']);
+  });
+
+  it('puts titles without the value last', () => {
+    expect(sortLibrary(records, 'imdb.desc').map(record => record.key)).toEqual(['movie:1', 'movie:2', 'tv:3']);
+  });
+
+  it('breaks ties on records without a title', () => {
+    const untitled = [
+      { key: 'movie:5', addedAt: '2024-01-01T00:00:00.000Z' },
+      { key: 'movie:4', title: 'Heat', addedAt: '2024-01-01T00:00:00.000Z' }
+    ];
+
+    expect(sortLibrary(untitled, 'addedAt.desc').map(record => record.key)).toEqual(['movie:5', 'movie:4']);
+  });
+});
@@ -0,0 +1,31 @@
+// Numbered pages or infinite scroll for Trending, Discover and Search
+
+const PAGINATION_MODE_KEY = 'movie-world-pagination-mode';
+
+export const PAGINATION_MODES = {
+  PAGES: 'pages',
+  INFINITE: 'infinite'
+};
+
+export const PAGINATION_MODE_OPTIONS = [
+  { value: PAGINATION_MODES.PAGES, label: 'Pages' },
+  { value: PAGINATION_MODES.INFINITE, label: 'Infinite scroll' }
+];
+
+export const getPaginationMode = () => {
+  try {
+    return localStorage.getItem(PAGINATION_MODE_KEY) === PAGINATION_MODES.INFINITE
+      ? PAGINATION_MODES.INFINITE
+      : PAGINATION_MODES.PAGES;
+  } catch {
+    return PAGINATION_MODES.PAGES;
+  }
+};
+
+export const savePaginationMode = (mode) => {
+  try {
+    localStorage.setItem(PAGINATION_MODE_KEY, mode);
+  } catch (error) {
+    console.error('Error saving pagination mode:', error);
+  }
+};
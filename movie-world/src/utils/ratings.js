@@ -0,0 +1,47 @@
+// Personal ratings are stored as whole numbers from 1 to 10; the star scale shows them as halves of 5
+
+const RATING_SCALE_KEY = 'movie-world-rating-scale';
+
+export const RATING_SCALES = {
+  STARS: 'stars',
+  TEN: 'ten'
+};
+
+export const RATING_SCALE_OPTIONS = [
+  { value: RATING_SCALES.STARS, label: '★ 0.5–5' },
+  { value: RATING_SCALES.TEN, label: '1–10' }
+];
+
+// Clamp anything a user (or an import) gives us to a stored rating, or null for none
+export const normalizeUserRating = (rating) => {
+  const parsed = Math.round(Number(rating));
+  if (!rating || isNaN(parsed)) return null;
+  return Math.min(10, Math.max(1, parsed));
+};
+
+// "3.5/5" or "7/10"
+export const formatUserRating = (rating, scale = RATING_SCALES.STARS) => {
+  if (!rating) return 'Not rated';
+  return scale === RATING_SCALES.STARS ? `${rating / 2}/5` : `${rating}/10`;
+};
+
+export const getRatingScale = () => {
+  try {
+    return localStorage.getItem(RATING_SCALE_KEY) === RATING_SCALES.TEN ? RATING_SCALES.TEN : RATING_SCALES.STARS;
+  } catch {
+    return RATING_SCALES.STARS;
+  }
+};
+
+export const saveRatingScale = (scale) => {
+  try {
+    localStorage.setItem(RATING_SCALE_KEY, scale);
+  } catch (error) {
+    console.error('Error saving rating scale:', error);
+  }
+};
+
+// ISO timestamp <-> value of an <input type="date">
+export const toDateInputValue = (isoString) => (isoString ? isoString.slice(0, 10) : '');
+
+export const fromDateInputValue = (value) => (value ? new Date(`${value}T12:00:00`).toISOString() : null);
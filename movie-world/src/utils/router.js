@@ -0,0 +1,113 @@
+// Client-side routing helpers built on the history API
+import { updateUrlWithPage, getPageFromUrl } from './apiHelpers.js';
+import { DEFAULT_DISCOVER_FILTERS } from './discoverFilters.js';
+
+export const TABS = ['discover', 'watchlist', 'watched', 'lists'];
+
+const DETAIL_TYPES = ['movie', 'tv'];
+
+// Route state with nothing selected
+export const DEFAULT_ROUTE = {
+  tab: 'discover',
+  searchQuery: '',
+  searchPage: 1,
+  page: 1,
+  genre: 'all',
+  type: 'all',
+  trendingWindow: 'day',
+  trendingType: 'all',
+  filters: DEFAULT_DISCOVER_FILTERS,
+  detail: null,
+  person: null,
+  listId: null
+};
+
+// Parse a location (pathname + search) into route state. Title and person URLs carry no browse
+// state, so those keep the tab, search, page and filters of currentRoute (e.g. on back/forward).
+export const parseLocation = ({ pathname, search }, currentRoute = DEFAULT_ROUTE) => {
+  const params = new URLSearchParams(search);
+  const [first, second] = pathname.split('/').filter(Boolean);
+
+  // /movie/:id and /tv/:id
+  if (DETAIL_TYPES.includes(first) && /^\d+$/.test(second || '')) {
+    return { ...currentRoute, detail: { id: Number(second), type: first }, person: null };
+  }
+
+  // /person/:id
+  if (first === 'person' && /^\d+$/.test(second || '')) {
+    return { ...currentRoute, detail: null, person: { id: Number(second) } };
+  }
+
+  // /search?q=...&page=...
+  if (first === 'search') {
+    return {
+      ...DEFAULT_ROUTE,
+      searchQuery: params.get('q') || '',
+      searchPage: getPageFromUrl(params)
+    };
+  }
+
+  // /watchlist, /watched, /lists and /lists/:id
+  if (first && first !== 'discover') {
+    return {
+      ...DEFAULT_ROUTE,
+      tab: TABS.includes(first) ? first : DEFAULT_ROUTE.tab,
+      listId: first === 'lists' && second ? decodeURIComponent(second) : null
+    };
+  }
+
+  // / and /discover?page=...&genre=...&type=...
+  const filters = { ...DEFAULT_DISCOVER_FILTERS };
+  Object.keys(DEFAULT_DISCOVER_FILTERS).forEach(key => {
+    if (params.has(key)) filters[key] = params.get(key);
+  });
+
+  return {
+    ...DEFAULT_ROUTE,
+    page: getPageFromUrl(params),
+    genre: params.get('genre') || DEFAULT_ROUTE.genre,
+    type: DETAIL_TYPES.includes(params.get('type')) ? params.get('type') : DEFAULT_ROUTE.type,
+    trendingWindow: params.get('window') === 'week' ? 'week' : DEFAULT_ROUTE.trendingWindow,
+    trendingType: DETAIL_TYPES.includes(params.get('trending')) ? params.get('trending') : DEFAULT_ROUTE.trendingType,
+    filters
+  };
+};
+
+// Build the canonical URL for route state; only non-default values are kept
+export const buildUrl = (route) => {
+  if (route.detail) {
+    return `/${route.detail.type}/${route.detail.id}`;
+  }
+
+  if (route.person) {
+    return `/person/${route.person.id}`;
+  }
+
+  if (route.searchQuery) {
+    const params = new URLSearchParams({ q: route.searchQuery });
+    return `/search?${updateUrlWithPage(route.searchPage, params)}`;
+  }
+
+  if (route.tab === 'lists' && route.listId) {
+    return `/lists/${encodeURIComponent(route.listId)}`;
+  }
+
+  if (route.tab !== 'discover') {
+    return `/${route.tab}`;
+  }
+
+  const params = new URLSearchParams();
+  if (route.genre !== DEFAULT_ROUTE.genre) params.set('genre', route.genre);
+  if (route.type !== DEFAULT_ROUTE.type) params.set('type', route.type);
+  if (route.trendingWindow !== DEFAULT_ROUTE.trendingWindow) params.set('window', route.trendingWindow);
+  if (route.trendingType !== DEFAULT_ROUTE.trendingType) params.set('trending', route.trendingType);
+  Object.entries(route.filters).forEach(([key, value]) => {
+    if (value !== DEFAULT_DISCOVER_FILTERS[key]) params.set(key, value);
+  });
+
+  const query = updateUrlWithPage(route.page, params);
+  return query ? `/discover?${query}` : '/';
+};
+
+// Get the current URL in the same form buildUrl produces
+export const getCurrentUrl = () => `${window.location.pathname}${window.location.search}`;
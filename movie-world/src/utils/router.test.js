@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_ROUTE, parseLocation, buildUrl } from './router.js';
+
+describe('parseLocation', () => {
+  it('reads the browse state from the URL', () => {
+    expect(parseLocation({ pathname: '/search', search: '?q=dune&page=2' })).toMatchObject({
+      searchQuery: 'dune',
+      searchPage: 2,
+      detail: null
+    });
+    expect(parseLocation({ pathname: '/lists/abc', search: '' })).toMatchObject({ tab: 'lists', listId: 'abc' });
+  });
+
+  it('opens a deep-linked title over the default browse state', () => {
+    expect(parseLocation({ pathname: '/movie/27205', search: '' })).toEqual({
+      ...DEFAULT_ROUTE,
+      detail: { id: 27205, type: 'movie' }
+    });
+  });
+
+  it('keeps the current browse state when only the title or person changes', () => {
+    const current = { ...parseLocation({ pathname: '/discover', search: '?page=3&genre=28' }), person: { id: 31 } };
+
+    expect(parseLocation({ pathname: '/tv/1396', search: '' }, current)).toEqual({
+      ...current,
+      detail: { id: 1396, type: 'tv' },
+      person: null
+    });
+    expect(parseLocation({ pathname: '/person/31', search: '' }, { ...current, detail: { id: 1, type: 'movie' } })).toEqual(current);
+    expect(buildUrl({ ...parseLocation({ pathname: '/tv/1396', search: '' }, current), detail: null, person: null })).toBe('/discover?genre=28&page=3');
+  });
+});
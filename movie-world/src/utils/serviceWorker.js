@@ -0,0 +1,21 @@
+import { API_CONFIG } from '../config/apiConfig.js';
+
+// Register the service worker emitted by the production build (the dev server has none).
+// It is told which URLs are poster images and API calls, so API_CONFIG stays the one place they live.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  // The worker compares full URLs, so resolve the relative proxy base URLs
+  const toAbsolute = (url) => new URL(url, window.location.origin).href;
+
+  const params = new URLSearchParams();
+  params.append('image', API_CONFIG.TMDB.IMAGE_BASE_URL);
+  params.append('api', toAbsolute(API_CONFIG.TMDB.BASE_URL));
+  params.append('api', toAbsolute(API_CONFIG.OMDB.BASE_URL));
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`/sw.js?${params}`).catch((error) => {
+      console.error('Error registering service worker:', error);
+    });
+  });
+};
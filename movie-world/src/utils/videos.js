@@ -0,0 +1,63 @@
+// Helpers for TMDB videos (trailers, teasers, clips, ...)
+
+// Video types in order of preference for the main player
+export const VIDEO_TYPES = [
+  'trailer',
+  'teaser',
+  'clip',
+  'featurette',
+  'behind-the-scenes',
+  'bloopers',
+  'opening-credits'
+];
+
+export const VIDEO_TYPE_LABELS = {
+  trailer: 'Trailer',
+  teaser: 'Teaser',
+  clip: 'Clip',
+  featurette: 'Featurette',
+  'behind-the-scenes': 'Behind the Scenes',
+  bloopers: 'Bloopers',
+  'opening-credits': 'Opening Credits'
+};
+
+// Sites we can embed; TMDB lists nothing else in practice
+const EMBED_URLS = {
+  YouTube: (key) => `https://www.youtube-nocookie.com/embed/${key}`,
+  Vimeo: (key) => `https://player.vimeo.com/video/${key}`
+};
+
+// Two-letter code of the browser's language, e.g. "en"
+export const getUserLanguage = () => {
+  const language = typeof navigator !== 'undefined' ? navigator.language : '';
+  return (language || 'en').split('-')[0].toLowerCase();
+};
+
+// Normalize a TMDB video type ("Behind the Scenes" -> "behind-the-scenes")
+export const normalizeVideoType = (type = '') => type.toLowerCase().replace(/\s+/g, '-');
+
+export const isEmbeddableVideo = (video) => !!EMBED_URLS[video.site];
+
+export const getVideoEmbedUrl = (video) => {
+  const buildUrl = EMBED_URLS[video.site];
+  return buildUrl ? buildUrl(video.key) : null;
+};
+
+export const getVideoThumbnail = (video) => {
+  return video.site === 'YouTube' ? `https://img.youtube.com/vi/${video.key}/mqdefault.jpg` : null;
+};
+
+// Order videos for display: official trailers in the user's language first
+export const rankVideos = (videos, language = getUserLanguage()) => {
+  const typeRank = (video) => {
+    const index = VIDEO_TYPES.indexOf(video.type);
+    return index === -1 ? VIDEO_TYPES.length : index;
+  };
+
+  return [...videos].sort((a, b) =>
+    typeRank(a) - typeRank(b)
+    || (b.language === language) - (a.language === language)
+    || b.official - a.official
+    || (b.publishedAt || '').localeCompare(a.publishedAt || '')
+  );
+};
@@ -1,8 +1,34 @@
 import { defineConfig } from 'vite'
 import tailwindcss from '@tailwindcss/vite'
 import react from '@vitejs/plugin-react'
+import serviceWorkerPlugin from './plugins/serviceWorkerPlugin.js'
+import apiProxyPlugin from './plugins/apiProxyPlugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss(),],
+  plugins: [
+    react(),
+    tailwindcss(),
+    serviceWorkerPlugin({ src: 'src/serviceWorker.js' }),
+    apiProxyPlugin(),
+  ],
+  // https://vitest.dev/config/
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    restoreMocks: true,
+    // Fixed settings so tests never depend on the keys or proxy switch in .env
+    env: {
+      VITE_TMDB_API_KEY: 'test-tmdb-key',
+      VITE_OMDB_API_KEY: 'test-omdb-key',
+      VITE_USE_API_PROXY: 'false',
+      VITE_DATA_SOURCE: 'live',
+    },
+    coverage: {
+      provider: 'v8',
+      include: ['src/**/*.{js,jsx}'],
+      exclude: ['src/test/**', 'src/**/*.test.{js,jsx}', 'src/main.jsx', 'src/serviceWorker.js'],
+      reporter: ['text', 'html', 'lcov'],
+    },
+  },
 })